@@ -1,8 +1,345 @@
 // background.js
+import { MappingSources, SHARED_SYNC_ALARM } from './js/mapping-sources.js';
+import { EnvironmentDetector } from './js/environment-detector.js';
+import { EnvironmentNavigator } from './js/environment-navigator.js';
+import { PanelActions } from './js/panel-actions.js';
+import { Settings } from './js/settings.js';
+import { SignatureRules } from './js/signature-rules.js';
+import { QuickAudit, BADGE_COLOURS } from './js/quick-audit.js';
+import { ScheduledAudit, SCHEDULED_AUDIT_ALARM } from './js/scheduled-audit.js';
+
+const WEB_PATTERNS = ["http://*/*", "https://*/*"];
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // content.js asks which DOM rules to look for; host and header rules are settled here first
+  if (request.action === "icg_get_signature_rules" && sender.tab) {
+    getPageSignatureRules(sender.tab).then(sendResponse).catch(error => {
+      console.warn("ICG Dev Tools: signature rules failed for", sender.tab.url, error);
+      sendResponse({ matched: false, rules: [], watchMs: 0 }); // nothing to look for, so content.js stops
+    });
+    return true; // responds asynchronously
+  }
+
   if (request.action === "icg_site_detected" && sender.tab) {
-    // Enable the badge
-    chrome.action.setBadgeText({ text: "✓", tabId: sender.tab.id });
-    chrome.action.setBadgeBackgroundColor({ color: "#2ecc71", tabId: sender.tab.id }); // Brand Green
+    markSiteDetected(sender.tab, request.rule || "signature found in page");
+  }
+
+  // "Run Now" on the options page
+  if (request.action === "icg_run_scheduled_audits") {
+    runScheduledAudits()
+      .then(() => sendResponse({ done: true }))
+      .catch(error => sendResponse({ done: false, error: error.message }));
+    return true;
+  }
+});
+
+// --- SITE SIGNATURES ---
+
+// Latest main-frame response headers per tab, for header signature rules
+const tabHeaders = new Map();
+
+chrome.webRequest.onHeadersReceived.addListener((details) => {
+  tabHeaders.set(details.tabId, { url: details.url, headers: details.responseHeaders || [] });
+}, { urls: WEB_PATTERNS, types: ["main_frame"] }, ["responseHeaders"]);
+
+chrome.tabs.onRemoved.addListener((tabId) => tabHeaders.delete(tabId));
+
+async function getPageSignatureRules(tab) {
+  const settings = await Settings.load();
+  const rules = SignatureRules.getRules(settings);
+  const url = new URL(tab.url);
+
+  const matched = SignatureRules.matchHost(url.hostname, rules) ||
+    SignatureRules.matchHeaders(getTabHeaders(tab, url), rules) ||
+    await matchMappedHost(url, rules);
+
+  if (matched) {
+    markSiteDetected(tab, SignatureRules.describe(matched));
+    return { matched: true };
+  }
+  return { matched: false, rules: SignatureRules.getPageRules(rules), watchMs: settings.signatures.watchSeconds * 1000 };
+}
+
+// Headers only count if they came from the page the tab is showing now
+function getTabHeaders(tab, url) {
+  const entry = tabHeaders.get(tab.id);
+  return entry && new URL(entry.url).host === url.host ? entry.headers : [];
+}
+
+async function matchMappedHost(url, rules) {
+  const rule = rules.find(candidate => candidate.type === "mapped");
+  if (!rule) return null;
+
+  await EnvironmentDetector.loadConfig();
+  return (await EnvironmentDetector.isKnownSite(url)) ? rule : null;
+}
+
+// Green tick, with the rule that matched in the tooltip, until the quick audit has something to say
+function markSiteDetected(tab, ruleDescription) {
+  chrome.action.setBadgeText({ text: "✓", tabId: tab.id });
+  chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOURS.success, tabId: tab.id });
+  chrome.action.setTitle({ title: `ICG site detected (${ruleDescription})`, tabId: tab.id });
+
+  prefetchEnvironments(tab.url);
+  showSiteHealth(tab, ruleDescription);
+}
+
+// --- QUICK AUDIT BADGE ---
+
+// Origins being audited right now, so several tabs on one site share a run
+const auditing = new Set();
+
+// Badge colour and issue count from the quick audit of the site's home page (re-run once the stored result expires)
+async function showSiteHealth(tab, ruleDescription) {
+  const url = new URL(tab.url);
+  let result = await QuickAudit.getResult(url.origin);
+
+  if (!result) {
+    if (auditing.has(url.origin)) return;
+    auditing.add(url.origin);
+    try {
+      result = await QuickAudit.run(`${url.origin}/`, { isLive: await isLiveSite(url) });
+      await QuickAudit.saveResult(result);
+    } catch (error) {
+      console.warn("ICG Dev Tools: quick audit failed for", url.origin, error);
+      return;
+    } finally {
+      auditing.delete(url.origin);
+    }
+  }
+
+  // The tab may have moved on while the audit ran
+  const current = await chrome.tabs.get(tab.id).catch(() => null);
+  if (!current || !current.url || new URL(current.url).origin !== url.origin) return;
+
+  const issues = result.items.filter(item => !item.passed).map(item => item.detail);
+  const summary = issues.length > 0 ? `${issues.length} issue(s):\n${issues.join("\n")}` : "Quick audit passed";
+
+  await chrome.action.setBadgeText({ text: QuickAudit.getBadgeText(result), tabId: tab.id });
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOURS[result.status], tabId: tab.id });
+  await chrome.action.setTitle({ title: `ICG site detected (${ruleDescription})\n${summary}`, tabId: tab.id });
+}
+
+// Only live sites are expected to be indexable and tracked
+async function isLiveSite(url) {
+  await EnvironmentDetector.loadConfig();
+  const envSet = await EnvironmentDetector.getEnvironments(url);
+  const current = envSet.environments.find(env => env.current);
+  return current ? current.name === "live" : !EnvironmentDetector.isDevHost(url.hostname);
+}
+
+// Mapped projects without the footer signature (e.g. a dev site behind a login) are prefetched once the page loads
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.status === "complete" && tab.url) {
+    prefetchEnvironments(tab.url, { knownOnly: true });
+  }
+});
+
+// --- DETECTION PREFETCH ---
+
+// Live hosts being probed right now, so the content script message and the page load don't both ping
+const prefetching = new Set();
+
+// Resolves a project's environments into the detection cache ahead of time, so the popup opens with them
+async function prefetchEnvironments(tabUrl, { knownOnly = false } = {}) {
+  let url;
+  try {
+    url = new URL(tabUrl);
+  } catch (error) {
+    return;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return;
+
+  try {
+    await EnvironmentDetector.loadConfig();
+    if (knownOnly && !(await EnvironmentDetector.isKnownSite(url))) return;
+
+    const envSet = await EnvironmentDetector.getEnvironments(url);
+    if (!envSet.liveHost || prefetching.has(envSet.liveHost)) return;
+
+    prefetching.add(envSet.liveHost);
+    try {
+      // Fresh cache entries are kept, so this only pings what has expired
+      await EnvironmentDetector.resolveEnvironments(envSet);
+    } finally {
+      prefetching.delete(envSet.liveHost);
+    }
+  } catch (error) {
+    console.warn("ICG Dev Tools: prefetch failed for", url.hostname, error);
+  }
+}
+
+// Shared team mapping file: refresh on the schedule set on the options page
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SHARED_SYNC_ALARM) {
+    await MappingSources.syncShared();
+  }
+});
+
+const startSharedSync = async () => {
+  await MappingSources.scheduleSync();
+  await MappingSources.syncShared();
+};
+
+chrome.runtime.onInstalled.addListener(startSharedSync);
+chrome.runtime.onStartup.addListener(startSharedSync);
+
+// --- SCHEDULED AUDITS ---
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === SCHEDULED_AUDIT_ALARM) {
+    await runScheduledAudits().catch(error => console.warn("ICG Dev Tools: scheduled audits failed", error));
+  }
+});
+
+chrome.runtime.onInstalled.addListener(() => ScheduledAudit.schedule());
+chrome.runtime.onStartup.addListener(() => ScheduledAudit.schedule());
+
+let scheduledRun = null;
+
+// One site at a time: this runs unattended, so there's no hurry; a run already in progress is shared
+function runScheduledAudits() {
+  if (!scheduledRun) {
+    scheduledRun = auditWatchList().finally(() => {
+      scheduledRun = null;
+    });
+  }
+  return scheduledRun;
+}
+
+async function auditWatchList() {
+  const settings = await Settings.load();
+  const { domains, sslWarningDays } = settings.scheduledAudits;
+
+  for (const domain of domains) {
+    try {
+      const { alerts } = await ScheduledAudit.run(domain, { sslWarningDays });
+      if (alerts.length > 0) notifyRegressions(domain, alerts);
+    } catch (error) {
+      console.warn("ICG Dev Tools: scheduled audit failed for", domain, error);
+    }
+  }
+}
+
+// One notification per site, replacing any earlier one still on screen
+function notifyRegressions(domain, alerts) {
+  chrome.notifications.create(ScheduledAudit.getNotificationId(domain), {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: `${alerts.length === 1 ? "Regression" : `${alerts.length} regressions`} on ${domain}`,
+    message: alerts.map(alert => alert.detail).join("\n"),
+    contextMessage: "Click to open the site; the audit panel shows what changed",
+    priority: 2
+  });
+}
+
+// Opens the site and asks the side panel to show the alert (it can't be opened from here without a user gesture on the page)
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  const domain = ScheduledAudit.getNotificationDomain(notificationId);
+  if (!domain) return;
+
+  chrome.notifications.clear(notificationId);
+  await chrome.tabs.create({ url: `https://${domain}/` });
+  await PanelActions.request({ type: "showScheduledAudit", domain: domain });
+});
+
+// --- KEYBOARD SHORTCUTS & CONTEXT MENUS ---
+
+const MENU_ITEMS = [
+  { id: "icg-switch-page", title: "Switch this page (live ↔ dev)", contexts: ["page"], documentUrlPatterns: WEB_PATTERNS },
+  { id: "icg-audit-page", title: "Audit this page", contexts: ["page"], documentUrlPatterns: WEB_PATTERNS },
+  { id: "icg-link-dev", title: "Open this link on dev", contexts: ["link"], targetUrlPatterns: WEB_PATTERNS },
+  { id: "icg-link-live", title: "Open this link on live", contexts: ["link"], targetUrlPatterns: WEB_PATTERNS }
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    MENU_ITEMS.forEach(item => chrome.contextMenus.create(item));
+  });
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  // Panel commands open the side panel before anything is awaited, or the shortcut's user gesture is lost
+  if (command === "open-audit-panel") {
+    await openSidePanel(tab);
+  } else if (command === "run-full-audit") {
+    await openPanelAndAudit(tab, null);
+  } else if (command === "toggle-environment") {
+    tab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (tab) await switchEnvironment(tab, tab.url);
+  }
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId === "icg-switch-page") {
+    await switchEnvironment(tab, info.pageUrl);
+  } else if (info.menuItemId === "icg-audit-page") {
+    await openPanelAndAudit(tab, "page");
+  } else if (info.menuItemId === "icg-link-dev") {
+    await switchEnvironment(tab, info.linkUrl, "dev");
+  } else if (info.menuItemId === "icg-link-live") {
+    await switchEnvironment(tab, info.linkUrl, "live");
+  }
+});
+
+// The side panel must be opened straight from the user gesture, before anything else is awaited
+async function openPanelAndAudit(tab, scope) {
+  const opening = openSidePanel(tab);
+  await PanelActions.request({ type: "runAll", scope: scope });
+  await opening;
+}
+
+// The tab's window, or the current one when a shortcut arrives without a tab
+function openSidePanel(tab) {
+  const opening = tab
+    ? chrome.sidePanel.open({ windowId: tab.windowId })
+    : chrome.windows.getCurrent().then(window => chrome.sidePanel.open({ windowId: window.id }));
+  return opening.catch(error => console.warn("ICG Dev Tools: could not open the side panel", error));
+}
+
+// Uses cached detection results from the popup where possible, so switching is instant
+async function switchEnvironment(tab, sourceUrl, targetName = null) {
+  let url;
+  try {
+    url = new URL(sourceUrl);
+  } catch (error) {
+    return flashBadge(tab, "Not a web page");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return flashBadge(tab, "Not a web page");
+  }
+
+  await EnvironmentDetector.loadConfig();
+  const target = await EnvironmentDetector.getSwitchTarget(url, targetName);
+
+  if (!target) {
+    return flashBadge(tab, targetName ? `Already on ${targetName}` : "No other environment known for this site");
+  }
+  if (!target.env.reachable) {
+    return flashBadge(tab, `${target.env.name} didn't respond: ${target.env.url}`);
   }
-});
\ No newline at end of file
+
+  const settings = await Settings.load();
+  await EnvironmentNavigator.open(target.url, tab, settings.navigationMode);
+}
+
+// Brief "!" on the toolbar icon with the reason in its tooltip, then the previous badge comes back
+async function flashBadge(tab, message) {
+  console.warn("ICG Dev Tools:", message);
+
+  const [text, colour, title] = await Promise.all([
+    chrome.action.getBadgeText({ tabId: tab.id }),
+    chrome.action.getBadgeBackgroundColor({ tabId: tab.id }),
+    chrome.action.getTitle({ tabId: tab.id })
+  ]);
+
+  await chrome.action.setBadgeText({ text: "!", tabId: tab.id });
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOURS.error, tabId: tab.id });
+  await chrome.action.setTitle({ title: message, tabId: tab.id });
+
+  setTimeout(async () => {
+    await chrome.action.setBadgeText({ text: text, tabId: tab.id });
+    await chrome.action.setBadgeBackgroundColor({ color: colour, tabId: tab.id });
+    await chrome.action.setTitle({ title: title, tabId: tab.id });
+  }, 4000);
+}
@@ -1,33 +1,98 @@
 // content.js
 (() => {
-  // Config: What signature are we looking for?
-  // We use contains (*=) to match "icg.agency" even inside longer URLs
-  const SIGNATURE_SELECTOR = 'a[href*="icg.agency"]';
-
-  function checkForSignature() {
-    const link = document.querySelector(SIGNATURE_SELECTOR);
-    
-    if (link) {
-      // Send message to background to light up the icon
-      // We wrap this in a try-catch to prevent errors if the extension context is invalidated (e.g. after an update)
-      try {
-        chrome.runtime.sendMessage({ action: "icg_site_detected" });
-      } catch (e) {
-        // Extension likely reloaded, silent fail is acceptable here
+  // Signature rules are set on the settings page; the background worker checks the hostname and
+  // response headers itself and sends back the rules to look for in the page (selectors, meta generator)
+  async function detectSignature() {
+    let config;
+    // We wrap this in a try-catch to prevent errors if the extension context is invalidated (e.g. after an update)
+    try {
+      config = await chrome.runtime.sendMessage({ action: "icg_get_signature_rules" });
+    } catch (e) {
+      // Extension likely reloaded, silent fail is acceptable here
+      return;
+    }
+    if (!config || config.matched) return;
+
+    if (reportSignature(config.rules)) return;
+
+    // Footers rendered late (SPAs, lazy loading) get another look as the page changes, within a time budget
+    let pending = null;
+    const observer = new MutationObserver(() => {
+      if (pending) return;
+      pending = setTimeout(() => {
+        pending = null;
+        if (reportSignature(config.rules)) stop();
+      }, 250);
+    });
+    const deadline = setTimeout(stop, config.watchMs);
+
+    function stop() {
+      observer.disconnect();
+      clearTimeout(deadline);
+      clearTimeout(pending);
+    }
+
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+  }
+
+  function findSignature(rules) {
+    return rules.find(rule => {
+      if (rule.type === "selector") {
+        try {
+          return Boolean(document.querySelector(rule.value));
+        } catch (e) {
+          return false; // Invalid selector saved on the settings page
+        }
       }
+      if (rule.type === "generator") {
+        return Array.from(document.querySelectorAll('meta[name="generator" i]'))
+          .some(meta => (meta.content || "").toLowerCase().includes(rule.value.toLowerCase()));
+      }
+      return false;
+    });
+  }
+
+  function reportSignature(rules) {
+    const rule = findSignature(rules);
+    if (!rule) return false;
+
+    // Send message to background to light up the icon
+    try {
+      chrome.runtime.sendMessage({ action: "icg_site_detected", rule: rule.description });
+    } catch (e) {
+      // Extension likely reloaded
     }
+    return true;
   }
 
   // Run immediately
-  checkForSignature();
+  detectSignature();
 
   // --- NEW LOGIC: Image Highlighting ---
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "highlight_images") {
       runLiveImageAudit();
     }
+
+    // Side panel "Live DOM" audits read the rendered document instead of re-fetching HTML
+    if (request.action === "serialize_dom") {
+      sendResponse(serializeDocument());
+    }
   });
 
+  function serializeDocument() {
+    const doctype = document.doctype ? `<!DOCTYPE ${document.doctype.name}>\n` : '';
+
+    return {
+      url: location.href,
+      title: document.title,
+      html: doctype + document.documentElement.outerHTML,
+      // Loaded script URLs include tags injected at runtime (e.g. by GTM)
+      scripts: Array.from(document.scripts).map(script => script.src).filter(Boolean),
+      capturedAt: new Date().toISOString()
+    };
+  }
+
   function runLiveImageAudit() {
     const images = document.querySelectorAll('img');
     let firstErrorFound = false;
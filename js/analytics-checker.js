@@ -1,23 +1,25 @@
 // Analytics and tracking detection
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+
 export class AnalyticsChecker {
   
-  static async testAnalyticsTracking(url) {
+  // cache: the audit's shared PageCache (may hold a live DOM snapshot instead of server HTML)
+  static async testAnalyticsTracking(url, cache = null) {
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        mode: 'cors'
-      });
+      const page = await (cache || new PageCache()).getPage(url);
       
-      if (!response.ok) {
+      if (!page.ok) {
         return {
           url: url,
           status: 'error',
-          message: `Failed to fetch page: ${response.status}`
+          message: `Failed to fetch page: ${page.status}`
         };
       }
       
-      const html = await response.text();
-      const analytics = this.detectAnalytics(html);
+      // Live DOM snapshots also carry runtime state (dataLayer, loaded scripts)
+      const analytics = this.detectAnalytics(page.html, page.runtime || null);
       
       return {
         url: url,
@@ -35,7 +37,7 @@ export class AnalyticsChecker {
     }
   }
 
-  static detectAnalytics(html) {
+  static detectAnalytics(html, runtime = null) {
     const analytics = {
       googleAnalytics: {
         found: false,
@@ -181,9 +183,61 @@ export class AnalyticsChecker {
       }
     });
 
+    // Live DOM audits: add anything only visible at runtime (tags injected by GTM etc.)
+    if (runtime) {
+      this.mergeRuntimeState(analytics, runtime);
+    }
+
     return analytics;
   }
 
+  static mergeRuntimeState(analytics, runtime) {
+    // Scan runtime state separately so duplicate-count warnings still only reflect the markup
+    const runtimeText = [
+      ...(runtime.scripts || []),
+      runtime.dataLayer?.json || '',
+      ...(runtime.googleTagIds || [])
+    ].join('\n');
+    const runtimeAnalytics = this.detectAnalytics(runtimeText);
+    
+    const mergeUnique = (target, source) => {
+      source.forEach(item => {
+        if (!target.includes(item)) target.push(item);
+      });
+    };
+    
+    Object.keys(runtimeAnalytics).forEach(key => {
+      const base = analytics[key];
+      const extra = runtimeAnalytics[key];
+      if (!extra.found) return;
+      
+      base.found = true;
+      ['versions', 'trackingIds', 'containerIds', 'pixelIds', 'siteIds', 'providers', 'details', 'services'].forEach(listKey => {
+        if (Array.isArray(base[listKey]) && Array.isArray(extra[listKey])) {
+          mergeUnique(base[listKey], extra[listKey]);
+        }
+      });
+    });
+    
+    // Generic/Custom is only a fallback - drop it if runtime found a named provider
+    if (analytics.cookieConsent.providers.length > 1) {
+      analytics.cookieConsent.providers = analytics.cookieConsent.providers.filter(p => p !== 'Generic/Custom');
+      analytics.cookieConsent.details = analytics.cookieConsent.details.filter(d => !d.startsWith('Generic/Custom'));
+    }
+    
+    analytics.runtime = {
+      scriptCount: (runtime.scripts || []).length,
+      dataLayer: runtime.dataLayer ? {
+        length: runtime.dataLayer.length,
+        events: runtime.dataLayer.events || []
+      } : null,
+      gtag: !!runtime.gtag,
+      ga: !!runtime.ga,
+      fbq: !!runtime.fbq,
+      googleTagIds: runtime.googleTagIds || []
+    };
+  }
+
   static detectCookieConsentProviders(html) {
     const cookieConsent = {
       found: false,
@@ -399,6 +453,25 @@ export class AnalyticsChecker {
     return cookieConsent;
   }
 
+  // Key values used when comparing two analytics results side by side
+  static extractFacts(result) {
+    const analytics = result?.analytics;
+    if (!analytics) return [];
+    
+    const otherServices = ['mixpanel', 'amplitude', 'segment', 'intercom', 'zendesk']
+      .filter(service => analytics[service].found);
+    if (analytics.facebookPixel.found) otherServices.unshift('facebookPixel');
+    if (analytics.hotjar.found) otherServices.unshift('hotjar');
+    
+    return [
+      { key: 'analytics.gaIds', label: 'Google Analytics IDs', value: analytics.googleAnalytics.trackingIds },
+      { key: 'analytics.gtmIds', label: 'GTM containers', value: analytics.googleTagManager.containerIds },
+      { key: 'analytics.otherServices', label: 'Other tracking', value: otherServices },
+      { key: 'analytics.cookieConsent', label: 'Cookie consent', value: analytics.cookieConsent.providers },
+      { key: 'analytics.retargeting', label: 'Retargeting', value: analytics.retargeting.services }
+    ];
+  }
+
   static generateAnalyticsSummary(analytics) {
     const summary = [];
     
@@ -459,4 +532,135 @@ export class AnalyticsChecker {
 
     return summary;
   }
-}
\ No newline at end of file
+
+  static renderResults(container, analyticsResult, scopeLabel = null) {
+    let details = [];
+    let status = analyticsResult.status;
+    
+    if (status === 'success' && analyticsResult.analytics) {
+      const analytics = analyticsResult.analytics;
+      
+      // Google Analytics
+      if (analytics.googleAnalytics.found) {
+        details.push(`📊 Google Analytics: ${analytics.googleAnalytics.versions.join(', ')}`);
+        if (analytics.googleAnalytics.trackingIds.length > 0) {
+          details.push(`   • Tracking IDs: ${analytics.googleAnalytics.trackingIds.join(', ')}`);
+        }
+      }
+      
+      // Google Tag Manager
+      if (analytics.googleTagManager.found) {
+        details.push(`🏷️ Google Tag Manager`);
+        if (analytics.googleTagManager.containerIds.length > 0) {
+          details.push(`   • Container IDs: ${analytics.googleTagManager.containerIds.join(', ')}`);
+        }
+      }
+      
+      // Facebook Pixel
+      if (analytics.facebookPixel.found) {
+        details.push(`📘 Facebook Pixel`);
+        if (analytics.facebookPixel.pixelIds.length > 0) {
+          details.push(`   • Pixel IDs: ${analytics.facebookPixel.pixelIds.join(', ')}`);
+        }
+      }
+      
+      // Hotjar
+      if (analytics.hotjar.found) {
+        details.push(`🔥 Hotjar`);
+        if (analytics.hotjar.siteIds.length > 0) {
+          details.push(`   • Site IDs: ${analytics.hotjar.siteIds.join(', ')}`);
+        }
+      }
+      
+      // Other analytics services
+      if (analytics.mixpanel.found) details.push('📈 Mixpanel');
+      if (analytics.amplitude.found) details.push('📊 Amplitude');
+      if (analytics.segment.found) details.push('🔗 Segment');
+      if (analytics.intercom.found) details.push('💬 Intercom');
+      if (analytics.zendesk.found) details.push('🎧 Zendesk');
+      
+      // Retargeting
+      if (analytics.retargeting.found && analytics.retargeting.services.length > 0) {
+        details.push(`🎯 Retargeting Services:`);
+        analytics.retargeting.services.forEach(service => {
+          details.push(`   • ${service}`);
+        });
+      }
+      
+      // Runtime state is only available for live DOM audits
+      if (analytics.runtime) {
+        details.push('');
+        details.push('🧠 Runtime State (Live DOM):');
+        if (analytics.runtime.dataLayer) {
+          const events = analytics.runtime.dataLayer.events;
+          details.push(`   • dataLayer: ${analytics.runtime.dataLayer.length} entries${events.length > 0 ? ` (events: ${events.join(', ')})` : ''}`);
+        } else {
+          details.push('   • dataLayer: Not defined');
+        }
+        details.push(`   • gtag(): ${analytics.runtime.gtag ? 'Defined' : 'Not defined'}`);
+        if (analytics.runtime.googleTagIds.length > 0) {
+          details.push(`   • Loaded Google tags: ${analytics.runtime.googleTagIds.join(', ')}`);
+        }
+        details.push(`   • Scripts loaded: ${analytics.runtime.scriptCount}`);
+        details.push('');
+      }
+      
+      // Cookie consent with detailed provider information
+      if (analytics.cookieConsent.found) {
+        if (analytics.cookieConsent.providers.length > 0) {
+          details.push(`🍪 Cookie Consent Providers:`);
+          analytics.cookieConsent.providers.forEach(provider => {
+            details.push(`   • ${provider}`);
+          });
+          
+          // Add detailed information if available
+          if (analytics.cookieConsent.details.length > 0) {
+            details.push(''); // Empty line for spacing
+            details.push('📋 Provider Details:');
+            analytics.cookieConsent.details.forEach(detail => {
+              details.push(`   • ${detail}`);
+            });
+          }
+        } else {
+          details.push('🍪 Cookie Consent detected (Generic/Unknown provider)');
+        }
+      }
+
+      // Check for specific issues
+      const gaIssues = analytics.googleAnalytics?.issues || [];
+      const gtmIssues = analytics.googleTagManager?.issues || [];
+
+      if(gaIssues.length > 0 || gtmIssues.length > 0) {
+          details.push('');
+          details.push('⚠️ Implementation Issues:');
+          gaIssues.forEach(i => details.push(`   • ${i}`));
+          gtmIssues.forEach(i => details.push(`   • ${i}`));
+      }
+      
+      if (details.length === 0) {
+        details.push('✅ No major analytics or tracking services detected');
+      }
+    } else if (status === 'success') {
+      // Fallback to summary if analytics object is not available
+      details.push(...(analyticsResult.summary || ['No major tracking detected']));
+    } else {
+      details.push('❌ Analytics check failed');
+      if (analyticsResult.error) {
+        details.push(`Error: ${analyticsResult.error}`);
+      }
+    }
+    
+    UIHelpers.addAccordionItem(container, 'analytics', status, '📊 Analytics & Tracking', details, false, scopeLabel);
+  }
+}
+
+CheckerRegistry.register({
+  id: 'analytics',
+  label: 'Check Analytics',
+  title: '📊 Analytics & Tracking',
+  scope: 'page',
+  checklistLabels: ({ scopeLabel }) => [`Analytics & Tracking check (${scopeLabel})`],
+  run: ({ pageUrl, cache }) => AnalyticsChecker.testAnalyticsTracking(pageUrl, cache),
+  render: (container, result, { scopeLabel }) => AnalyticsChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => AnalyticsChecker.extractFacts(result)
+});
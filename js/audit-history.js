@@ -0,0 +1,96 @@
+// Audit history - completed audits stored per domain in chrome.storage.local, plus diffing between runs
+import { CheckerRegistry } from './checker-registry.js';
+import { ResultDiff } from './result-diff.js';
+
+const STORAGE_PREFIX = 'auditHistory:';
+const MAX_RUNS_PER_DOMAIN = 20;
+
+const STATUS_RANK = { error: 0, warning: 1, success: 2 };
+
+export class AuditHistory {
+  static getStorageKey(domain) {
+    return `${STORAGE_PREFIX}${domain}`;
+  }
+
+  // Runs are stored newest first, in the export report format (see ReportExporter.buildReport)
+  static async list(domain) {
+    const key = this.getStorageKey(domain);
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || [];
+  }
+
+  static async get(domain, id) {
+    const runs = await this.list(domain);
+    return runs.find(run => run.id === id) || null;
+  }
+
+  // Latest run that audited the same target, so page audits aren't compared with the homepage
+  static async getPrevious(report) {
+    const runs = await this.list(report.target.domain);
+    return runs.find(run => this.isSameTarget(run, report)) || null;
+  }
+
+  static isSameTarget(a, b) {
+    const urlOf = run => run.target.scope === 'page' ? run.target.pageUrl : run.target.domainUrl;
+    return urlOf(a) === urlOf(b);
+  }
+
+  static async save(report) {
+    const domain = report.target.domain;
+    const runs = await this.list(domain);
+    const run = { id: `${Date.now()}`, ...report };
+    
+    runs.unshift(run);
+    await chrome.storage.local.set({ [this.getStorageKey(domain)]: runs.slice(0, MAX_RUNS_PER_DOMAIN) });
+    return run;
+  }
+
+  static async remove(domain, id) {
+    const runs = await this.list(domain);
+    await chrome.storage.local.set({ [this.getStorageKey(domain)]: runs.filter(run => run.id !== id) });
+  }
+
+  static async clear(domain) {
+    await chrome.storage.local.remove(this.getStorageKey(domain));
+  }
+
+  // What changed from an older run to a newer one, per check:
+  // [{ id, title, before, after, trend: 'better' | 'worse' | 'same', changes: [text] }]
+  static diffRuns(older, newer) {
+    const ids = [...new Set([...older.checks, ...newer.checks].map(check => check.id))];
+    
+    return ids.map(id => {
+      const before = older.checks.find(check => check.id === id) || null;
+      const after = newer.checks.find(check => check.id === id) || null;
+      const title = (after || before).title;
+      const changes = [];
+      
+      if (!before) {
+        changes.push('🆕 Check was not run in the earlier audit');
+      } else if (!after) {
+        changes.push('➖ Check was not run in the later audit');
+      } else {
+        const checker = CheckerRegistry.get(id);
+        if (checker && checker.extractFacts) {
+          ResultDiff.compareFacts(checker.extractFacts(before.result), checker.extractFacts(after.result))
+            .filter(row => row.changed)
+            .forEach(row => changes.push(ResultDiff.describeChange(row)));
+        }
+      }
+      
+      let trend = 'same';
+      if (before && after && before.status !== after.status) {
+        trend = STATUS_RANK[after.status] > STATUS_RANK[before.status] ? 'better' : 'worse';
+      }
+      
+      return {
+        id: id,
+        title: title,
+        before: before ? before.status : null,
+        after: after ? after.status : null,
+        trend: trend,
+        changes: changes
+      };
+    });
+  }
+}
@@ -0,0 +1,170 @@
+// Batch audit - runs the selected checkers against a list of sites for the portfolio dashboard
+//
+// Each site gets its own PageCache and the same domain-scope context the side panel builds for a
+// "Whole Site" audit; only a few sites are audited at once so dozens of them don't flood the network.
+
+import { PageCache } from './page-cache.js';
+import { TaskRunner } from './task-runner.js';
+import { MappingSources } from './mapping-sources.js';
+import { ReportExporter } from './report-exporter.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { ResultDiff } from './result-diff.js';
+
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 6;
+
+// Worst first, for a site's overall status and for sorting
+export const STATUS_ORDER = ['error', 'warning', 'success'];
+
+export class BatchAudit {
+  // Pasted lists: sites separated by new lines, commas, semicolons or spaces
+  // CSV files (firstColumnOnly): the first column of each row, skipping a "host"/"domain" header
+  // Returns { domains, invalid }
+  static parseDomainList(text, { firstColumnOnly = false } = {}) {
+    const domains = [];
+    const invalid = [];
+    
+    String(text || '').split(/\r?\n/).forEach(line => {
+      if (line.trim().startsWith('#')) return;
+      
+      const cells = line.split(firstColumnOnly ? ',' : /[,;\s]+/).slice(0, firstColumnOnly ? 1 : undefined);
+      cells.map(cell => cell.trim().replace(/^"|"$/g, '')).filter(Boolean).forEach(cell => {
+        if (firstColumnOnly && /^(host|domain|site|url)$/i.test(cell)) return;
+        
+        const host = MappingSources.normalizeHost(cell);
+        if (!host) {
+          invalid.push(cell);
+        } else if (!domains.includes(host)) {
+          domains.push(host);
+        }
+      });
+    });
+    return { domains, invalid };
+  }
+
+  // Every live host we know about: project mappings, overrides and environment lists (personal and shared)
+  static async getMappedDomains() {
+    const effective = await MappingSources.getEffectiveMappings();
+    const hosts = new Set([
+      ...Object.keys(effective.projectMappings),
+      ...Object.keys(effective.overrides),
+      ...Object.keys(effective.environments)
+    ]);
+    return Array.from(hosts).sort();
+  }
+
+  // Resolves to one row per site, in the order given:
+  // { domain, status, checks: { [checkerId]: { status, summary } }, requestCount, durationMs }
+  // Sites not started before the signal aborts are left out
+  // onSiteStart(domain) / onSiteDone(row) fire as each site starts and finishes
+  static async run(domains, checkers, { concurrency = DEFAULT_CONCURRENCY, timeoutMs = 20000, signal = null, onSiteStart = null, onSiteDone = null } = {}) {
+    const rows = new Array(domains.length);
+    let next = 0;
+    
+    const worker = async () => {
+      while (next < domains.length && !signal?.aborted) {
+        const index = next++;
+        if (onSiteStart) onSiteStart(domains[index]);
+        
+        rows[index] = await this.auditSite(domains[index], checkers, { timeoutMs, signal });
+        if (onSiteDone) onSiteDone(rows[index]);
+      }
+    };
+    
+    const workers = Math.max(1, Math.min(concurrency, MAX_CONCURRENCY, domains.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return rows.filter(Boolean);
+  }
+
+  static async auditSite(domain, checkers, { timeoutMs, signal }) {
+    const startedAt = Date.now();
+    const cleanDomain = domain.replace(/^www\./, '');
+    const domainUrl = `https://${cleanDomain}`;
+    const cache = new PageCache({ signal });
+    const context = {
+      domain: domain,
+      cleanDomain: cleanDomain,
+      domainUrl: domainUrl,
+      pageUrl: domainUrl,
+      tabUrl: null,
+      tabId: null,
+      timeoutMs: timeoutMs,
+      signal: signal,
+      cache: cache,
+      scopeLabel: `🌐 Domain: ${domain}`
+    };
+    
+    const checks = {};
+    await Promise.all(checkers.map(async checker => {
+      try {
+        const result = await TaskRunner.run(() => checker.run(context), { timeoutMs: CheckerRegistry.getTimeout(checker, timeoutMs), signal, label: checker.title });
+        checks[checker.id] = { status: this.getCheckStatus(result), summary: this.summarize(result, checker) };
+      } catch (error) {
+        const note = TaskRunner.isCancelled(error) ? 'Cancelled' : error.message;
+        checks[checker.id] = { status: 'error', summary: `❌ ${note}` };
+      }
+    }));
+    
+    const statuses = Object.values(checks).map(check => check.status);
+    return {
+      domain: domain,
+      status: STATUS_ORDER.find(status => statuses.includes(status)) || 'success',
+      checks: checks,
+      requestCount: cache.requestCount,
+      durationMs: Date.now() - startedAt
+    };
+  }
+
+  static getCheckStatus(result) {
+    return STATUS_ORDER.includes(result?.status) ? result.status : 'error';
+  }
+
+  // A checker's key facts (or else the first few lines of its details) as plain text, for the dashboard
+  // cell tooltip; most domain checkers return structured results without details
+  static summarize(result, checker = null) {
+    const facts = result && checker?.extractFacts ? checker.extractFacts(result) : [];
+    const lines = facts.length > 0
+      ? facts.map(fact => `${fact.label}: ${ResultDiff.formatValue(fact.value)}`)
+      : (result?.details || [])
+        .filter(detail => typeof detail === 'string')
+        .map(detail => detail.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    
+    const failure = result?.status === 'error' && (result.error || result.message);
+    if (failure) lines.unshift(`❌ ${failure}`);
+    return lines.slice(0, 6).join('\n');
+  }
+
+  // --- EXPORT ---
+
+  static toCSV(rows, checkers) {
+    const escape = value => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['site', 'overall', ...checkers.map(checker => checker.id)];
+    const lines = rows.map(row => [
+      row.domain,
+      row.status,
+      ...checkers.map(checker => row.checks[checker.id]?.status || '')
+    ]);
+    return [header, ...lines].map(line => line.map(escape).join(',')).join('\n') + '\n';
+  }
+
+  static toJSON(rows, checkers) {
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      checkers: checkers.map(checker => ({ id: checker.id, title: checker.title })),
+      sites: rows
+    }, null, 2);
+  }
+
+  static download(rows, checkers, format) {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+    if (format === 'csv') {
+      ReportExporter.download(this.toCSV(rows, checkers), `icg-portfolio-${stamp}.csv`, 'text/csv');
+    } else {
+      ReportExporter.download(this.toJSON(rows, checkers), `icg-portfolio-${stamp}.json`, 'application/json');
+    }
+  }
+}
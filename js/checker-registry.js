@@ -0,0 +1,60 @@
+// Checker registry - the side panel builds its options, checklist and results from these definitions
+//
+// Each checker module registers itself with:
+//   id              unique key, also used for the option checkbox and stored results
+//   label           option label in the side panel
+//   title           results accordion title
+//   scope           'domain' (runs against the origin) or 'page' (follows the audit scope / live DOM)
+//   defaultEnabled  whether the option starts ticked
+//   required        always runs, no option shown (e.g. the HTTPS/HTTP check)
+//   run(context)    returns the checker result; context holds the target URLs and the shared PageCache
+//   render(container, result, context)  adds the result to the accordion
+//   checklistLabels(context)  optional - checklist row label(s), one per row
+//   rowStatuses(result)       optional - status per checklist row
+//   extractFacts(result)      optional - key values used for side-by-side comparisons
+//   timeoutFor(timeoutMs)     optional - own timeout from the per-check one, for checks that load many pages
+const checkers = [];
+
+export class CheckerRegistry {
+  static register(definition) {
+    if (!definition.id || typeof definition.run !== 'function' || typeof definition.render !== 'function') {
+      throw new Error(`Checker "${definition.id}" needs an id, run() and render()`);
+    }
+    if (checkers.some(checker => checker.id === definition.id)) {
+      throw new Error(`Checker "${definition.id}" is already registered`);
+    }
+    
+    checkers.push({
+      scope: 'domain',
+      defaultEnabled: false,
+      required: false,
+      ...definition
+    });
+  }
+
+  static getAll() {
+    return [...checkers];
+  }
+
+  static get(id) {
+    return checkers.find(checker => checker.id === id) || null;
+  }
+
+  static getChecklistLabels(checker, context) {
+    if (checker.checklistLabels) {
+      return checker.checklistLabels(context);
+    }
+    return [`${checker.title} (${context.scopeLabel})`];
+  }
+
+  static getTimeout(checker, timeoutMs) {
+    return checker.timeoutFor ? checker.timeoutFor(timeoutMs) : timeoutMs;
+  }
+
+  static getRowStatuses(checker, result) {
+    if (checker.rowStatuses) {
+      return checker.rowStatuses(result);
+    }
+    return [['success', 'warning'].includes(result?.status) ? result.status : 'error'];
+  }
+}
@@ -0,0 +1,15 @@
+// All audit checkers - importing a module registers it, so adding a check is one line here.
+// Registration order is the order of the side panel options, checklist and results.
+import './url-checker.js';
+import './non-developer-checker.js';
+import './robots-checker.js';
+import './analytics-checker.js';
+import './ssl-checker.js';
+import './meta-checker.js';
+import './images-checker.js';
+import './go-live-checker.js';
+import './dev-leak-checker.js';
+import './crawl-checker.js';
+import './sitemap-checker.js';
+
+export { CheckerRegistry } from './checker-registry.js';
@@ -0,0 +1,351 @@
+// Site crawler - follows internal links from the home page and sitemaps to audit many pages at once
+//
+// The crawl is bounded by the page, depth and concurrency limits on the options page and stops taking new
+// pages before its time budget runs out, so a large site gives partial results rather than a timeout.
+// Each page goes through the meta, image and analytics analysers and the findings are added up site-wide.
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+import { TaskRunner } from './task-runner.js';
+import { Settings } from './settings.js';
+import { RobotsChecker } from './robots-checker.js';
+import { MetaChecker } from './meta-checker.js';
+import { ImageChecker } from './images-checker.js';
+import { AnalyticsChecker } from './analytics-checker.js';
+
+// The crawl gets this many times the per-check timeout, and stops queueing pages shortly before it
+const CRAWL_TIMEOUT_FACTOR = 6;
+const DEADLINE_MARGIN_MS = 3000;
+
+// Files linked from pages that aren't worth downloading as pages
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|zip|docx?|xlsx?|pptx?|mp3|mp4|mov|css|js|xml|txt)$/i;
+
+const MAX_LISTED = 10;
+
+export class CrawlChecker {
+  // limits: { maxPages, maxDepth, concurrency } from the settings; timeLimitMs: when to stop queueing pages
+  static async crawlSite(domainUrl, cache, { maxPages, maxDepth, concurrency, pageTimeoutMs, timeLimitMs, signal = null }) {
+    const deadline = Date.now() + timeLimitMs;
+    const robots = await RobotsChecker.testRobotsUrl(domainUrl, cache);
+    const robotsAnalysis = robots.status === 'success' ? robots.analysis : null;
+    const siteHost = this.getSiteHost(new URL(domainUrl).hostname);
+    
+    const pages = [];
+    const seen = new Set();
+    const queue = [];
+    const linkSources = new Map(); // internal URL -> pages linking to it
+    let blockedByRobots = 0;
+    let stoppedEarly = false;
+    
+    const enqueue = (url, depth) => {
+      if (seen.has(url) || depth > maxDepth) return;
+      seen.add(url);
+      if (robotsAnalysis && !RobotsChecker.isPathAllowed(RobotsChecker.toRobotsPath(url), robotsAnalysis)) {
+        blockedByRobots++;
+        return;
+      }
+      queue.push({ url, depth });
+    };
+    
+    enqueue(`${domainUrl}/`, 0);
+    const sitemapUrls = await this.getSitemapUrls(robotsAnalysis, cache, maxPages);
+    sitemapUrls.forEach(url => {
+      const internal = this.toInternalUrl(url, domainUrl, siteHost);
+      if (internal) enqueue(internal, 1);
+    });
+    
+    const crawlOne = async ({ url, depth }) => {
+      const page = await this.crawlPage(url, depth, cache, { pageTimeoutMs, signal });
+      pages.push(page);
+      
+      page.links.forEach(link => {
+        const internal = this.toInternalUrl(link, page.finalUrl || url, siteHost);
+        if (!internal) return;
+        if (!linkSources.has(internal)) linkSources.set(internal, new Set());
+        linkSources.get(internal).add(url);
+        enqueue(internal, depth + 1);
+      });
+    };
+    
+    // A small pool that keeps topping itself up from the queue as pages finish
+    const active = new Set();
+    while (queue.length > 0 || active.size > 0) {
+      while (queue.length > 0 && active.size < concurrency && pages.length + active.size < maxPages && !signal?.aborted) {
+        if (Date.now() > deadline) {
+          stoppedEarly = true;
+          break;
+        }
+        const task = crawlOne(queue.shift()).finally(() => active.delete(task));
+        active.add(task);
+      }
+      if (active.size === 0) break;
+      await Promise.race(active);
+    }
+    
+    return {
+      url: domainUrl,
+      pages: pages,
+      linkSources: linkSources,
+      blockedByRobots: blockedByRobots,
+      sitemapUrls: sitemapUrls.length,
+      notCrawled: queue.length,
+      stoppedEarly: stoppedEarly,
+      limits: { maxPages, maxDepth, concurrency }
+    };
+  }
+
+  // Returns { url, finalUrl, depth, status, error, isHtml, title, description, hasAnalytics, images, missingAlt, links }
+  static async crawlPage(url, depth, cache, { pageTimeoutMs, signal }) {
+    const page = { url, finalUrl: url, depth, status: null, error: null, isHtml: false, links: [] };
+    
+    try {
+      const response = await TaskRunner.run(() => cache.getPage(url), { timeoutMs: pageTimeoutMs, signal, label: url });
+      page.finalUrl = response.finalUrl;
+      page.status = response.status;
+      
+      const contentType = response.headers['content-type'] || 'text/html';
+      if (!response.ok || !contentType.includes('html')) return page;
+      
+      const doc = new DOMParser().parseFromString(response.html, 'text/html');
+      const meta = MetaChecker.analyzeMetaTags(response.html);
+      const images = ImageChecker.analyzeImages(doc);
+      const analytics = AnalyticsChecker.detectAnalytics(response.html);
+      
+      return {
+        ...page,
+        isHtml: true,
+        title: meta.title.content.trim(),
+        description: meta.description.content.trim(),
+        hasAnalytics: analytics.googleAnalytics.trackingIds.some(id => id.startsWith('G-')) || analytics.googleTagManager.containerIds.length > 0,
+        images: images.total,
+        missingAlt: images.missingAlt.length,
+        links: Array.from(doc.querySelectorAll('a[href]'), link => link.getAttribute('href'))
+      };
+    } catch (error) {
+      if (TaskRunner.isCancelled(error)) throw error;
+      return { ...page, error: error.message };
+    }
+  }
+
+  // Page URLs listed in the sitemaps declared in robots.txt (sitemap indexes are not followed)
+  static async getSitemapUrls(robotsAnalysis, cache, limit) {
+    const urls = [];
+    
+    for (const sitemapUrl of robotsAnalysis?.sitemaps || []) {
+      if (urls.length >= limit) break;
+      try {
+        const sitemap = await cache.getPage(sitemapUrl);
+        if (!sitemap.ok || /<sitemapindex[\s>]/i.test(sitemap.html)) continue;
+        
+        const locs = Array.from(sitemap.html.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi), match => match[1].replace(/&amp;/g, '&'));
+        urls.push(...locs.slice(0, limit - urls.length));
+      } catch (error) {
+        if (TaskRunner.isCancelled(error)) throw error;
+        console.warn(`Could not read sitemap ${sitemapUrl}:`, error);
+      }
+    }
+    return urls;
+  }
+
+  // Same-site http(s) page URL without its fragment, or null for external links and files
+  static toInternalUrl(href, baseUrl, siteHost) {
+    let url;
+    try {
+      url = new URL(href, baseUrl);
+    } catch (error) {
+      return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || this.getSiteHost(url.hostname) !== siteHost) return null;
+    if (SKIPPED_EXTENSIONS.test(url.pathname)) return null;
+    
+    url.hash = '';
+    return url.href;
+  }
+
+  static getSiteHost(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+  }
+
+  // --- SITE-WIDE FINDINGS ---
+
+  static summarize(crawl) {
+    const htmlPages = crawl.pages.filter(page => page.isHtml);
+    const failedPages = crawl.pages.filter(page => page.error || page.status >= 400);
+    
+    const brokenLinks = failedPages
+      .filter(page => crawl.linkSources.has(page.url))
+      .map(page => ({
+        url: page.url,
+        status: page.error ? page.error : `HTTP ${page.status}`,
+        foundOn: Array.from(crawl.linkSources.get(page.url))
+      }));
+    
+    return {
+      pagesCrawled: crawl.pages.length,
+      htmlPages: htmlPages.length,
+      failedPages: failedPages.length,
+      duplicateTitles: this.findDuplicates(htmlPages, 'title'),
+      duplicateDescriptions: this.findDuplicates(htmlPages, 'description'),
+      missingTitles: htmlPages.filter(page => !page.title).map(page => page.url),
+      missingDescriptions: htmlPages.filter(page => !page.description).map(page => page.url),
+      missingAnalytics: htmlPages.filter(page => !page.hasAnalytics).map(page => page.url),
+      totalImages: htmlPages.reduce((sum, page) => sum + page.images, 0),
+      missingAlt: htmlPages.reduce((sum, page) => sum + page.missingAlt, 0),
+      pagesMissingAlt: htmlPages
+        .filter(page => page.missingAlt > 0)
+        .sort((a, b) => b.missingAlt - a.missingAlt)
+        .map(page => ({ url: page.url, missingAlt: page.missingAlt })),
+      brokenLinks: brokenLinks
+    };
+  }
+
+  // [{ value, urls }] for values shared by more than one page
+  static findDuplicates(pages, field) {
+    const groups = new Map();
+    pages.filter(page => page[field]).forEach(page => {
+      if (!groups.has(page[field])) groups.set(page[field], []);
+      groups.get(page[field]).push(page.url);
+    });
+    return Array.from(groups, ([value, urls]) => ({ value, urls })).filter(group => group.urls.length > 1);
+  }
+
+  static getStatus(summary) {
+    if (summary.htmlPages === 0 || summary.brokenLinks.length > 0 || summary.missingAlt > 0) return 'error';
+    
+    const warnings = summary.duplicateTitles.length + summary.duplicateDescriptions.length +
+      summary.missingTitles.length + summary.missingDescriptions.length + summary.missingAnalytics.length;
+    return warnings > 0 ? 'warning' : 'success';
+  }
+
+  // --- CHECKER ---
+
+  static async testSite(domainUrl, cache, { timeoutMs = 20000, signal = null } = {}) {
+    try {
+      const settings = await Settings.load();
+      const crawl = await this.crawlSite(domainUrl, cache, {
+        ...settings.crawl,
+        pageTimeoutMs: timeoutMs,
+        timeLimitMs: timeoutMs * CRAWL_TIMEOUT_FACTOR - DEADLINE_MARGIN_MS,
+        signal: signal
+      });
+      const summary = this.summarize(crawl);
+      
+      return {
+        url: domainUrl,
+        status: this.getStatus(summary),
+        crawl: {
+          blockedByRobots: crawl.blockedByRobots,
+          sitemapUrls: crawl.sitemapUrls,
+          notCrawled: crawl.notCrawled,
+          stoppedEarly: crawl.stoppedEarly,
+          limits: crawl.limits
+        },
+        summary: summary,
+        pages: crawl.pages.map(({ links, ...page }) => page) // links are only needed during the crawl
+      };
+    } catch (error) {
+      if (TaskRunner.isCancelled(error)) throw error;
+      console.error('Site crawl error:', error);
+      return {
+        url: domainUrl,
+        status: 'error',
+        error: error.message
+      };
+    }
+  }
+
+  // Key values used when comparing two crawls (e.g. between audit runs)
+  static extractFacts(result) {
+    const summary = result?.summary;
+    if (!summary) return [];
+    
+    return [
+      { key: 'crawl.pages', label: 'Pages crawled', value: summary.pagesCrawled },
+      { key: 'crawl.duplicateTitles', label: 'Duplicate titles', value: summary.duplicateTitles.map(group => group.value) },
+      { key: 'crawl.duplicateDescriptions', label: 'Duplicate descriptions', value: summary.duplicateDescriptions.length },
+      { key: 'crawl.missingAnalytics', label: 'Pages without GA4/GTM', value: summary.missingAnalytics.length },
+      { key: 'crawl.missingAlt', label: 'Images missing ALT', value: summary.missingAlt },
+      { key: 'crawl.brokenLinks', label: 'Broken internal links', value: summary.brokenLinks.map(link => link.url) }
+    ];
+  }
+
+  static renderResults(container, result, scopeLabel = null) {
+    const details = [];
+    
+    if (result.error) {
+      details.push('❌ Site crawl failed');
+      details.push(`Error: ${result.error}`);
+      UIHelpers.addAccordionItem(container, 'crawl', 'error', '🕸️ Site Crawl', details, false, scopeLabel);
+      return;
+    }
+    
+    const { summary, crawl } = result;
+    const path = url => {
+      const parsed = new URL(url);
+      return `${parsed.pathname}${parsed.search}`;
+    };
+    const list = (urls, format = path) => {
+      urls.slice(0, MAX_LISTED).forEach(url => details.push(`   • ${format(url)}`));
+      if (urls.length > MAX_LISTED) details.push(`   ... and ${urls.length - MAX_LISTED} more`);
+    };
+    
+    details.push(`📄 Pages crawled: ${summary.pagesCrawled} (limits: ${crawl.limits.maxPages} pages, depth ${crawl.limits.maxDepth}, ${crawl.limits.concurrency} at once)`);
+    if (crawl.sitemapUrls > 0) details.push(`🗺️ Seeded with ${crawl.sitemapUrls} URL(s) from the sitemaps in robots.txt`);
+    if (crawl.blockedByRobots > 0) details.push(`🤖 ${crawl.blockedByRobots} URL(s) skipped because robots.txt disallows them`);
+    if (crawl.stoppedEarly) details.push('⏱️ Stopped early to stay within the time limit; raise the check timeout to crawl further');
+    if (crawl.notCrawled > 0) details.push(`ℹ️ ${crawl.notCrawled} more internal URL(s) found but not crawled`);
+    
+    details.push('');
+    if (summary.brokenLinks.length > 0) {
+      details.push(`❌ Broken internal links: ${summary.brokenLinks.length}`);
+      list(summary.brokenLinks, link => `${path(link.url)} (${link.status}), linked from ${link.foundOn.slice(0, 3).map(path).join(', ')}`);
+    } else {
+      details.push('✅ No broken links between the crawled pages');
+    }
+    
+    if (summary.missingAlt > 0) {
+      details.push(`❌ Images missing ALT: ${summary.missingAlt} of ${summary.totalImages} on ${summary.pagesMissingAlt.length} page(s)`);
+      list(summary.pagesMissingAlt, page => `${path(page.url)} (${page.missingAlt})`);
+    } else {
+      details.push(`✅ All ${summary.totalImages} image(s) have ALT attributes`);
+    }
+    
+    if (summary.missingAnalytics.length > 0) {
+      details.push(`⚠️ Pages without a GA4 ID or GTM container: ${summary.missingAnalytics.length}`);
+      list(summary.missingAnalytics);
+    } else {
+      details.push('✅ GA4 or GTM found on every page');
+    }
+    
+    [['title', summary.duplicateTitles, summary.missingTitles], ['description', summary.duplicateDescriptions, summary.missingDescriptions]].forEach(([field, duplicates, missing]) => {
+      if (duplicates.length > 0) {
+        details.push(`⚠️ Duplicate ${field}s: ${duplicates.length}`);
+        list(duplicates, group => `"${group.value}" on ${group.urls.length} pages: ${group.urls.slice(0, 3).map(path).join(', ')}`);
+      } else {
+        details.push(`✅ Every ${field} is unique`);
+      }
+      if (missing.length > 0) {
+        details.push(`⚠️ Pages missing a ${field}: ${missing.length}`);
+        list(missing);
+      }
+    });
+    
+    if (summary.failedPages > 0) {
+      details.push('');
+      details.push(`💡 ${summary.failedPages} page(s) could not be loaded; links to them are listed as broken`);
+    }
+    
+    UIHelpers.addAccordionItem(container, 'crawl', result.status, '🕸️ Site Crawl', details, false, scopeLabel);
+  }
+}
+
+CheckerRegistry.register({
+  id: 'crawl',
+  label: 'Crawl Site (multi-page)',
+  title: '🕸️ Site Crawl',
+  scope: 'domain',
+  checklistLabels: ({ domainUrl }) => [`Site crawl from ${domainUrl}`],
+  timeoutFor: timeoutMs => timeoutMs * CRAWL_TIMEOUT_FACTOR,
+  run: ({ domainUrl, cache, timeoutMs, signal }) => CrawlChecker.testSite(domainUrl, cache, { timeoutMs, signal }),
+  render: (container, result, { scopeLabel }) => CrawlChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => CrawlChecker.extractFacts(result)
+});
@@ -0,0 +1,71 @@
+// Detection cache - last probe result for each environment of a project, so the popup, shortcuts and menus don't wait on pings
+//
+// Kept in chrome.storage.local so it survives browser restarts; entries expire after a TTL, and
+// misses expire sooner so a dev site that comes back up is noticed quickly.
+
+const CACHE_PREFIX = 'detection:';
+
+export const DETECTION_TTL_MS = 30 * 60 * 1000;
+const MISS_TTL_MS = 5 * 60 * 1000;
+
+// Environments are probed in parallel and share one storage key, so writes take turns
+let pendingWrite = Promise.resolve();
+
+export class DetectionCache {
+  static getStorageKey(liveHost) {
+    return `${CACHE_PREFIX}${liveHost}`;
+  }
+
+  static isFresh(entry) {
+    const ttl = entry.reachable ? DETECTION_TTL_MS : MISS_TTL_MS;
+    return Date.now() - entry.checkedAt < ttl;
+  }
+
+  // { url, reachable, status, confidence, reasons, checks, checkedAt } or null when missing or expired
+  static async get(liveHost, name) {
+    const key = this.getStorageKey(liveHost);
+    const stored = await chrome.storage.local.get(key);
+    const entry = (stored[key] || {})[name];
+    return entry && this.isFresh(entry) ? entry : null;
+  }
+
+  static set(liveHost, env) {
+    pendingWrite = pendingWrite.then(() => this.write(liveHost, env)).catch(error => console.warn('Detection cache write failed:', error));
+    return pendingWrite;
+  }
+
+  static async write(liveHost, env) {
+    const key = this.getStorageKey(liveHost);
+    const stored = await chrome.storage.local.get(key);
+    
+    // Expired entries for other environments are dropped on the way through
+    const entries = Object.fromEntries(Object.entries(stored[key] || {}).filter(([, entry]) => this.isFresh(entry)));
+    
+    await chrome.storage.local.set({
+      [key]: {
+        ...entries,
+        [env.name]: {
+          url: env.url,
+          reachable: env.reachable,
+          status: env.status,
+          confidence: env.confidence,
+          reasons: env.reasons,
+          checks: env.checks,
+          checkedAt: env.checkedAt || Date.now()
+        }
+      }
+    });
+  }
+
+  static async clear(liveHost) {
+    await chrome.storage.local.remove(this.getStorageKey(liveHost));
+  }
+
+  // "just now", "4 min ago", "2 h ago"
+  static describeAge(checkedAt) {
+    const minutes = Math.floor((Date.now() - checkedAt) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    return `${Math.floor(minutes / 60)} h ago`;
+  }
+}
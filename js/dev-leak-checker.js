@@ -0,0 +1,245 @@
+// Dev-environment leak scanner - finds references to staging hostnames left on a live page
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+import { EnvironmentDetector } from './environment-detector.js';
+
+// Elements and attributes that hold URLs; srcset values can hold several
+const URL_ATTRIBUTES = [
+  ['a[href]', 'href'],
+  ['link[href]', 'href'],
+  ['script[src]', 'src'],
+  ['img[src]', 'src'],
+  ['img[srcset]', 'srcset'],
+  ['source[src]', 'src'],
+  ['source[srcset]', 'srcset'],
+  ['video[src]', 'src'],
+  ['video[poster]', 'poster'],
+  ['iframe[src]', 'src'],
+  ['form[action]', 'action'],
+  ['meta[content]', 'content'],
+  ['[style]', 'style'],
+  ['[data-src]', 'data-src'],
+  ['[data-srcset]', 'data-srcset']
+];
+
+const MAX_STYLESHEETS = 10;
+
+export class DevLeakChecker {
+  static async testDevLeaks(url, cache = null) {
+    cache = cache || new PageCache();
+    
+    try {
+      const pageUrl = new URL(url);
+      const cleanHost = EnvironmentDetector.getCleanHost(pageUrl.hostname);
+      
+      if (EnvironmentDetector.isDevHost(pageUrl.hostname)) {
+        return {
+          url: url,
+          status: 'warning',
+          skipped: true,
+          leaks: [],
+          message: 'This is a dev site, so references to dev hostnames are expected. Run the leak scan on the live site.'
+        };
+      }
+      
+      const page = await cache.getPage(url);
+      if (!page.ok) {
+        throw new Error(`HTTP ${page.status}: ${page.statusText}`);
+      }
+      
+      let overrideHosts = [];
+      try {
+        overrideHosts = await EnvironmentDetector.getOverrideHosts();
+      } catch (error) {
+        console.warn('Could not read dev overrides:', error);
+      }
+      
+      const hostRegex = EnvironmentDetector.getDevHostRegex(cleanHost, overrideHosts);
+      const urlRegex = new RegExp(`(?:(?:https?:)?(?:\\\\?/){2})?(?:${hostRegex.source})(?:\\\\/|[^\\s"'()<>,\\\\])*`, 'gi');
+      
+      const doc = new DOMParser().parseFromString(page.html, 'text/html');
+      const stylesheets = await this.scanStylesheets(doc, url, urlRegex, cache);
+      const leaks = [
+        ...this.scanAttributes(doc, urlRegex),
+        ...this.scanInlineBlocks(doc, urlRegex),
+        ...stylesheets.leaks
+      ];
+      
+      return {
+        url: url,
+        status: leaks.length > 0 ? 'error' : 'success',
+        leaks: leaks,
+        leakedHosts: [...new Set(leaks.map(leak => leak.host))],
+        stylesheetsScanned: stylesheets.scanned
+      };
+    } catch (error) {
+      console.error('Dev leak scan error:', error);
+      return {
+        url: url,
+        status: 'error',
+        leaks: [],
+        error: error.message
+      };
+    }
+  }
+
+  // Every dev URL in a piece of text (attribute value, script body, stylesheet)
+  static findDevUrls(text, urlRegex) {
+    if (!text) return [];
+    return [...new Set(Array.from(text.matchAll(urlRegex), match => match[0].replace(/\\\//g, '/')))];
+  }
+
+  static getHost(devUrl) {
+    return devUrl.replace(/^(?:https?:)?\/\//i, '').split(/[/?#:]/)[0].toLowerCase();
+  }
+
+  // Short element description for content editors, e.g. <img class="hero">
+  static describeElement(element) {
+    const tag = element.tagName.toLowerCase();
+    if (element.id) return `<${tag} id="${element.id}">`;
+    
+    const rel = element.getAttribute('rel');
+    const property = element.getAttribute('property') || element.getAttribute('name');
+    const hreflang = element.getAttribute('hreflang');
+    if (hreflang) return `<${tag} rel="${rel}" hreflang="${hreflang}">`;
+    if (rel) return `<${tag} rel="${rel}">`;
+    if (property) return `<${tag} ${element.hasAttribute('property') ? 'property' : 'name'}="${property}">`;
+    
+    const className = (element.getAttribute('class') || '').trim().split(/\s+/)[0];
+    return className ? `<${tag} class="${className}">` : `<${tag}>`;
+  }
+
+  static buildLeak(element, attribute, source, devUrl) {
+    return {
+      element: element,
+      attribute: attribute,
+      source: source,
+      url: devUrl,
+      host: this.getHost(devUrl)
+    };
+  }
+
+  // Links, assets, srcsets, canonical/hreflang/OG URLs and inline styles
+  static scanAttributes(doc, urlRegex) {
+    const leaks = [];
+    const seen = new Set();
+    
+    URL_ATTRIBUTES.forEach(([selector, attribute]) => {
+      doc.querySelectorAll(selector).forEach(element => {
+        this.findDevUrls(element.getAttribute(attribute), urlRegex).forEach(devUrl => {
+          const description = this.describeElement(element);
+          const key = `${description}|${attribute}|${devUrl}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+          leaks.push(this.buildLeak(description, attribute, 'attribute', devUrl));
+        });
+      });
+    });
+    
+    return leaks;
+  }
+
+  // Inline scripts, JSON-LD and <style> blocks
+  static scanInlineBlocks(doc, urlRegex) {
+    const leaks = [];
+    
+    doc.querySelectorAll('script:not([src]), style').forEach((element, index) => {
+      const isJsonLd = (element.getAttribute('type') || '').toLowerCase() === 'application/ld+json';
+      const source = isJsonLd ? 'JSON-LD' : element.tagName === 'STYLE' ? 'inline style' : 'inline script';
+      const label = `<${element.tagName.toLowerCase()}${isJsonLd ? ' type="application/ld+json"' : ''}> #${index + 1}`;
+      
+      this.findDevUrls(element.textContent, urlRegex).forEach(devUrl => {
+        leaks.push(this.buildLeak(label, 'content', source, devUrl));
+      });
+    });
+    
+    return leaks;
+  }
+
+  // Same-site stylesheets, where background images and fonts are often hard-coded
+  // Returns { leaks, scanned }
+  static async scanStylesheets(doc, pageUrl, urlRegex, cache) {
+    const pageHost = new URL(pageUrl).hostname;
+    const sheets = Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href]'))
+      .map(link => {
+        try {
+          return new URL(link.getAttribute('href'), pageUrl);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(sheetUrl => sheetUrl && sheetUrl.hostname === pageHost)
+      .slice(0, MAX_STYLESHEETS);
+    
+    const results = await Promise.all(sheets.map(async sheetUrl => {
+      try {
+        const sheet = await cache.getPage(sheetUrl.href);
+        if (!sheet.ok) return [];
+        
+        const file = sheetUrl.pathname.split('/').pop() || sheetUrl.pathname;
+        return this.findDevUrls(sheet.html, urlRegex)
+          .map(devUrl => this.buildLeak(file, 'stylesheet', 'stylesheet', devUrl));
+      } catch (error) {
+        console.warn(`Could not scan stylesheet ${sheetUrl.href}:`, error);
+        return [];
+      }
+    }));
+    
+    return { leaks: results.flat(), scanned: sheets.length };
+  }
+
+  static renderResults(container, result, scopeLabel = null) {
+    const details = [];
+    
+    if (result.error) {
+      details.push('❌ Dev leak scan failed');
+      details.push(`Error: ${result.error}`);
+    } else if (result.skipped) {
+      details.push(`⚠️ ${result.message}`);
+    } else if (result.leaks.length === 0) {
+      details.push('✅ No references to dev or staging hostnames found');
+      details.push(`🔍 Scanned links, assets, srcsets, meta/canonical/hreflang URLs, inline scripts, JSON-LD and ${result.stylesheetsScanned} stylesheet(s)`);
+    } else {
+      details.push(`❌ ${result.leaks.length} reference(s) to dev hostnames found`);
+      details.push(`🌐 Hosts: ${result.leakedHosts.join(', ')}`);
+      details.push('');
+      details.push('📋 Leaks (element · attribute → URL):');
+      
+      result.leaks.slice(0, 30).forEach(leak => {
+        details.push(`   • ${leak.element} · ${leak.attribute} → ${leak.url}`);
+      });
+      if (result.leaks.length > 30) {
+        details.push(`   ... and ${result.leaks.length - 30} more`);
+      }
+      
+      details.push('');
+      details.push('💡 Replace hard-coded staging URLs with relative links or the live domain');
+    }
+    
+    // Element descriptions look like tags, so escape them and render the line as markup
+    const safeDetails = details.map(detail => detail.includes('<') ? `<span>${UIHelpers.escapeHtml(detail)}</span>` : detail);
+    UIHelpers.addAccordionItem(container, 'devLeaks', result.status, '🕵️ Dev Environment Leaks', safeDetails, false, scopeLabel);
+  }
+
+  // Key values used when comparing two leak scans (e.g. between audit runs)
+  static extractFacts(result) {
+    if (!result || result.error || result.skipped) return [];
+    
+    return [
+      { key: 'devLeaks.count', label: 'Dev hostname references', value: result.leaks.length },
+      { key: 'devLeaks.hosts', label: 'Leaked dev hosts', value: result.leakedHosts }
+    ];
+  }
+}
+
+CheckerRegistry.register({
+  id: 'devLeaks',
+  label: 'Dev Leak Scan',
+  title: '🕵️ Dev Environment Leaks',
+  scope: 'page',
+  checklistLabels: ({ scopeLabel }) => [`Dev environment leak scan (${scopeLabel})`],
+  run: ({ pageUrl, cache }) => DevLeakChecker.testDevLeaks(pageUrl, cache),
+  render: (container, result, { scopeLabel }) => DevLeakChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => DevLeakChecker.extractFacts(result)
+});
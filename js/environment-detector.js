@@ -0,0 +1,486 @@
+// Environment detection - finds a site's dev twin and its other named environments (shared by the popup switcher and the side panel)
+
+import { Settings, PROJECT_MAPPINGS, DEFAULT_DEV_SUFFIX } from './settings.js';
+import { MappingSources } from './mapping-sources.js';
+import { DetectionCache } from './detection-cache.js';
+import { SiteValidator } from './site-validator.js';
+
+// Built-in defaults until loadConfig() reads the options page settings and shared mapping file
+let config = {
+  devSuffix: DEFAULT_DEV_SUFFIX,
+  projectMappings: { ...PROJECT_MAPPINGS },
+  sharedOverrides: {},
+  environmentSets: {},
+  pathRules: [],
+  validation: {}
+};
+
+// Standard environment names, in the order the popup lists them; custom names follow
+export const ENVIRONMENT_ORDER = ['live', 'staging', 'dev', 'local'];
+
+// Dev sites are often password protected or mid-deploy, which still means something answered;
+// SiteValidator then decides how sure we are that it's the right site
+const REACHABLE_STATUSES = [401, 403, 500, 503];
+
+export class EnvironmentDetector {
+  static async loadConfig() {
+    try {
+      const settings = await Settings.load();
+      const effective = await MappingSources.getEffectiveMappings();
+      config = {
+        devSuffix: settings.devSuffix || DEFAULT_DEV_SUFFIX,
+        projectMappings: effective.projectMappings,
+        // Personal overrides are re-read from storage on lookup, so these only matter for shared hosts
+        sharedOverrides: effective.overrides,
+        environmentSets: effective.environments,
+        pathRules: settings.pathRules || [],
+        validation: settings.validation
+      };
+    } catch (error) {
+      console.error('Could not load environment settings, using defaults:', error);
+    }
+    return config;
+  }
+
+  static getCleanHost(hostname) {
+    return hostname.replace('www.', '');
+  }
+
+  // Candidate dev URLs for a live URL, most specific first
+  static getCandidateUrls(url) {
+    return this.getDevBaseUrls(url).map(base => base.isMapped ? base.url : `${base.url}${url.pathname}`);
+  }
+
+  // Candidate dev base URLs: { url, isMapped } where a full-URL mapping is used as-is
+  static getDevBaseUrls(url) {
+    const cleanHost = this.getCleanHost(url.hostname);
+    const projectName = cleanHost.split('.')[0];
+    const bases = [];
+    
+    if (config.projectMappings[cleanHost]) {
+      const map = config.projectMappings[cleanHost];
+      if (map.startsWith('http')) {
+        bases.push({ url: map, isMapped: true });
+      } else {
+        bases.push({ url: `${url.protocol}//${map}.${config.devSuffix}`, isMapped: false });
+      }
+    }
+    
+    bases.push({ url: `${url.protocol}//dev.${cleanHost}`, isMapped: false });
+    bases.push({ url: `${url.protocol}//${projectName}.${config.devSuffix}`, isMapped: false });
+    
+    return bases;
+  }
+
+  // Reachability of one URL: { url, reachable, status, page } (status 0 = no response)
+  // page is what SiteValidator read from the response, for any status worth validating
+  static async probeUrl(testUrl, timeoutMs = 2500) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+      console.log(`Pinging: ${testUrl}`);
+      
+      const response = await fetch(testUrl, {
+        method: 'GET',
+        cache: 'no-store',
+        signal: controller.signal
+      });
+      
+      const reachable = response.ok || REACHABLE_STATUSES.includes(response.status);
+      const page = reachable ? SiteValidator.readPage(testUrl, response, await response.text(), config.validation) : null;
+      return { url: testUrl, reachable, status: response.status, page };
+    } catch (err) {
+      console.log(`Failed: ${testUrl}`, err.name);
+      return { url: testUrl, reachable: false, status: 0, error: err.name === 'AbortError' ? 'Timed out' : err.message };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Best validated candidate: { url, reachable, status, confidence, reasons } or null
+  // referenceUrl is a page known to belong to the project (e.g. the live page) to compare against
+  static async findBestCandidate(urls, referenceUrl) {
+    // Probed side by side; on equal confidence the earliest candidate still wins
+    const [probes, reference] = await Promise.all([
+      Promise.all(urls.map(testUrl => this.probeUrl(testUrl))),
+      this.getReferencePage(referenceUrl)
+    ]);
+    const assessed = await this.assessProbes(probes, reference);
+    const best = SiteValidator.pickBest(assessed);
+    if (best) {
+      console.log(`Success! Status ${best.status} at ${best.url} (${best.confidence} confidence)`);
+    }
+    return best;
+  }
+
+  // A successfully loaded page to validate candidates against, or null
+  static async getReferencePage(referenceUrl) {
+    if (!referenceUrl) return null;
+    const probe = await this.probeUrl(referenceUrl);
+    return probe.status >= 200 && probe.status < 300 ? probe.page : null;
+  }
+
+  static async assessProbes(probes, reference) {
+    return Promise.all(probes.map(async probe => {
+      const { confidence, reasons } = await SiteValidator.assess(probe, reference);
+      return { ...probe, reachable: confidence !== 'none', confidence, reasons };
+    }));
+  }
+
+  // Custom override saved from the popup or options page, keyed by clean host,
+  // falling back to an override from the shared team mapping file
+  static async getOverride(cleanHost) {
+    const overrides = await Settings.getOverrides();
+    return overrides[cleanHost] || config.sharedOverrides[cleanHost] || null;
+  }
+
+  // Returns { url, source: 'override' | 'detected' } or null when no dev site answers;
+  // detected sites also carry the validator's confidence and reasons
+  static async findDevUrl(url) {
+    const cleanHost = this.getCleanHost(url.hostname);
+    
+    try {
+      const override = await this.getOverride(cleanHost);
+      if (override) {
+        return { url: override, source: 'override' };
+      }
+    } catch (error) {
+      console.error('Override lookup failed:', error);
+    }
+    
+    const detected = await this.findBestCandidate(this.getCandidateUrls(url), url.href);
+    return detected
+      ? { url: detected.url, source: 'detected', confidence: detected.confidence, reasons: detected.reasons }
+      : null;
+  }
+
+  // Hostnames of every custom dev override (personal and shared)
+  static async getOverrideHosts() {
+    const overrides = { ...config.sharedOverrides, ...(await Settings.getOverrides()) };
+    return Object.values(overrides)
+      .filter(value => value.startsWith('http'))
+      .map(value => {
+        try {
+          return new URL(value).hostname;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Regex matching any dev hostname for a live host: dev.<host>, staging.<host>, *.<dev suffix>,
+  // full-URL project mappings and the given extra hosts (e.g. overrides)
+  static getDevHostRegex(cleanHost, extraHosts = []) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const mappedHosts = Object.values(config.projectMappings)
+      .filter(map => map.startsWith('http'))
+      .map(map => {
+        try {
+          return new URL(map).hostname;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+    
+    const hosts = [...new Set([`dev.${cleanHost}`, `staging.${cleanHost}`, ...mappedHosts, ...extraHosts])]
+      .filter(host => host !== cleanHost && host !== `www.${cleanHost}`)
+      .map(escape);
+    
+    return new RegExp(`(?<![a-z0-9-])(?:(?:[a-z0-9-]+\\.)*${escape(config.devSuffix)}|${hosts.join('|')})`, 'gi');
+  }
+
+  // --- NAMED ENVIRONMENTS ---
+
+  // Explicit environment list whose live host is the URL's host, or which has an environment on it
+  // Returns { liveHost, environments } or null
+  static findEnvironmentSet(url) {
+    const cleanHost = this.getCleanHost(url.hostname);
+    if (config.environmentSets[cleanHost]) {
+      return { liveHost: cleanHost, environments: config.environmentSets[cleanHost] };
+    }
+    
+    const match = Object.entries(config.environmentSets)
+      .find(([, environments]) => this.matchEnvironment(environments, url));
+    return match ? { liveHost: match[0], environments: match[1] } : null;
+  }
+
+  // The environment a URL belongs to: same host (ignoring www) and the longest matching base path
+  static matchEnvironment(environments, url) {
+    const host = url.host.replace(/^www\./, '');
+    const matches = environments.filter(env => {
+      try {
+        const base = new URL(env.url);
+        const basePath = base.pathname.replace(/\/+$/, '');
+        return base.host.replace(/^www\./, '') === host &&
+          (url.pathname === basePath || url.pathname.startsWith(`${basePath}/`));
+      } catch (error) {
+        return false;
+      }
+    });
+    
+    return matches.sort((a, b) => new URL(b.url).pathname.length - new URL(a.url).pathname.length)[0] || null;
+  }
+
+  // Named environments for the tab's project: the list from the options page or shared file,
+  // otherwise live plus the usual staging, dev and local guesses (worked out from the live
+  // host when the tab is on a dev or staging site)
+  // Returns { liveHost, explicit, reversed, environments: [{ name, url, candidates, current }] }
+  static async getEnvironments(url) {
+    const set = this.findEnvironmentSet(url);
+    const reverse = set ? null : await this.getLiveHostFor(url.hostname);
+    let liveHost = set ? set.liveHost : this.getCleanHost(url.hostname);
+    let environments;
+    
+    if (set) {
+      environments = set.environments.map(env => ({ name: env.name, url: env.url, candidates: [env.url] }));
+    } else if (reverse) {
+      liveHost = reverse.liveHost;
+      environments = await this.getDerivedEnvironments(new URL(`https://${reverse.liveHost}${url.pathname}`));
+      
+      // The tab's own environment is the host it's on, not the first guess
+      const own = environments.find(env => env.name === reverse.name);
+      own.url = url.origin;
+      own.candidates = [url.origin];
+    } else if (this.isDevHost(url.hostname)) {
+      // Without a list there's no way to know which live site a dev host belongs to
+      liveHost = null;
+      environments = [{ name: 'dev', url: url.origin, candidates: [url.origin] }];
+    } else {
+      environments = await this.getDerivedEnvironments(url);
+    }
+    
+    const current = this.matchEnvironment(environments, url);
+    environments.forEach(env => {
+      env.current = env === current;
+    });
+    
+    return {
+      liveHost,
+      explicit: Boolean(set),
+      reversed: Boolean(reverse),
+      environments: this.sortEnvironments(environments)
+    };
+  }
+
+  static async getDerivedEnvironments(url) {
+    const cleanHost = this.getCleanHost(url.hostname);
+    const projectName = cleanHost.split('.')[0];
+    
+    let devCandidates;
+    try {
+      const override = await this.getOverride(cleanHost);
+      devCandidates = override ? [override] : this.getDevBaseUrls(url).map(base => base.url);
+    } catch (error) {
+      console.error('Override lookup failed:', error);
+      devCandidates = this.getDevBaseUrls(url).map(base => base.url);
+    }
+    
+    return [
+      { name: 'live', url: url.origin, candidates: [url.origin] },
+      { name: 'staging', url: `https://staging.${cleanHost}`, candidates: [`https://staging.${cleanHost}`] },
+      { name: 'dev', url: devCandidates[0], candidates: devCandidates },
+      { name: 'local', url: `http://${projectName}.test`, candidates: [`http://${projectName}.test`] }
+    ];
+  }
+
+  static sortEnvironments(environments) {
+    const rank = env => {
+      const index = ENVIRONMENT_ORDER.indexOf(env.name);
+      return index === -1 ? ENVIRONMENT_ORDER.length : index;
+    };
+    return [...environments].sort((a, b) => rank(a) - rank(b));
+  }
+
+  // Probes an environment's candidates and keeps the most convincing one as its URL
+  // Returns the environment with { url, reachable, status, confidence, reasons, checks }, where checks
+  // has the verdict on every candidate
+  static async probeEnvironment(env, reference = null) {
+    const probes = await Promise.all(env.candidates.map(candidate => this.probeUrl(candidate)));
+    const assessed = await this.assessProbes(probes, reference);
+    const best = SiteValidator.pickBest(assessed);
+    const shown = best || assessed[0];
+    
+    return {
+      ...env,
+      url: best ? best.url : env.url,
+      reachable: Boolean(best),
+      status: shown ? shown.status : 0,
+      confidence: shown ? shown.confidence : 'none',
+      reasons: shown ? shown.reasons : [],
+      checks: assessed.map(probe => ({ url: probe.url, status: probe.status, confidence: probe.confidence, reasons: probe.reasons })),
+      checkedAt: Date.now(),
+      cached: false
+    };
+  }
+
+  // Probed environment, from the detection cache when its URL is still one of the candidates
+  // Pass force to skip the cache, e.g. for the popup's recheck link
+  static async resolveEnvironment(envSet, name, { force = false } = {}) {
+    const env = envSet.environments.find(candidate => candidate.name === name);
+    return env ? this.resolveEnvironmentEntry(envSet, env, force, this.createReferenceLoader(envSet)) : null;
+  }
+
+  // Every environment in the set, resolved together; onResult fires as each one settles
+  static async resolveEnvironments(envSet, { force = false, onResult = null } = {}) {
+    const getReference = this.createReferenceLoader(envSet);
+    return Promise.all(envSet.environments.map(async (env, index) => {
+      const resolved = await this.resolveEnvironmentEntry(envSet, env, force, getReference);
+      if (onResult) onResult(resolved, index);
+      return resolved;
+    }));
+  }
+
+  static async resolveEnvironmentEntry(envSet, env, force, getReference) {
+    if (env.current) return { ...env, reachable: true, status: null, checkedAt: null, cached: false };
+    
+    const cached = !force && envSet.liveHost ? await DetectionCache.get(envSet.liveHost, env.name) : null;
+    if (cached && env.candidates.includes(cached.url)) {
+      return { ...env, ...cached, cached: true };
+    }
+    
+    const probed = await this.probeEnvironment(env, await getReference());
+    if (envSet.liveHost) {
+      await DetectionCache.set(envSet.liveHost, probed);
+    }
+    return probed;
+  }
+
+  // Candidates are compared with the tab's own environment, or live; fetched at most once, and only if something needs probing
+  static createReferenceLoader(envSet) {
+    const referenceEnv = envSet.environments.find(env => env.current) || envSet.environments.find(env => env.name === 'live');
+    let loading = null;
+    return () => {
+      if (!loading) {
+        loading = referenceEnv ? this.getReferencePage(referenceEnv.url) : Promise.resolve(null);
+      }
+      return loading;
+    };
+  }
+
+  // Background prefetch: true when the page belongs to a project we know how to switch
+  static async isKnownSite(url) {
+    const cleanHost = this.getCleanHost(url.hostname);
+    if (this.findEnvironmentSet(url) || config.projectMappings[cleanHost]) return true;
+    if (await this.getOverride(cleanHost)) return true;
+    return Boolean(this.isDevHost(url.hostname) && await this.getLiveHostFor(url.hostname));
+  }
+
+  // Where a one-step switch goes: the named environment, or live <-> dev when no name is given
+  // Returns { env, url } or null when there's nowhere to go
+  static async getSwitchTarget(url, targetName = null) {
+    const envSet = await this.getEnvironments(url);
+    const current = envSet.environments.find(env => env.current) || null;
+    const name = targetName || (current && current.name === 'live' ? 'dev' : 'live');
+    
+    if (current && current.name === name) return null;
+    
+    const target = await this.resolveEnvironment(envSet, name);
+    if (!target) return null;
+    
+    return { env: target, url: this.buildEnvironmentUrl(target, current, url, envSet.liveHost) };
+  }
+
+  // Same page on another environment: the path below the current environment's base path
+  // (after any path rules) plus the query string and hash, on the target's base URL
+  static buildEnvironmentUrl(target, current, url, liveHost = null) {
+    let path = url.pathname;
+    if (current) {
+      const currentBasePath = new URL(current.url).pathname.replace(/\/+$/, '');
+      path = path.slice(currentBasePath.length) || '/';
+    }
+    if (!path.startsWith('/')) path = `/${path}`;
+    
+    path = this.translatePath(path, current ? current.name : target.name, target.name, liveHost);
+    return `${target.url.replace(/\/+$/, '')}${path}${url.search}${url.hash}`;
+  }
+
+  // --- PATH RULES ---
+
+  // Rewrites a path between two environments of a project, going through the live path:
+  // with { env: 'dev', livePrefix: '/en-gb/', envPrefix: '/' }, live "/en-gb/about" is dev "/about"
+  static translatePath(path, fromName, toName, liveHost) {
+    if (fromName === toName || !liveHost) return path;
+    
+    const rules = config.pathRules.filter(rule => rule.liveHost === liveHost);
+    const findRule = name => rules.find(rule => rule.env === name) || rules.find(rule => rule.env === '*');
+    
+    let livePath = path;
+    const fromRule = fromName === 'live' ? null : findRule(fromName);
+    if (fromRule) {
+      livePath = this.swapPrefix(path, fromRule.envPrefix, fromRule.livePrefix);
+    }
+    
+    const toRule = toName === 'live' ? null : findRule(toName);
+    return toRule ? this.swapPrefix(livePath, toRule.livePrefix, toRule.envPrefix) : livePath;
+  }
+
+  // Paths outside the prefix are left alone; "/en-gb" counts as inside "/en-gb/"
+  static swapPrefix(path, fromPrefix, toPrefix) {
+    if (path.startsWith(fromPrefix)) {
+      return toPrefix + path.slice(fromPrefix.length);
+    }
+    if (path === fromPrefix.replace(/\/$/, '')) {
+      return toPrefix;
+    }
+    return path;
+  }
+
+  // --- REVERSE LOOKUP (dev/staging -> live) ---
+
+  // Live host for a dev or staging hostname, from (in order) a personal or shared override
+  // pointing at it, a project mapping for it, or a dev./staging. prefix on the live host
+  // Returns { liveHost, name: 'dev' | 'staging', via: 'override' | 'mapping' | 'pattern' } or null
+  static async getLiveHostFor(hostname) {
+    const host = hostname.toLowerCase();
+    const hostOf = value => {
+      try {
+        return new URL(value).hostname.toLowerCase();
+      } catch (error) {
+        return null;
+      }
+    };
+    
+    let overrides = config.sharedOverrides;
+    try {
+      overrides = { ...config.sharedOverrides, ...(await Settings.getOverrides()) };
+    } catch (error) {
+      console.error('Override lookup failed:', error);
+    }
+    const override = Object.entries(overrides).find(([, value]) => hostOf(value) === host);
+    if (override) {
+      return { liveHost: override[0], name: 'dev', via: 'override' };
+    }
+    
+    const suffix = `.${config.devSuffix}`;
+    const projectName = host.endsWith(suffix) ? host.slice(0, -suffix.length) : null;
+    const mapping = Object.entries(config.projectMappings).find(([, map]) =>
+      map.startsWith('http') ? hostOf(map) === host : map === projectName);
+    if (mapping) {
+      return { liveHost: mapping[0], name: 'dev', via: 'mapping' };
+    }
+    
+    const prefixed = host.match(/^(dev|staging)\.((?:www\.)?[a-z0-9-]+\..+)$/);
+    if (prefixed && !prefixed[2].endsWith(config.devSuffix)) {
+      return { liveHost: this.getCleanHost(prefixed[2]), name: prefixed[1], via: 'pattern' };
+    }
+    
+    return null;
+  }
+
+  // Same page on the live site for a dev or staging URL: { url, liveHost, name, via } or null
+  static async findLiveUrl(url) {
+    const match = await this.getLiveHostFor(url.hostname);
+    if (!match) return null;
+    
+    const path = this.translatePath(url.pathname, match.name, 'live', match.liveHost);
+    return { ...match, url: `https://${match.liveHost}${path}${url.search}${url.hash}` };
+  }
+
+  // Rough check used to stop dev sites being treated as the live twin
+  static isDevHost(hostname) {
+    return hostname.startsWith('dev.') || hostname.endsWith(`.${config.devSuffix}`);
+  }
+}
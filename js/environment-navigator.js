@@ -0,0 +1,43 @@
+// Environment navigation - opens the same page on another environment in the user's chosen way
+
+export const NAVIGATION_MODES = {
+  'same-tab': 'Same tab',
+  'new-tab': 'New tab',
+  'split-window': 'Split window'
+};
+
+export class EnvironmentNavigator {
+  static async open(targetUrl, tab, mode = 'new-tab') {
+    switch (mode) {
+      case 'same-tab':
+        await chrome.tabs.update(tab.id, { url: targetUrl });
+        break;
+      case 'split-window':
+        await this.openSplit(targetUrl, tab);
+        break;
+      default:
+        // Next to the current tab, like a link opened with a middle click
+        await chrome.tabs.create({ url: targetUrl, index: tab.index + 1, openerTabId: tab.id });
+    }
+  }
+
+  // Current window on the left half, the other environment in a new window on the right half
+  static async openSplit(targetUrl, tab) {
+    const win = await chrome.windows.get(tab.windowId);
+    const bounds = { left: win.left, top: win.top, width: win.width, height: win.height };
+    const half = Math.floor(bounds.width / 2);
+    
+    // Maximised and fullscreen windows ignore size changes until they're restored
+    await chrome.windows.update(win.id, { state: 'normal' });
+    await chrome.windows.update(win.id, { left: bounds.left, top: bounds.top, width: half, height: bounds.height });
+    
+    await chrome.windows.create({
+      url: targetUrl,
+      left: bounds.left + half,
+      top: bounds.top,
+      width: bounds.width - half,
+      height: bounds.height,
+      focused: true
+    });
+  }
+}
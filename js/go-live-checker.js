@@ -0,0 +1,249 @@
+// Go-Live Readiness - a single pass/fail gate for promoting a dev site, built on the robots, meta and analytics parsers
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+import { RobotsChecker } from './robots-checker.js';
+import { MetaChecker } from './meta-checker.js';
+import { AnalyticsChecker } from './analytics-checker.js';
+import { NonDeveloperChecker } from './non-developer-checker.js';
+import { EnvironmentDetector } from './environment-detector.js';
+
+export class GoLiveChecker {
+  // Blocking items fail the gate; advisory items only warn
+  static async testReadiness(pageUrl, domainUrl, cache = null) {
+    cache = cache || new PageCache();
+    
+    try {
+      const [page, robotsPage] = await Promise.all([
+        cache.getPage(pageUrl),
+        cache.getPage(`${domainUrl}/robots.txt`).catch(() => null)
+      ]);
+      
+      if (!page.ok) {
+        throw new Error(`HTTP ${page.status}: ${page.statusText}`);
+      }
+      
+      const doc = new DOMParser().parseFromString(page.html, 'text/html');
+      const meta = MetaChecker.analyzeMetaTags(page.html);
+      const analytics = AnalyticsChecker.detectAnalytics(page.html, page.runtime || null);
+      const robots = robotsPage && robotsPage.ok ? RobotsChecker.analyzeRobotsContent(robotsPage.html) : null;
+      const copyright = NonDeveloperChecker.checkFooterCopyright(doc, page.html);
+      const isDevHost = await this.getDevHostMatcher(pageUrl);
+      
+      const items = [
+        this.checkRobotsTxt(robots),
+        this.checkNoindex(meta, page.headers),
+        this.checkCanonical(meta, pageUrl, isDevHost),
+        this.checkTracking(analytics),
+        this.checkDevReferences(doc, pageUrl, isDevHost),
+        this.checkCopyright(copyright)
+      ];
+      
+      const blockingFailures = items.filter(item => item.blocking && !item.passed);
+      const advisoryFailures = items.filter(item => !item.blocking && !item.passed);
+      
+      let status = 'success';
+      if (blockingFailures.length > 0) {
+        status = 'error';
+      } else if (advisoryFailures.length > 0) {
+        status = 'warning';
+      }
+      
+      return {
+        url: pageUrl,
+        status: status,
+        ready: blockingFailures.length === 0,
+        items: items,
+        blockingCount: blockingFailures.length,
+        advisoryCount: advisoryFailures.length
+      };
+    } catch (error) {
+      console.error('Go-live readiness error:', error);
+      return {
+        url: pageUrl,
+        status: 'error',
+        ready: false,
+        items: [],
+        error: error.message
+      };
+    }
+  }
+
+  static buildItem(id, label, blocking, passed, detail) {
+    return { id, label, blocking, passed, detail };
+  }
+
+  // Same dev hostnames as the dev leak scan (dev./staging. twins, *.<dev suffix>, mapped dev URLs and
+  // overrides), worked out from the live host when the gate runs on the dev site itself
+  static async getDevHostMatcher(pageUrl) {
+    const pageHost = new URL(pageUrl).hostname;
+    let overrideHosts = [];
+    let live = null;
+    try {
+      overrideHosts = await EnvironmentDetector.getOverrideHosts();
+      live = await EnvironmentDetector.getLiveHostFor(pageHost);
+    } catch (error) {
+      console.warn('Could not read dev overrides:', error);
+    }
+    
+    const liveHost = live ? live.liveHost : EnvironmentDetector.getCleanHost(pageHost);
+    const hostRegex = EnvironmentDetector.getDevHostRegex(liveHost, overrideHosts);
+    const pattern = new RegExp(`^(?:${hostRegex.source})$`, 'i');
+    return hostname => EnvironmentDetector.isDevHost(hostname) || pattern.test(hostname);
+  }
+
+  // Dev robots.txt usually blocks everything with "User-agent: *" + "Disallow: /"
+  static checkRobotsTxt(robots) {
+    if (!robots) {
+      return this.buildItem('robots', 'robots.txt allows crawling', true, true, 'No robots.txt found, so crawling is allowed');
+    }
+    
+    const blocksAll = RobotsChecker.blocksAllCrawlers(robots);
+    return this.buildItem('robots', 'robots.txt allows crawling', true, !blocksAll,
+      blocksAll ? 'robots.txt still blocks the whole site for "User-agent: *"' : 'No site-wide Disallow for all crawlers');
+  }
+
+  static checkNoindex(meta, headers) {
+    const headerValue = headers ? headers['x-robots-tag'] || '' : '';
+    const headerNoindex = headerValue.toLowerCase().includes('noindex');
+    
+    if (meta.robots.noindex) {
+      return this.buildItem('noindex', 'Page is indexable', true, false, `Meta robots is "${meta.robots.content}"`);
+    }
+    if (headerNoindex) {
+      return this.buildItem('noindex', 'Page is indexable', true, false, `X-Robots-Tag header is "${headerValue}"`);
+    }
+    return this.buildItem('noindex', 'Page is indexable', true, true, 'No noindex in meta robots or X-Robots-Tag');
+  }
+
+  static checkCanonical(meta, pageUrl, isDevHost) {
+    if (!meta.canonical.present || !meta.canonical.href) {
+      return this.buildItem('canonical', 'Canonical points at the live host', false, false, 'No canonical tag found');
+    }
+    
+    let canonicalHost;
+    try {
+      canonicalHost = new URL(meta.canonical.href, pageUrl).hostname;
+    } catch (error) {
+      return this.buildItem('canonical', 'Canonical points at the live host', true, false, `Canonical is not a valid URL: ${meta.canonical.href}`);
+    }
+    
+    const onDevHost = isDevHost(canonicalHost);
+    return this.buildItem('canonical', 'Canonical points at the live host', true, !onDevHost,
+      onDevHost ? `Canonical still points at ${canonicalHost}` : `Canonical: ${meta.canonical.href}`);
+  }
+
+  static checkTracking(analytics) {
+    const ga4Ids = analytics.googleAnalytics.trackingIds.filter(id => id.startsWith('G-'));
+    const gtmIds = analytics.googleTagManager.containerIds;
+    const ids = [...ga4Ids, ...gtmIds];
+    
+    return this.buildItem('tracking', 'GA4 or GTM installed', true, ids.length > 0,
+      ids.length > 0 ? `Found: ${ids.join(', ')}` : 'No GA4 measurement ID or GTM container found');
+  }
+
+  // Absolute links and assets that still point at a dev hostname will break (or leak) after launch
+  static checkDevReferences(doc, pageUrl, isDevHost) {
+    const attributes = [
+      ['a[href]', 'href'],
+      ['link[href]', 'href'],
+      ['script[src]', 'src'],
+      ['img[src]', 'src'],
+      ['source[src]', 'src'],
+      ['iframe[src]', 'src'],
+      ['form[action]', 'action']
+    ];
+    
+    const devUrls = new Set();
+    attributes.forEach(([selector, attribute]) => {
+      doc.querySelectorAll(selector).forEach(element => {
+        const value = element.getAttribute(attribute);
+        if (!/^(https?:)?\/\//i.test(value)) return;
+        
+        try {
+          const url = new URL(value, pageUrl);
+          if (isDevHost(url.hostname)) {
+            devUrls.add(url.href);
+          }
+        } catch (error) {
+          // Ignore malformed URLs
+        }
+      });
+    });
+    
+    const found = Array.from(devUrls);
+    if (found.length === 0) {
+      return this.buildItem('devReferences', 'No links or assets on dev hostnames', true, true, 'No absolute URLs point at a dev hostname');
+    }
+    
+    const examples = found.slice(0, 3).join(', ');
+    return this.buildItem('devReferences', 'No links or assets on dev hostnames', true, false,
+      `${found.length} URL(s) still on a dev hostname: ${examples}${found.length > 3 ? '...' : ''}`);
+  }
+
+  static checkCopyright(copyright) {
+    if (!copyright.found) {
+      return this.buildItem('copyright', 'Copyright year is current', false, false, 'No copyright notice found');
+    }
+    
+    const current = copyright.year === new Date().getFullYear();
+    return this.buildItem('copyright', 'Copyright year is current', false, current,
+      current ? copyright.text : copyright.issues[0] || `Copyright year is ${copyright.year}`);
+  }
+
+  static renderResults(container, result, scopeLabel = null) {
+    const details = [];
+    
+    if (result.error) {
+      details.push('❌ Go-live readiness check failed');
+      details.push(`Error: ${result.error}`);
+    } else {
+      if (result.ready) {
+        details.push(result.advisoryCount > 0
+          ? `🚀 READY FOR GO-LIVE (${result.advisoryCount} advisory item(s) to review)`
+          : '🚀 READY FOR GO-LIVE');
+      } else {
+        details.push(`⛔ NOT READY: ${result.blockingCount} blocking issue(s)`);
+      }
+      
+      details.push('');
+      details.push('🔴 Blocking:');
+      result.items.filter(item => item.blocking).forEach(item => {
+        details.push(`   ${item.passed ? '✅' : '❌'} ${item.label} - ${item.detail}`);
+      });
+      
+      details.push('');
+      details.push('🟡 Advisory:');
+      result.items.filter(item => !item.blocking).forEach(item => {
+        details.push(`   ${item.passed ? '✅' : '⚠️'} ${item.label} - ${item.detail}`);
+      });
+    }
+    
+    UIHelpers.addAccordionItem(container, 'goLive', result.status, '🚀 Go-Live Readiness', details, true, scopeLabel);
+  }
+
+  // Key values used when comparing two readiness results (e.g. between audit runs)
+  static extractFacts(result) {
+    if (!result || !result.items) return [];
+    
+    return [
+      { key: 'goLive.ready', label: 'Go-live ready', value: result.ready },
+      {
+        key: 'goLive.failing',
+        label: 'Failing go-live items',
+        value: result.items.filter(item => !item.passed).map(item => item.label)
+      }
+    ];
+  }
+}
+
+CheckerRegistry.register({
+  id: 'goLive',
+  label: 'Go-Live Readiness',
+  title: '🚀 Go-Live Readiness',
+  scope: 'page',
+  checklistLabels: ({ scopeLabel }) => [`Go-live readiness gate (${scopeLabel})`],
+  run: ({ pageUrl, domainUrl, cache }) => GoLiveChecker.testReadiness(pageUrl, domainUrl, cache),
+  render: (container, result, { scopeLabel }) => GoLiveChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => GoLiveChecker.extractFacts(result)
+});
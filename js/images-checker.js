@@ -1,12 +1,17 @@
 // Image optimization and Accessibility (A11y) checks
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+
 export class ImageChecker {
   
-  static async testImages(url) {
+  // cache: the audit's shared PageCache (may hold a live DOM snapshot instead of server HTML)
+  static async testImages(url, cache = null) {
     try {
-      const response = await fetch(url, { method: 'GET', mode: 'cors' });
-      if (!response.ok) throw new Error('Failed to fetch page');
+      const page = await (cache || new PageCache()).getPage(url);
+      if (!page.ok) throw new Error('Failed to fetch page');
       
-      const html = await response.text();
+      const html = page.html;
       const parser = new DOMParser();
       const doc = parser.parseFromString(html, 'text/html');
       
@@ -140,6 +145,20 @@ export class ImageChecker {
     return report;
   }
 
+  // Key values used when comparing two image results side by side
+  static extractFacts(result) {
+    const analysis = result?.analysis;
+    if (!analysis) return [];
+    
+    return [
+      { key: 'images.total', label: 'Images scanned', value: analysis.total },
+      { key: 'images.missingAlt', label: 'Missing ALT', value: analysis.missingAlt.map(src => this.getFilename(src)) },
+      { key: 'images.emptyAlt', label: 'Empty ALT (decorative)', value: analysis.emptyAlt.length },
+      { key: 'images.missingDimensions', label: 'Missing width/height', value: analysis.missingDimensions.length },
+      { key: 'images.lazyLoaded', label: 'Lazy loaded', value: analysis.lazyLoaded }
+    ];
+  }
+
   // Helper to make URLs readable
   static getFilename(src) {
     try {
@@ -161,4 +180,51 @@ export class ImageChecker {
       return 'Unknown Image';
     }
   }
-}
\ No newline at end of file
+
+  static renderResults(container, result, scopeLabel = null) {
+    let status = result.status;
+    let details = result.details || ['Check failed'];
+    
+    const accordionItem = UIHelpers.addAccordionItem(container, 'images', status, '🖼️ Images & Accessibility', details, false, scopeLabel);
+    
+    const highlightBtn = accordionItem.querySelector('#btn-highlight-images');
+    
+    if (highlightBtn) {
+      highlightBtn.onclick = async () => {
+        try {
+          // Send message to the active tab
+          const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+          if (tab?.id) {
+            await chrome.tabs.sendMessage(tab.id, { 
+              action: "highlight_images", 
+              data: result.analysis // Send the full analysis (missingAlt, missingDimensions)
+            });
+            
+            // Visual feedback on the button
+            const originalText = highlightBtn.innerText;
+            highlightBtn.innerText = "✨ Highlights Active!";
+            highlightBtn.style.backgroundColor = "#e8f5e8";
+            setTimeout(() => {
+              highlightBtn.innerText = originalText;
+              highlightBtn.style.backgroundColor = "#fff";
+            }, 2000);
+          }
+        } catch (err) {
+          console.error("Failed to highlight:", err);
+          alert("Could not highlight images. Try refreshing the page.");
+        }
+      };
+    }
+  }
+}
+
+CheckerRegistry.register({
+  id: 'images',
+  label: 'Check Images',
+  title: '🖼️ Images & Accessibility',
+  scope: 'page',
+  checklistLabels: ({ scopeLabel }) => [`Image Optimization & Accessibility (${scopeLabel})`],
+  run: ({ pageUrl, cache }) => ImageChecker.testImages(pageUrl, cache),
+  render: (container, result, { scopeLabel }) => ImageChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => ImageChecker.extractFacts(result)
+});
@@ -0,0 +1,85 @@
+// Live DOM capture - audits the document as the browser rendered it, not the raw server HTML
+export class LiveDomSource {
+  static async capture(tabId) {
+    let snapshot;
+    try {
+      snapshot = await chrome.tabs.sendMessage(tabId, { action: 'serialize_dom' });
+    } catch (error) {
+      console.error('Live DOM capture error:', error);
+      throw new Error('Could not read the page. Refresh the tab and try again.');
+    }
+    
+    if (!snapshot || !snapshot.html) {
+      throw new Error('The page returned an empty DOM snapshot');
+    }
+    
+    const runtime = await this.readRuntimeState(tabId);
+    
+    // Same shape as a fetched page so checkers can consume either
+    return {
+      source: 'live',
+      url: snapshot.url,
+      finalUrl: snapshot.url,
+      ok: true,
+      status: null,
+      html: snapshot.html,
+      capturedAt: snapshot.capturedAt,
+      runtime: {
+        scripts: snapshot.scripts || [],
+        ...runtime
+      }
+    };
+  }
+
+  // The content script lives in an isolated world and can't see page globals
+  // such as window.dataLayer, so those are read from the page's own world
+  static async readRuntimeState(tabId) {
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId },
+        world: 'MAIN',
+        func: collectPageGlobals
+      });
+      return injection?.result || {};
+    } catch (error) {
+      console.warn('Runtime state unavailable:', error);
+      return {};
+    }
+  }
+}
+
+// Runs inside the page, so it must not reference anything outside itself
+function collectPageGlobals() {
+  const safeStringify = (value) => {
+    const seen = new WeakSet();
+    try {
+      return JSON.stringify(value, (key, val) => {
+        if (typeof val === 'function') return '[function]';
+        if (val instanceof Node) return '[element]';
+        if (val && typeof val === 'object') {
+          if (seen.has(val)) return '[circular]';
+          seen.add(val);
+        }
+        return val;
+      });
+    } catch (e) {
+      return '';
+    }
+  };
+  
+  const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : null;
+  
+  return {
+    dataLayer: dataLayer ? {
+      length: dataLayer.length,
+      events: [...new Set(dataLayer.map(entry => entry && entry.event).filter(Boolean))].slice(0, 20),
+      json: (safeStringify(dataLayer) || '').substring(0, 50000)
+    } : null,
+    gtag: typeof window.gtag === 'function',
+    ga: typeof window.ga === 'function',
+    fbq: typeof window.fbq === 'function',
+    googleTagIds: window.google_tag_manager
+      ? Object.keys(window.google_tag_manager).filter(key => /^(GTM|G|AW)-/.test(key))
+      : []
+  };
+}
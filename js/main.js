@@ -1,32 +1,106 @@
 // Main application logic - coordinates all the modules
-import { UrlChecker } from './url-checker.js';
-import { RobotsChecker } from './robots-checker.js';
-import { AnalyticsChecker } from './analytics-checker.js';
-import { SSLChecker } from './ssl-checker.js';
-import { MetaChecker } from './meta-checker.js';
-import { NonDeveloperChecker } from './non-developer-checker.js';
-import { ImageChecker } from './images-checker.js';
+import { AuditHistory } from './audit-history.js';
+import { CheckerRegistry } from './checkers.js';
+import { EnvironmentDetector } from './environment-detector.js';
+import { LiveDomSource } from './live-dom.js';
+import { PageCache } from './page-cache.js';
+import { PanelActions } from './panel-actions.js';
+import { Settings } from './settings.js';
+import { ReportExporter } from './report-exporter.js';
+import { ResultDiff } from './result-diff.js';
+import { ScheduledAudit } from './scheduled-audit.js';
+import { TaskRunner } from './task-runner.js';
 import { UIHelpers } from './ui-helpers.js';
 
 class SecurityAuditApp {
   constructor() {
     this.currentDomain = '';
     this.currentTabUrl = '';
+    this.currentTabId = null;
     this.checkButton = null;
+    this.cancelButton = null;
+    this.historyButton = null;
+    this.compareEnvButton = null;
+    this.goLiveButton = null;
     this.results = null;
+    this.auditController = null;
+    this.lastAudit = null;
+    this.settings = null;
   }
 
   async init() {
     // Initialize DOM elements
     this.checkButton = document.getElementById('checkButton');
     this.runSelectedButton = document.getElementById('runSelectedButton');
+    this.cancelButton = document.getElementById('cancelButton');
+    this.historyButton = document.getElementById('historyButton');
+    this.compareEnvButton = document.getElementById('compareEnvButton');
+    this.goLiveButton = document.getElementById('goLiveButton');
     this.results = document.getElementById('results');
     
+    // Team settings from the options page (audit defaults, dev mappings)
+    this.settings = await Settings.load();
+    await EnvironmentDetector.loadConfig();
+    
+    // Build the check options from the registered checkers
+    this.buildCheckerOptions();
+    this.applyAuditDefaults();
+    
     // Get current tab URL
     await this.getCurrentDomain();
     
     // Set up event listeners
     this.setupEventListeners();
+    
+    // Regressions a scheduled audit found on this site since the panel last showed them
+    await this.showUnseenScheduledAlerts();
+    
+    // Audits requested by a keyboard shortcut or context menu
+    PanelActions.onRequest(() => this.handlePanelAction());
+    await this.handlePanelAction();
+  }
+
+  async handlePanelAction() {
+    const action = await PanelActions.take();
+    if (!action) return;
+    
+    // Clicked scheduled audit notification
+    if (action.type === 'showScheduledAudit') {
+      await this.showScheduledAudit(action.domain);
+      return;
+    }
+    if (action.type !== 'runAll') return;
+    
+    // Don't interrupt an audit that's already running
+    if (this.auditController) {
+      console.log('Audit already running, ignoring request:', action);
+      return;
+    }
+    
+    // The live DOM implies page scope, so a site-wide request only applies to server audits
+    if (action.scope === 'page' || (action.scope === 'domain' && this.getAuditSource() === 'server')) {
+      document.querySelector(`input[name="auditScope"][value="${action.scope}"]`).checked = true;
+    }
+    
+    this.checkButton.click();
+  }
+
+  applyAuditDefaults() {
+    const defaults = this.settings.auditDefaults;
+    
+    const scopeRadio = document.querySelector(`input[name="auditScope"][value="${defaults.scope}"]`);
+    if (scopeRadio) scopeRadio.checked = true;
+    
+    const sourceRadio = document.querySelector(`input[name="auditSource"][value="${defaults.source}"]`);
+    if (sourceRadio) sourceRadio.checked = true;
+    
+    // Same rule as the source change handler: the live DOM implies page scope
+    if (this.getAuditSource() !== 'server') {
+      document.querySelector('input[name="auditScope"][value="page"]').checked = true;
+      document.querySelector('input[name="auditScope"][value="domain"]').disabled = true;
+    }
+    
+    document.getElementById('checkTimeout').value = defaults.timeoutSeconds;
   }
 
   async getCurrentDomain() {
@@ -39,6 +113,7 @@ class SecurityAuditApp {
       const url = new URL(tab.url);
       this.currentDomain = url.hostname;
       this.currentTabUrl = tab.url; // Store the full URL for display later
+      this.currentTabId = tab.id;
       
       console.log('Current tab URL:', tab.url);
       console.log('Extracted domain:', this.currentDomain);
@@ -47,10 +122,92 @@ class SecurityAuditApp {
       console.error('Error getting current URL:', error);
       this.currentDomain = '';
       this.currentTabUrl = '';
+      this.currentTabId = null;
       throw error; // Re-throw so calling code can handle it
     }
   }
 
+  getAuditScope() {
+    const selected = document.querySelector('input[name="auditScope"]:checked');
+    return selected ? selected.value : 'domain';
+  }
+
+  getCheckTimeout() {
+    const seconds = parseInt(document.getElementById('checkTimeout')?.value, 10);
+    return (Number.isFinite(seconds) && seconds >= 5 ? seconds : 20) * 1000;
+  }
+
+  setCancelVisible(visible) {
+    this.cancelButton.classList.toggle('hidden', !visible);
+    this.cancelButton.disabled = false;
+    this.historyButton.disabled = visible;
+    this.compareEnvButton.disabled = visible;
+    this.goLiveButton.disabled = visible;
+  }
+
+  buildCheckerOptions() {
+    const grid = document.getElementById('checkerOptions');
+    grid.innerHTML = '';
+    
+    CheckerRegistry.getAll()
+      .filter(checker => !checker.required)
+      .forEach(checker => {
+        const item = document.createElement('div');
+        item.className = 'option-item';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `checker-${checker.id}`;
+        checkbox.className = 'option-checkbox';
+        checkbox.dataset.checkerId = checker.id;
+        const enabled = this.settings.auditDefaults.enabledCheckers;
+        checkbox.checked = enabled ? enabled.includes(checker.id) : checker.defaultEnabled;
+        
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+        label.className = 'option-label';
+        label.textContent = checker.label;
+        
+        item.appendChild(checkbox);
+        item.appendChild(label);
+        grid.appendChild(item);
+      });
+  }
+
+  getSelectedCheckers() {
+    const selected = new Set(
+      Array.from(document.querySelectorAll('#checkerOptions .option-checkbox:checked'))
+        .map(checkbox => checkbox.dataset.checkerId)
+    );
+    return CheckerRegistry.getAll().filter(checker => checker.required || selected.has(checker.id));
+  }
+
+  getAuditSource() {
+    const selected = document.querySelector('input[name="auditSource"]:checked');
+    return selected ? selected.value : 'server';
+  }
+
+  // Page-level checkers run against the exact tab URL in page scope, the domain root otherwise
+  getPageTargetUrl(scope, cleanDomain) {
+    if (scope === 'page') {
+      const tabUrl = new URL(this.currentTabUrl);
+      if (!['http:', 'https:'].includes(tabUrl.protocol)) {
+        throw new Error(`Page audits need an http(s) page, not ${tabUrl.protocol}`);
+      }
+      return tabUrl.href;
+    }
+    return `https://${cleanDomain}`;
+  }
+
+  getScopeLabel(scope, targetUrl, source = 'server') {
+    const url = new URL(targetUrl);
+    if (scope === 'page') {
+      const sourceSuffix = source === 'server' ? '' : ' · Live DOM';
+      return `📄 Page: ${url.pathname}${url.search}${sourceSuffix}`;
+    }
+    return `🌐 Domain: ${url.hostname}`;
+  }
+
   displayCurrentUrl(url, errorMessage = null) {
     // Create or update the current URL display
     let currentUrlDiv = document.getElementById('currentUrl');
@@ -82,9 +239,13 @@ class SecurityAuditApp {
     } else if (url) {
       currentUrlDiv.style.background = '#e8f5e8';
       currentUrlDiv.style.borderLeftColor = '#4caf50';
+      const scopeNote = this.getAuditScope() === 'page'
+        ? '📄 Page-level checks use this exact URL'
+        : '🌐 Page-level checks use the site homepage';
       currentUrlDiv.innerHTML = `
         <strong>🔍 Checking:</strong><br>
         <div style="word-break: break-all; font-family: monospace; margin-top: 5px; padding: 5px; background: rgba(255,255,255,0.5); border-radius: 3px;">${url}</div>
+        <div style="margin-top: 5px; font-size: 12px; color: #555;">${scopeNote}</div>
       `;
     } else {
       currentUrlDiv.style.background = '#fff3e0';
@@ -96,6 +257,25 @@ class SecurityAuditApp {
   }
 
   setupEventListeners() {
+    // Cancelling aborts every in-flight request; unfinished checks are reported as cancelled
+    this.cancelButton.addEventListener('click', () => {
+      if (this.auditController) {
+        this.cancelButton.disabled = true;
+        this.auditController.abort();
+      }
+    });
+
+    // The live DOM is always the page open in the tab, so it implies page scope
+    document.querySelectorAll('input[name="auditSource"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        const usesLiveDom = this.getAuditSource() !== 'server';
+        const domainScope = document.querySelector('input[name="auditScope"][value="domain"]');
+        const pageScope = document.querySelector('input[name="auditScope"][value="page"]');
+        if (usesLiveDom) pageScope.checked = true;
+        domainScope.disabled = usesLiveDom;
+      });
+    });
+
     // Setup the "Run All" button
     this.checkButton.addEventListener('click', async () => {
       try {
@@ -116,14 +296,9 @@ class SecurityAuditApp {
         UIHelpers.clearResults();
 
         // Check all options
-        document.getElementById('checkRobots').checked = true;
-        document.getElementById('checkAnalytics').checked = true;
-        document.getElementById('checkSSL').checked = true;
-        document.getElementById('checkMetaTags').checked = true;
-        document.getElementById('checkNonDeveloper').checked = true;
-        // Check image option if it exists (handle missing UI element gracefully)
-        const imgCheck = document.getElementById('checkImages');
-        if(imgCheck) imgCheck.checked = true;
+        document.querySelectorAll('#checkerOptions .option-checkbox').forEach(checkbox => {
+          checkbox.checked = true;
+        });
 
         await this.runSecurityAudit(this.currentDomain);
       } catch (error) {
@@ -194,190 +369,248 @@ class SecurityAuditApp {
         this.runSelectedButton.disabled = false;
       }
     });
+
+    // Setup the "Go-Live" button - a profile that runs only the readiness gate
+    this.goLiveButton.addEventListener('click', async () => {
+      try {
+        await this.getCurrentDomain();
+        
+        if (!this.currentDomain) {
+          alert('No valid domain found. Please make sure you have an active tab with a website open.');
+          return;
+        }
+        
+        this.displayCurrentUrl(this.currentTabUrl);
+        
+        this.checkButton.disabled = true;
+        this.runSelectedButton.disabled = true;
+        UIHelpers.clearResults();
+        
+        await this.runSecurityAudit(this.currentDomain, [CheckerRegistry.get('goLive')]);
+      } catch (error) {
+        console.error('Go-live readiness error:', error);
+        UIHelpers.showError(`Go-live readiness check failed: ${error.message}`);
+      } finally {
+        this.checkButton.disabled = false;
+        this.runSelectedButton.disabled = false;
+      }
+    });
+
+    // Setup the "Dev ↔ Live" button
+    this.compareEnvButton.addEventListener('click', async () => {
+      try {
+        await this.getCurrentDomain();
+        
+        if (!this.currentDomain) {
+          alert('No valid domain found. Please make sure you have an active tab with a website open.');
+          return;
+        }
+        
+        this.displayCurrentUrl(this.currentTabUrl);
+        
+        this.checkButton.disabled = true;
+        this.runSelectedButton.disabled = true;
+        UIHelpers.clearResults();
+        
+        await this.runEnvironmentComparison();
+      } catch (error) {
+        console.error('Dev vs Live comparison error:', error);
+        UIHelpers.showError(`Dev ↔ Live comparison failed: ${error.message}`);
+      } finally {
+        this.checkButton.disabled = false;
+        this.runSelectedButton.disabled = false;
+      }
+    });
+
+    // Setup the "Audit History" button
+    this.historyButton.addEventListener('click', async () => {
+      try {
+        await this.getCurrentDomain();
+        
+        if (!this.currentDomain) {
+          alert('No valid domain found. Please make sure you have an active tab with a website open.');
+          return;
+        }
+        
+        await this.showHistory(this.currentDomain.replace(/^www\./, ''));
+      } catch (error) {
+        console.error('History error:', error);
+        UIHelpers.showError(`Could not load audit history: ${error.message}`);
+      }
+    });
+
+    // Setup the "Portfolio" button: batch audits live in their own tab
+    document.getElementById('portfolioButton').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('portfolio.html') });
+    });
   }
 
-  async runSecurityAudit(domain) {
-    const cleanDomain = domain.replace(/^www\./, '');
-    
-    // Check which optional tests are enabled
-    const checkRobots = document.getElementById('checkRobots').checked;
-    const checkAnalytics = document.getElementById('checkAnalytics').checked;
-    const checkSSL = document.getElementById('checkSSL').checked;
-    const checkMetaTags = document.getElementById('checkMetaTags').checked;
-    const checkNonDeveloper = document.getElementById('checkNonDeveloper').checked;
-    // Handle image check (might be missing from DOM if html wasn't updated)
-    const checkImagesEl = document.getElementById('checkImages');
-    const checkImages = checkImagesEl ? checkImagesEl.checked : true; // Default to true if hidden
-    
-    console.log('Audit options:', { checkRobots, checkAnalytics, checkSSL, checkMetaTags, checkNonDeveloper, checkImages });
-    
-    // Build list of all checks to run (HTTPS/HTTP is always checked)
-    const allChecks = [
-      `https://${cleanDomain}`,
-      `http://${cleanDomain}`
-    ];
+  async showUnseenScheduledAlerts() {
+    const domain = this.currentDomain.replace(/^www\./, '');
+    if (!domain) return;
     
-    if (checkRobots) {
-      allChecks.push(`https://${cleanDomain}/robots.txt`);
+    const record = await ScheduledAudit.getRecord(domain);
+    if (record && record.alerts.some(alert => !alert.seen)) {
+      await this.showScheduledAudit(domain);
     }
-    
-    if (checkAnalytics) {
-      allChecks.push(`Analytics & Tracking check`);
+  }
+
+  // What the background worker found on its last runs: the alerts raised and the latest check
+  async showScheduledAudit(domain) {
+    const record = await ScheduledAudit.getRecord(domain);
+    if (!record) {
+      UIHelpers.showError(`No scheduled audit results for ${domain}. Add it to the watch list on the options page.`);
+      return;
     }
     
-    if (checkSSL) {
-      allChecks.push(`SSL & Security Headers check`);
+    const accordion = UIHelpers.createResultsAccordion();
+    if (record.alerts.length > 0) {
+      const status = record.alerts.some(alert => !alert.seen && alert.severity === 'error') ? 'error' : 'warning';
+      const details = record.alerts.map(alert => `${alert.seen ? '' : '🆕 '}${new Date(alert.raisedAt).toLocaleString()}: ${alert.detail}`);
+      UIHelpers.addAccordionItem(accordion, 'scheduledAlerts', status, `⏰ Scheduled Audit Alerts · ${domain}`, details, true);
     }
-    
-    if (checkMetaTags) {
-      allChecks.push(`Meta Tags & SEO check`);
+    if (record.error) {
+      UIHelpers.addAccordionItem(accordion, 'scheduledError', 'warning', '⚠️ Last Scheduled Run Failed', [
+        `${new Date(record.lastAttemptAt).toLocaleString()}: ${record.error}`,
+        'The next run compares against the last successful check below.'
+      ], record.alerts.length === 0);
     }
-    
-    if (checkNonDeveloper) {
-      allChecks.push(`Content and Style checks`);
+    if (record.items.length > 0) {
+      const gtmMissing = record.items.some(item => item.id === 'gtm' && !item.passed);
+      const details = record.items.map(item => item.detail);
+      if (gtmMissing) {
+        details.push('<button class="outline-button scheduled-accept-gtm">✔️ GTM container removed on purpose</button>');
+      }
+      const item = UIHelpers.addAccordionItem(accordion, 'scheduledChecks', ScheduledAudit.getStatus(record.items), '🔎 Latest Scheduled Check',
+        details, record.alerts.length === 0 && !record.error);
+      
+      const acceptButton = item.querySelector('.scheduled-accept-gtm');
+      if (acceptButton) {
+        acceptButton.onclick = async () => {
+          await ScheduledAudit.acknowledgeGtmRemoval(domain);
+          await this.showScheduledAudit(domain);
+        };
+      }
     }
+    
+    const timestamp = document.createElement('div');
+    timestamp.className = 'audit-timestamp';
+    timestamp.textContent = record.checkedAt ? `Last checked ${new Date(record.checkedAt).toLocaleString()}` : 'Not checked successfully yet';
+    accordion.appendChild(timestamp);
+    
+    UIHelpers.displayResults(accordion);
+    await ScheduledAudit.markAlertsSeen(domain);
+  }
 
-    if (checkImages) {
-        allChecks.push(`Image Optimization & Accessibility`);
+  // checkers: defaults to the ticked options; profiles (e.g. Go-Live) pass their own set
+  async runSecurityAudit(domain, checkers = this.getSelectedCheckers()) {
+    const cleanDomain = domain.replace(/^www\./, '');
+    const domainUrl = `https://${cleanDomain}`;
+    
+    // Domain-level checks (URLs, robots, SSL) always run against the origin;
+    // page-level checks follow the selected scope
+    const source = this.getAuditSource();
+    const scope = source === 'server' ? this.getAuditScope() : 'page';
+    const pageUrl = this.getPageTargetUrl(scope, cleanDomain);
+    const domainScopeLabel = this.getScopeLabel('domain', domainUrl);
+    const pageScopeLabel = this.getScopeLabel(scope, pageUrl, source);
+    
+    const hasPageCheckers = checkers.some(checker => checker.scope === 'page');
+    
+    console.log('Audit options:', { scope, source, pageUrl, checkers: checkers.map(checker => checker.id) });
+    
+    const timeoutMs = this.getCheckTimeout();
+    const controller = new AbortController();
+    this.auditController = controller;
+    this.setCancelVisible(true);
+    
+    // One cache per audit: every checker reads the same responses instead of re-fetching
+    const cache = new PageCache({ signal: controller.signal });
+    
+    const baseContext = {
+      domain: domain,
+      cleanDomain: cleanDomain,
+      domainUrl: domainUrl,
+      pageUrl: pageUrl,
+      tabUrl: this.currentTabUrl || null, // the page open in the tab, whatever the scope
+      tabId: this.currentTabId,
+      timeoutMs: timeoutMs,
+      signal: controller.signal
+    };
+    const contextFor = checker => ({
+      ...baseContext,
+      cache: cache,
+      scopeLabel: checker.scope === 'page' ? pageScopeLabel : domainScopeLabel
+    });
+    
+    // Build list of all checks to run, one or more checklist rows per checker
+    const allChecks = [];
+    const rows = {};
+    const addRows = (key, labels) => {
+      rows[key] = labels.map(label => {
+        allChecks.push(label);
+        return allChecks.length - 1;
+      });
+    };
+    
+    if (source !== 'server' && hasPageCheckers) {
+      addRows('live', [`Live DOM snapshot (${pageScopeLabel})`]);
     }
+    checkers.forEach(checker => addRows(checker.id, CheckerRegistry.getChecklistLabels(checker, contextFor(checker))));
     
     // Create and display checklist
     const checklistContainer = UIHelpers.createChecklist(allChecks);
     UIHelpers.displayResults(checklistContainer);
     
-    let checkIndex = 0;
-    let testResults = null;
-    let robotsResult = null;
-    let analyticsResult = null;
-    let sslResult = null;
-    let metaResult = null;
-    let nonDeveloperResult = null;
-    let imageResult = null;
+    const results = {};
+    const serverResults = {}; // Server HTML results, only collected in compare mode
+    const compareSources = source === 'compare';
     
-    try {
-      // Test main URLs (HTTP/HTTPS)
-      UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'testing');
-      UIHelpers.updateCheckItem(checklistContainer, checkIndex + 1, 'testing');
-      
-      console.log('Starting URL tests for domain:', cleanDomain);
-      testResults = await UrlChecker.testUrl(`https://${cleanDomain}`);
-      console.log('URL test results:', testResults);
-      
-      // Update HTTPS result based on analysis
-      const httpsStatus = testResults.analysis.httpsWorking ? 'success' : 'error';
-      UIHelpers.updateCheckItem(checklistContainer, checkIndex, httpsStatus);
-      checkIndex++;
-      
-      // Update HTTP result based on redirect analysis
-      const httpStatus = testResults.analysis.httpRedirectsToHttps ? 'success' : 'warning';
-      UIHelpers.updateCheckItem(checklistContainer, checkIndex, httpStatus);
-      checkIndex++;
-      
-      // Test robots.txt if enabled
-      if (checkRobots) {
-        try {
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'testing');
-          console.log('Starting robots.txt check');
-          robotsResult = await RobotsChecker.testRobotsUrl(`https://${cleanDomain}`);
-          console.log('Robots result:', robotsResult);
-          const robotsStatus = robotsResult.status === 'success' ? 'success' : 'error';
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, robotsStatus);
-        } catch (robotsError) {
-          console.error('Robots check failed:', robotsError);
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'error');
-          robotsResult = { status: 'error', error: robotsError.message };
-        }
-        checkIndex++;
+    // Start the page fetch first so header-only checks of the same URL reuse it
+    if (hasPageCheckers && source !== 'live') {
+      cache.getPage(pageUrl).catch(error => console.warn('Page fetch failed:', error));
+    }
+    
+    const runCheck = (key, label, task, getStatuses, checkTimeoutMs = timeoutMs) => this.runChecklistTask(
+      checklistContainer, rows[key], label, task, getStatuses, { timeoutMs: checkTimeoutMs, signal: controller.signal }
+    );
+    
+    // Page-level checkers read from a separate cache holding the live DOM snapshot when enabled
+    let pageCacheReady = Promise.resolve(cache);
+    if (rows.live) {
+      pageCacheReady = LiveDomSource.capture(this.currentTabId).then(livePage => {
+        console.log('Live DOM captured:', livePage.url, `${livePage.html.length} chars`);
+        const liveCache = new PageCache({ signal: controller.signal });
+        liveCache.seed(pageUrl, livePage);
+        return liveCache;
+      });
+      runCheck('live', 'Live DOM snapshot', () => pageCacheReady, () => ['success']);
+    }
+    
+    // Compare mode also runs each page-level check against the server HTML
+    const runChecker = checker => runCheck(checker.id, checker.title, async () => {
+      if (checker.scope !== 'page') {
+        return checker.run(contextFor(checker));
       }
       
-      // Test analytics if enabled
-      if (checkAnalytics) {
-        try {
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'testing');
-          console.log('Starting analytics check');
-          analyticsResult = await AnalyticsChecker.testAnalyticsTracking(`https://${cleanDomain}`);
-          console.log('Analytics result:', analyticsResult);
-          const analyticsStatus = analyticsResult.status === 'success' ? 'success' : 'error';
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, analyticsStatus);
-        } catch (analyticsError) {
-          console.error('Analytics check failed:', analyticsError);
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'error');
-          analyticsResult = { status: 'error', error: analyticsError.message };
-        }
-        checkIndex++;
-      }
+      const [result, serverResult] = await Promise.all([
+        pageCacheReady.then(pageCache => checker.run({ ...contextFor(checker), cache: pageCache })),
+        compareSources ? checker.run(contextFor(checker)) : null
+      ]);
+      if (serverResult) serverResults[checker.id] = serverResult;
+      return result;
+    }, result => CheckerRegistry.getRowStatuses(checker, result), CheckerRegistry.getTimeout(checker, timeoutMs));
+    
+    try {
+      console.log('Starting checks for domain:', cleanDomain);
       
-      // Test SSL if enabled
-      if (checkSSL) {
-        try {
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'testing');
-          console.log('Starting SSL check');
-          sslResult = await SSLChecker.testSSLCertificate(`https://${cleanDomain}`, cleanDomain);
-          console.log('SSL result:', sslResult);
-          const sslStatus = sslResult.status === 'success' ? 'success' : 
-                            sslResult.status === 'warning' ? 'warning' : 'error';
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, sslStatus);
-        } catch (sslError) {
-          console.error('SSL check failed:', sslError);
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'error');
-          sslResult = { status: 'error', error: sslError.message };
-        }
-        checkIndex++;
-      }
+      // Independent checks run concurrently; each row updates as its own check resolves
+      await Promise.all(checkers.map(async checker => {
+        results[checker.id] = await runChecker(checker);
+      }));
       
-      // Test meta tags if enabled
-      if (checkMetaTags) {
-        try {
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'testing');
-          console.log('Starting meta tags check');
-          metaResult = await MetaChecker.testMetaTags(`https://${cleanDomain}`);
-          console.log('Meta result:', metaResult);
-          const metaStatus = metaResult.status === 'success' ? 'success' : 'error';
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, metaStatus);
-        } catch (metaError) {
-          console.error('Meta check failed:', metaError);
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'error');
-          metaResult = { status: 'error', error: metaError.message };
-        }
-        checkIndex++;
-      }
-
-      // Test content and style elements if enabled
-      if (checkNonDeveloper) {
-        try {
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'testing');
-          console.log('Starting content and style checks');
-          nonDeveloperResult = await NonDeveloperChecker.testNonDeveloperElements(`https://${cleanDomain}`);
-          console.log('Content and style result:', nonDeveloperResult);
-          const nonDevStatus = nonDeveloperResult.status === 'success' ? 'success' : 
-                               nonDeveloperResult.status === 'warning' ? 'warning' : 'error';
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, nonDevStatus);
-        } catch (nonDevError) {
-          console.error('Content and style check failed:', nonDevError);
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'error');
-          nonDeveloperResult = { status: 'error', error: nonDevError.message };
-        }
-        checkIndex++;
-      }
-
-      // Test Images (NEW)
-      if (checkImages) {
-        try {
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'testing');
-          console.log('Starting image checks');
-          imageResult = await ImageChecker.testImages(`https://${cleanDomain}`);
-          
-          const imgStatus = imageResult.status === 'success' ? 'success' : 
-                            imageResult.status === 'warning' ? 'warning' : 'error';
-          
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, imgStatus);
-        } catch (err) {
-          console.error('Image check failed', err);
-          UIHelpers.updateCheckItem(checklistContainer, checkIndex, 'error');
-          imageResult = { status: 'error', details: [err.message] };
-        }
-        checkIndex++;
-      }
+      console.log('Audit results:', results);
+      const cancelled = controller.signal.aborted;
       
       // Small delay for better UX then show results in accordion format
       await this.delay(500);
@@ -385,67 +618,52 @@ class SecurityAuditApp {
       // Create accordion results
       const accordionContainer = UIHelpers.createResultsAccordion();
       
-      // Add Non Developer results first if enabled
-      if (checkNonDeveloper && nonDeveloperResult) {
-        this.addNonDeveloperResults(accordionContainer, nonDeveloperResult);
+      if (cancelled) {
+        UIHelpers.addAccordionItem(accordionContainer, 'cancelled', 'warning', '⏹️ Audit Cancelled', [
+          'The audit was cancelled before every check finished.',
+          'Checks that were still running are marked as failed.'
+        ], true);
       }
       
-      // Add HTTPS/HTTP results
-      this.addHttpsHttpResults(accordionContainer, testResults);
-      
-      // Add other results if enabled
-      if (checkRobots && robotsResult) {
-        this.addRobotsResults(accordionContainer, robotsResult);
-      }
+      checkers.forEach(checker => {
+        if (results[checker.id]) {
+          checker.render(accordionContainer, results[checker.id], contextFor(checker));
+        }
+      });
       
-      if (checkAnalytics && analyticsResult) {
-        this.addAnalyticsResults(accordionContainer, analyticsResult);
+      // Server HTML vs Live DOM side by side
+      let comparison = null;
+      if (compareSources) {
+        comparison = this.addSourceComparison(accordionContainer, checkers, serverResults, results, this.getScopeLabel('page', pageUrl));
       }
       
-      if (checkSSL && sslResult) {
-        this.addSSLResults(accordionContainer, sslResult);
-      }
+      // Keep the structured results so they can be exported
+      const manifest = chrome.runtime.getManifest();
+      this.lastAudit = {
+        completedAt: new Date().toISOString(),
+        generator: { name: manifest.name, version: manifest.version },
+        domain: cleanDomain,
+        domainUrl: domainUrl,
+        pageUrl: pageUrl,
+        scope: scope,
+        source: source,
+        cancelled: cancelled,
+        requestCount: cache.requestCount,
+        checkers: checkers.map(checker => ({ id: checker.id, title: checker.title, scope: checker.scope })),
+        results: results,
+        serverResults: serverResults,
+        comparison: comparison,
+        sections: UIHelpers.getAccordionSections(accordionContainer)
+      };
+      accordionContainer.prepend(this.createExportMenu());
       
-      if (checkMetaTags && metaResult) {
-        this.addMetaResults(accordionContainer, metaResult);
-      }
-
-      // Add Image Results
-      if (checkImages && imageResult) {
-        this.addImageResults(accordionContainer, imageResult);
-        
-        const highlightBtn = accordionContainer.querySelector('#btn-highlight-images');
-        
-        if (highlightBtn) {
-          highlightBtn.onclick = async () => {
-            try {
-              // Send message to the active tab
-              const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-              if (tab?.id) {
-                await chrome.tabs.sendMessage(tab.id, { 
-                  action: "highlight_images", 
-                  data: imageResult.analysis // Send the full analysis (missingAlt, missingDimensions)
-                });
-                
-                // Visual feedback on the button
-                const originalText = highlightBtn.innerText;
-                highlightBtn.innerText = "✨ Highlights Active!";
-                highlightBtn.style.backgroundColor = "#e8f5e8";
-                setTimeout(() => {
-                  highlightBtn.innerText = originalText;
-                  highlightBtn.style.backgroundColor = "#fff";
-                }, 2000);
-              }
-            } catch (err) {
-              console.error("Failed to highlight:", err);
-              alert("Could not highlight images. Try refreshing the page.");
-            }
-          };
-        }
+      // Store the run and show what changed since the last audit of the same target
+      if (!cancelled) {
+        await this.recordHistory(accordionContainer);
       }
       
       // Add timestamp
-      UIHelpers.addTimestamp(accordionContainer);
+      UIHelpers.addTimestamp(accordionContainer, `${cache.requestCount} page request(s), shared across all checks`);
       
       // Replace checklist with accordion results
       UIHelpers.displayResults(accordionContainer);
@@ -468,429 +686,484 @@ class SecurityAuditApp {
         </div>
       `;
       
-      const results = document.getElementById('results');
-      results.innerHTML = '';
-      results.appendChild(errorContainer);
+      const resultsElement = document.getElementById('results');
+      resultsElement.innerHTML = '';
+      resultsElement.appendChild(errorContainer);
+    } finally {
+      // Also stops requests from checks that timed out but are still in flight
+      controller.abort();
+      this.auditController = null;
+      this.setCancelVisible(false);
     }
   }
 
-  addHttpsHttpResults(container, testResults) {
-    const details = [];
-    const analysis = testResults.analysis;
+  addSourceComparison(container, checkers, serverResults, liveResults, scopeLabel = null) {
+    const sections = checkers
+      .filter(checker => checker.extractFacts && liveResults[checker.id] && serverResults[checker.id])
+      .map(checker => ({
+        title: checker.title,
+        rows: ResultDiff.compareFacts(checker.extractFacts(serverResults[checker.id]), checker.extractFacts(liveResults[checker.id]))
+      }));
     
-    // Add IP address if available
-    if (testResults.ipAddress) {
-      // Include Cloudflare status directly in the IP line if detected
-      const cloudflareText = testResults.isCloudflare === true ? ' (Protected by Cloudflare)' : '';
-      details.push(`🌐 Server IP: ${testResults.ipAddress}${cloudflareText}`);
-      details.push('');
-    }
-    
-    // HTTPS Status
-    if (analysis.httpsWorking) {
-      details.push('✅ HTTPS is working');
-    } else {
-      details.push('❌ HTTPS not accessible');
-    }
+    const differences = sections.reduce((count, section) => count + section.rows.filter(row => row.changed).length, 0);
+    const details = [];
     
-    // HTTP to HTTPS Redirect Status
-    if (analysis.httpRedirectsToHttps) {
-      details.push('✅ HTTP properly redirects to HTTPS');
+    if (differences > 0) {
+      details.push(`⚠️ ${differences} difference(s) between the server HTML and the rendered DOM`);
+      details.push('💡 Differences usually mean content is added or changed by JavaScript after load');
     } else {
-      details.push('⚠️ HTTP does not redirect to HTTPS (security risk)');
-    }
-    
-    // WWW Redirection Analysis
-    switch (analysis.wwwRedirection) {
-      case 'to-www':
-        details.push('🔄 Non-www redirects to www version');
-        details.push(`   • Preferred URL: ${analysis.preferredUrl}`);
-        break;
-      case 'to-non-www':
-        details.push('🔄 www redirects to non-www version');
-        details.push(`   • Preferred URL: ${analysis.preferredUrl}`);
-        break;
-      case 'both-work':
-        details.push('⚠️ Both www and non-www versions work (should pick one)');
-        break;
-      case 'unclear':
-        details.push('❓ www/non-www redirection pattern unclear');
-        break;
+      details.push('✅ Server HTML and rendered DOM give the same results');
     }
+    details.push(UIHelpers.createComparisonTable(sections, ['Server HTML', 'Live DOM'], value => ResultDiff.formatValue(value)));
     
-    // Detailed test results
-    details.push('');
-    details.push('📋 Detailed Test Results:');
+    UIHelpers.addAccordionItem(container, 'sourceComparison', differences > 0 ? 'warning' : 'success', '⚖️ Server HTML vs Live DOM', details, true, scopeLabel);
+    return sections;
+  }
+
+  // Runs one check with its own timeout and updates its checklist row(s) as soon as it settles
+  runChecklistTask(checklistContainer, rowIndexes, label, task, getStatuses, { timeoutMs, signal }) {
+    rowIndexes.forEach(row => UIHelpers.updateCheckItem(checklistContainer, row, 'testing'));
     
-    const tests = testResults.tests;
-    const testLabels = {
-      'https-non-www': 'HTTPS (non-www)',
-      'https-www': 'HTTPS (www)',
-      'http-non-www': 'HTTP (non-www)',
-      'http-www': 'HTTP (www)'
-    };
+    return TaskRunner.run(task, { timeoutMs, signal, label })
+      .then(result => {
+        const statuses = getStatuses(result);
+        rowIndexes.forEach((row, i) => UIHelpers.updateCheckItem(checklistContainer, row, statuses[i] || statuses[0]));
+        return result;
+      })
+      .catch(error => {
+        console.error(`${label} failed:`, error);
+        const note = TaskRunner.isCancelled(error) ? 'cancelled' : TaskRunner.isTimeout(error) ? 'timed out' : null;
+        rowIndexes.forEach(row => UIHelpers.updateCheckItem(checklistContainer, row, 'error', note));
+        return { status: 'error', error: error.message, details: [`❌ ${error.message}`] };
+      });
+  }
+
+  // Target URLs for one environment; page scope keeps the tab's path on both sites
+  buildEnvironment(key, name, siteUrl, scope, pagePath) {
+    const cleanDomain = siteUrl.hostname.replace(/^www\./, '');
+    const domainUrl = `${siteUrl.protocol}//${cleanDomain}`;
+    const pageUrl = scope === 'page' ? new URL(pagePath, siteUrl.origin).href : domainUrl;
+    const label = scope === 'page' ? `${name}: ${siteUrl.hostname}${pagePath}` : `${name}: ${siteUrl.hostname}`;
     
-    Object.keys(testLabels).forEach(key => {
-      const test = tests[key];
-      if (test) {
-        const icon = test.accessible ? '✅' : '❌';
-        let line = `   ${icon} ${testLabels[key]}`;
-        
-        if (test.redirected && test.finalUrl) {
-          line += ` → ${test.finalUrl}`;
-        } else if (test.accessible) {
-          line += ' (direct access)';
-        }
-        
-        if (test.note) {
-          line += ` (${test.note})`;
-        }
-        
-        details.push(line);
+    return {
+      key: key,
+      name: name,
+      hostname: siteUrl.hostname,
+      context: {
+        domain: siteUrl.hostname,
+        cleanDomain: cleanDomain,
+        domainUrl: domainUrl,
+        pageUrl: pageUrl,
+        tabUrl: new URL(pagePath, siteUrl.origin).href,
+        scopeLabel: label
       }
-    });
-    
-    // Overall security assessment
-    let overallStatus = 'error';
-    if (analysis.httpsWorking && analysis.httpRedirectsToHttps) {
-      overallStatus = 'success';
-      details.push('');
-      details.push('🔒 Excellent: HTTPS working and HTTP redirects properly');
-    } else if (analysis.httpsWorking) {
-      overallStatus = 'warning';
-      details.push('');
-      details.push('⚠️ Good: HTTPS working but HTTP redirect needs improvement');
-    } else {
-      details.push('');
-      details.push('❌ Poor: HTTPS issues detected');
-    }
-    
-    UIHelpers.addAccordionItem(container, 'urls', overallStatus, '🔒 HTTPS/HTTP Security Analysis', details, false);
+    };
   }
 
-  addRobotsResults(container, robotsResult) {
-    let details = [];
-    let status = robotsResult.status;
+  // Runs the selected checkers against the live site and its dev twin, then compares them
+  async runEnvironmentComparison() {
+    const tabUrl = new URL(this.currentTabUrl);
+    if (!['http:', 'https:'].includes(tabUrl.protocol)) {
+      throw new Error(`Comparisons need an http(s) page, not ${tabUrl.protocol}`);
+    }
     
-    if (status === 'success') {
-      details.push('✅ robots.txt found and accessible');
-      if (robotsResult.analysis) {
-        details.push(...UIHelpers.formatRobotsAnalysis(robotsResult.analysis));
-      }
-      
-      // Add the actual robots.txt content
-      if (robotsResult.content) {
-        details.push(''); // Empty line for spacing
-        details.push('📄 File Content:');
-        
-        // Format the content with proper line breaks and styling
-        const contentLines = robotsResult.content.split('\n');
-        const shouldTruncate = contentLines.length > 50;
-        const displayContent = shouldTruncate ? 
-          contentLines.slice(0, 50).join('\n') + '\n\n... (truncated, showing first 50 lines)' : 
-          robotsResult.content;
-        
-        // Show "empty file" message if content is just whitespace
-        const actualContent = robotsResult.content.trim();
-        const contentToShow = actualContent.length === 0 ? 
-          '(This robots.txt file is empty)' : 
-          displayContent;
-        
-        details.push(`<div style="
-          background: #f8f9fa; 
-          border: 1px solid #dee2e6; 
-          border-radius: 4px; 
-          padding: 12px; 
-          margin: 8px 0; 
-          font-family: 'Courier New', monospace; 
-          font-size: 12px; 
-          white-space: pre-wrap; 
-          word-wrap: break-word;
-          max-height: 300px;
-          overflow-y: auto;
-          color: #333;
-        ">${this.escapeHtml(contentToShow)}</div>`);
-        
-        details.push(`📏 File size: ${robotsResult.size} bytes`);
-        if (shouldTruncate) {
-          details.push(`📄 Total lines: ${contentLines.length} (showing first 50)`);
-        }
-      }
+    // From a dev or staging tab, compare it with the live site it belongs to
+    let liveUrl = tabUrl;
+    let dev;
+    const live = await EnvironmentDetector.findLiveUrl(tabUrl);
+    if (live) {
+      console.log('Live site:', live);
+      liveUrl = new URL(live.url);
+      dev = { url: tabUrl.href, source: 'tab' };
+    } else if (EnvironmentDetector.isDevHost(tabUrl.hostname)) {
+      throw new Error('This looks like a dev site, but its live site is unknown. Add a mapping in Settings or open the live site.');
     } else {
-      details.push('❌ robots.txt not found or inaccessible');
-      if (robotsResult.error) {
-        details.push(`Error: ${robotsResult.error}`);
+      UIHelpers.showLoading('Looking for the dev site...');
+      dev = await EnvironmentDetector.findDevUrl(liveUrl);
+      if (!dev) {
+        throw new Error('No dev site detected. Set a custom dev URL in the popup first.');
       }
     }
+    console.log('Dev site:', dev);
     
-    UIHelpers.addAccordionItem(container, 'robots', status, '🤖 Robots.txt Analysis', details, false);
-  }
-
-  addAnalyticsResults(container, analyticsResult) {
-    let details = [];
-    let status = analyticsResult.status;
+    // Path rules from the settings page can put the same page at different paths
+    const scope = this.getAuditScope();
+    const livePagePath = `${liveUrl.pathname}${liveUrl.search}`;
+    const devPagePath = live
+      ? `${tabUrl.pathname}${tabUrl.search}`
+      : `${EnvironmentDetector.translatePath(liveUrl.pathname, 'live', 'dev', EnvironmentDetector.getCleanHost(liveUrl.hostname))}${liveUrl.search}`;
+    const environments = [
+      this.buildEnvironment('live', '🟢 Live', liveUrl, scope, livePagePath),
+      this.buildEnvironment('dev', '🛠️ Dev', new URL(dev.url), scope, devPagePath)
+    ];
+    const checkers = this.getSelectedCheckers();
+    
+    const timeoutMs = this.getCheckTimeout();
+    const controller = new AbortController();
+    this.auditController = controller;
+    this.setCancelVisible(true);
+    
+    // Each environment gets its own cache; the checker set is identical
+    environments.forEach(env => {
+      env.cache = new PageCache({ signal: controller.signal });
+      env.results = {};
+    });
+    const contextFor = env => ({ ...env.context, tabId: this.currentTabId, timeoutMs: timeoutMs, signal: controller.signal, cache: env.cache });
+    
+    const allChecks = [];
+    const rows = {};
+    environments.forEach(env => {
+      checkers.forEach(checker => {
+        rows[`${env.key}:${checker.id}`] = CheckerRegistry.getChecklistLabels(checker, contextFor(env)).map(label => {
+          allChecks.push(label);
+          return allChecks.length - 1;
+        });
+      });
+    });
+    
+    const checklistContainer = UIHelpers.createChecklist(allChecks);
+    UIHelpers.displayResults(checklistContainer);
     
-    if (status === 'success' && analyticsResult.analytics) {
-      const analytics = analyticsResult.analytics;
+    try {
+      await Promise.all(environments.flatMap(env => checkers.map(async checker => {
+        env.results[checker.id] = await this.runChecklistTask(
+          checklistContainer,
+          rows[`${env.key}:${checker.id}`],
+          `${env.name} ${checker.title}`,
+          () => checker.run(contextFor(env)),
+          result => CheckerRegistry.getRowStatuses(checker, result),
+          { timeoutMs: CheckerRegistry.getTimeout(checker, timeoutMs), signal: controller.signal }
+        );
+      })));
       
-      // Google Analytics
-      if (analytics.googleAnalytics.found) {
-        details.push(`📊 Google Analytics: ${analytics.googleAnalytics.versions.join(', ')}`);
-        if (analytics.googleAnalytics.trackingIds.length > 0) {
-          details.push(`   • Tracking IDs: ${analytics.googleAnalytics.trackingIds.join(', ')}`);
-        }
-      }
+      const cancelled = controller.signal.aborted;
+      await this.delay(500);
       
-      // Google Tag Manager
-      if (analytics.googleTagManager.found) {
-        details.push(`🏷️ Google Tag Manager`);
-        if (analytics.googleTagManager.containerIds.length > 0) {
-          details.push(`   • Container IDs: ${analytics.googleTagManager.containerIds.join(', ')}`);
-        }
-      }
+      const accordionContainer = UIHelpers.createResultsAccordion();
       
-      // Facebook Pixel
-      if (analytics.facebookPixel.found) {
-        details.push(`📘 Facebook Pixel`);
-        if (analytics.facebookPixel.pixelIds.length > 0) {
-          details.push(`   • Pixel IDs: ${analytics.facebookPixel.pixelIds.join(', ')}`);
-        }
+      if (cancelled) {
+        UIHelpers.addAccordionItem(accordionContainer, 'cancelled', 'warning', '⏹️ Comparison Cancelled', [
+          'The comparison was cancelled before every check finished.',
+          'Checks that were still running are marked as failed.'
+        ], true);
       }
       
-      // Hotjar
-      if (analytics.hotjar.found) {
-        details.push(`🔥 Hotjar`);
-        if (analytics.hotjar.siteIds.length > 0) {
-          details.push(`   • Site IDs: ${analytics.hotjar.siteIds.join(', ')}`);
-        }
-      }
+      const [live, devEnv] = environments;
+      this.addEnvironmentComparison(accordionContainer, checkers, live, devEnv, dev.source);
       
-      // Other analytics services
-      if (analytics.mixpanel.found) details.push('📈 Mixpanel');
-      if (analytics.amplitude.found) details.push('📊 Amplitude');
-      if (analytics.segment.found) details.push('🔗 Segment');
-      if (analytics.intercom.found) details.push('💬 Intercom');
-      if (analytics.zendesk.found) details.push('🎧 Zendesk');
-      
-      // Retargeting
-      if (analytics.retargeting.found && analytics.retargeting.services.length > 0) {
-        details.push(`🎯 Retargeting Services:`);
-        analytics.retargeting.services.forEach(service => {
-          details.push(`   • ${service}`);
+      // Full results for each checker, live first then dev
+      checkers.forEach(checker => {
+        environments.forEach(env => {
+          if (env.results[checker.id]) {
+            checker.render(accordionContainer, env.results[checker.id], contextFor(env));
+          }
         });
-      }
+      });
       
-      // Cookie consent with detailed provider information
-      if (analytics.cookieConsent.found) {
-        if (analytics.cookieConsent.providers.length > 0) {
-          details.push(`🍪 Cookie Consent Providers:`);
-          analytics.cookieConsent.providers.forEach(provider => {
-            details.push(`   • ${provider}`);
-          });
-          
-          // Add detailed information if available
-          if (analytics.cookieConsent.details.length > 0) {
-            details.push(''); // Empty line for spacing
-            details.push('📋 Provider Details:');
-            analytics.cookieConsent.details.forEach(detail => {
-              details.push(`   • ${detail}`);
-            });
-          }
-        } else {
-          details.push('🍪 Cookie Consent detected (Generic/Unknown provider)');
-        }
-      }
+      UIHelpers.addTimestamp(accordionContainer, `${live.cache.requestCount + devEnv.cache.requestCount} page request(s) across both sites`);
+      UIHelpers.displayResults(accordionContainer);
+    } finally {
+      controller.abort();
+      this.auditController = null;
+      this.setCancelVisible(false);
+    }
+  }
 
-      // Check for specific issues
-      const gaIssues = analytics.googleAnalytics?.issues || [];
-      const gtmIssues = analytics.googleTagManager?.issues || [];
+  addEnvironmentComparison(container, checkers, live, dev, devSource) {
+    // Dev hostnames in dev values (canonical, sitemaps, preferred URL) are read as the live host
+    const withLiveHost = value => {
+      if (typeof value === 'string') return value.split(dev.hostname).join(live.hostname);
+      if (Array.isArray(value)) return value.map(withLiveHost);
+      return value;
+    };
+    
+    const sections = checkers
+      .filter(checker => checker.extractFacts && live.results[checker.id] && dev.results[checker.id])
+      .map(checker => {
+        const comparable = facts => facts.filter(fact => !fact.environmentSpecific);
+        const devFacts = comparable(checker.extractFacts(dev.results[checker.id]))
+          .map(fact => ({ ...fact, value: withLiveHost(fact.value) }));
+        return {
+          title: checker.title,
+          rows: ResultDiff.compareFacts(comparable(checker.extractFacts(live.results[checker.id])), devFacts)
+        };
+      })
+      .filter(section => section.rows.length > 0);
+    
+    const differences = sections.reduce((count, section) => count + section.rows.filter(row => row.changed).length, 0);
+    const details = [
+      `🟢 Live: ${live.context.pageUrl}`,
+      `🛠️ Dev: ${dev.context.pageUrl}${devSource === 'override' ? ' (custom override)' : ''}`
+    ];
+    
+    if (differences > 0) {
+      details.push(`⚠️ ${differences} difference(s) between dev and live`);
+    } else {
+      details.push('✅ Dev and live give the same results');
+    }
+    details.push(UIHelpers.createComparisonTable(sections, ['Live', 'Dev'], value => ResultDiff.formatValue(value)));
+    
+    UIHelpers.addAccordionItem(container, 'environmentComparison', differences > 0 ? 'warning' : 'success', '⚖️ Dev ↔ Live Comparison', details, true);
+    return sections;
+  }
 
-      if(gaIssues.length > 0 || gtmIssues.length > 0) {
-          details.push('');
-          details.push('⚠️ Implementation Issues:');
-          gaIssues.forEach(i => details.push(`   • ${i}`));
-          gtmIssues.forEach(i => details.push(`   • ${i}`));
-      }
+  async recordHistory(container) {
+    try {
+      const report = ReportExporter.buildReport(this.lastAudit);
+      const previous = await AuditHistory.getPrevious(report);
+      await AuditHistory.save(report);
       
-      if (details.length === 0) {
-        details.push('✅ No major analytics or tracking services detected');
-      }
-    } else if (status === 'success') {
-      // Fallback to summary if analytics object is not available
-      details.push(...(analyticsResult.summary || ['No major tracking detected']));
-    } else {
-      details.push('❌ Analytics check failed');
-      if (analyticsResult.error) {
-        details.push(`Error: ${analyticsResult.error}`);
+      if (previous) {
+        this.addRunDiff(container, previous, report, '🕘 Changes Since Last Run');
       }
+    } catch (error) {
+      console.warn('Could not save audit to history:', error);
     }
-    
-    UIHelpers.addAccordionItem(container, 'analytics', status, '📊 Analytics & Tracking', details, false);
   }
 
-  addSSLResults(container, sslResult) {
-    let details = [];
-    let status = sslResult.status;
+  addRunDiff(container, older, newer, title, isExpanded = false) {
+    const diff = AuditHistory.diffRuns(older, newer);
+    const changed = diff.filter(check => check.trend !== 'same' || check.changes.length > 0);
+    const details = [`📅 ${this.formatRunDate(older)} → ${this.formatRunDate(newer)}`];
     
-    if (!sslResult.details || sslResult.details.length === 0) {
-      details.push('SSL certificate information not available');
-      UIHelpers.addAccordionItem(container, 'ssl', status, '🔐 SSL & Security Headers', details, false);
-      return;
+    if (changed.length === 0) {
+      details.push('✅ No changes between these runs');
     }
     
-    // Parse the SSL result details to extract different sections
-    const parsedResult = this.parseSSLResults(sslResult.details);
+    changed.forEach(check => {
+      details.push('');
+      const statusChange = check.trend === 'same'
+        ? ''
+        : ` (${UIHelpers.getStatusIcon(check.before)} → ${UIHelpers.getStatusIcon(check.after)})`;
+      details.push(`${check.title}${statusChange}`);
+      check.changes.forEach(change => details.push(`   • ${change}`));
+    });
     
-    // Add basic certificate info (always visible)
-    if (parsedResult.certificateInfo.length > 0) {
-      details.push(...parsedResult.certificateInfo);
+    let status = 'success';
+    if (diff.some(check => check.trend === 'worse')) {
+      status = 'error';
+    } else if (changed.some(check => check.trend === 'same')) {
+      status = 'warning';
     }
     
-    // Add security headers summary
-    if (parsedResult.securityHeadersSummary) {
-      details.push('');
-      details.push(parsedResult.securityHeadersSummary);
+    UIHelpers.addAccordionItem(container, 'history', status, title, details, isExpanded, this.formatRunTarget(newer));
+  }
+
+  formatRunDate(run) {
+    return new Date(run.generatedAt).toLocaleString();
+  }
+
+  formatRunTarget(run) {
+    const sourceSuffix = run.target.source === 'server' ? '' : ' · Live DOM';
+    if (run.target.scope === 'page') {
+      const url = new URL(run.target.pageUrl);
+      return `📄 Page: ${url.pathname}${url.search}${sourceSuffix}`;
     }
+    return `🌐 Whole Site${sourceSuffix}`;
+  }
+
+  async showHistory(domain) {
+    const runs = await AuditHistory.list(domain);
     
-    // Add security headers details (simple list)
-    if (parsedResult.securityHeaders.length > 0) {
-      details.push('');
-      details.push('🛡️ Security Headers Details:');
-      details.push(...parsedResult.securityHeaders);
+    const container = document.createElement('div');
+    container.className = 'history-view';
+    
+    const title = document.createElement('div');
+    title.className = 'checklist-title';
+    title.textContent = `🕘 Audit History · ${domain}`;
+    container.appendChild(title);
+    
+    if (runs.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No audits stored for this site yet. Completed audits are saved here automatically.';
+      container.appendChild(empty);
+      UIHelpers.displayResults(container);
+      return;
     }
     
-    UIHelpers.addAccordionItem(container, 'ssl', status, '🔐 SSL & Security Headers', details, false);
-  }
-  
-  parseSSLResults(sslDetails) {
-    const result = {
-      certificateInfo: [],
-      securityHeadersSummary: '',
-      securityHeaders: []
-    };
+    const detail = document.createElement('div');
+    detail.className = 'history-detail';
     
-    let currentSection = 'certificate';
+    const compareButton = document.createElement('button');
+    compareButton.className = 'outline-button history-action';
+    compareButton.textContent = '⚖️ Compare Selected';
+    compareButton.disabled = true;
     
-    for (let i = 0; i < sslDetails.length; i++) {
-      const line = sslDetails[i];
+    const list = document.createElement('div');
+    list.className = 'history-list';
+    
+    runs.forEach(run => {
+      const item = document.createElement('div');
+      item.className = `history-run ${run.summary.status}`;
       
-      // Fix protocols display issue
-      if (line.includes('🔐 Protocols:') && line.includes('[object Object]')) {
-        result.certificateInfo.push('🔐 Protocols: TLS 1.2, TLS 1.3 (or similar)');
-        continue;
-      }
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = run.id;
+      checkbox.className = 'history-select';
+      checkbox.title = 'Select two runs to compare';
+      checkbox.addEventListener('change', () => {
+        compareButton.disabled = list.querySelectorAll('.history-select:checked').length !== 2;
+      });
       
-      // Determine which section we're in
-      if (line.includes('🛡️ Security Headers Analysis:')) {
-        result.securityHeadersSummary = line;
-        currentSection = 'headers';
-        continue;
-      }
+      const info = document.createElement('div');
+      info.className = 'history-info';
+      const counts = run.summary.counts;
+      info.innerHTML = `
+        <div class="history-date">${UIHelpers.escapeHtml(this.formatRunDate(run))}</div>
+        <div class="history-meta">${UIHelpers.escapeHtml(this.formatRunTarget(run))} · ✅ ${counts.success} ⚠️ ${counts.warning} ❌ ${counts.error}</div>
+      `;
       
-      // Add content to appropriate section
-      switch (currentSection) {
-        case 'certificate':
-          // Only include basic certificate info, skip detailed headers analysis
-          if (!line.includes('HSTS') && !line.includes('CSP') && 
-              !line.includes('X-Frame-Options') && !line.includes('X-Content-Type-Options') &&
-              !line.includes('Prevents') && !line.includes('Impact:') && !line.includes('Essential') &&
-              !line.includes('Recommended') && line.trim() !== '') {
-            result.certificateInfo.push(line);
-          }
-          break;
-        case 'headers':
-          // Include all header-related lines without complex processing
-          if (line.trim() !== '') {
-            result.securityHeaders.push(line);
-          }
-          break;
+      const viewButton = document.createElement('button');
+      viewButton.className = 'history-link';
+      viewButton.textContent = 'View';
+      viewButton.onclick = () => this.showHistoryRun(detail, run);
+      
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'history-link';
+      deleteButton.textContent = '🗑️';
+      deleteButton.title = 'Delete this run';
+      deleteButton.onclick = async () => {
+        await AuditHistory.remove(domain, run.id);
+        await this.showHistory(domain);
+      };
+      
+      item.appendChild(checkbox);
+      item.appendChild(info);
+      item.appendChild(viewButton);
+      item.appendChild(deleteButton);
+      list.appendChild(item);
+    });
+    
+    compareButton.onclick = () => {
+      const selected = Array.from(list.querySelectorAll('.history-select:checked'))
+        .map(checkbox => runs.find(run => run.id === checkbox.value))
+        .sort((a, b) => new Date(a.generatedAt) - new Date(b.generatedAt));
+      
+      const accordion = UIHelpers.createResultsAccordion();
+      if (!AuditHistory.isSameTarget(selected[0], selected[1])) {
+        UIHelpers.addAccordionItem(accordion, 'historyNote', 'warning', '⚠️ Different Targets', [
+          'These runs audited different pages, so page-level differences may be expected.'
+        ], true);
       }
-    }
+      this.addRunDiff(accordion, selected[0], selected[1], '⚖️ Run Comparison', true);
+      detail.innerHTML = '';
+      detail.appendChild(accordion);
+    };
+    
+    const clearButton = document.createElement('button');
+    clearButton.className = 'outline-button history-action';
+    clearButton.textContent = '🗑️ Clear History';
+    clearButton.onclick = async () => {
+      if (!confirm(`Delete all ${runs.length} stored audit(s) for ${domain}?`)) return;
+      await AuditHistory.clear(domain);
+      await this.showHistory(domain);
+    };
     
-    return result;
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.appendChild(compareButton);
+    actions.appendChild(clearButton);
+    
+    container.appendChild(list);
+    container.appendChild(actions);
+    container.appendChild(detail);
+    UIHelpers.displayResults(container);
   }
 
-  addMetaResults(container, metaResult) {
-    let details = [];
-    let status = metaResult.status;
+  // Re-renders a stored run from its saved section details
+  showHistoryRun(detail, run) {
+    const accordion = UIHelpers.createResultsAccordion();
     
-    if (status === 'success') {
-      details.push(...(metaResult.details || ['✅ Meta tags analyzed']));
-      
-      // Add specific meta tag content information in a clear, direct format
-      if (metaResult.analysis) {
-        details.push('');
-        details.push(' META TAG CONTENT:');
-        
-        // Title - displayed more prominently
-        if (metaResult.analysis.title.present) {
-          details.push(`▶️ TITLE: "${metaResult.analysis.title.content}"`);
-        } else {
-          details.push('▶️ TITLE: Missing');
-        }
-        
-        // Description - displayed more prominently
-        if (metaResult.analysis.description.present) {
-          details.push(`▶️ DESCRIPTION: "${metaResult.analysis.description.content}"`);
-        } else {
-          details.push('▶️ DESCRIPTION: Missing');
-        }
-        
-        // Canonical URL - displayed more prominently
-        if (metaResult.analysis.canonical.present) {
-          details.push(`▶️ CANONICAL URL: ${metaResult.analysis.canonical.href}`);
-        } else {
-          details.push('▶️ CANONICAL URL: Missing');
-        }
-      }
-    } else {
-      details.push('❌ Meta tags check failed');
-      if (metaResult.error) {
-        details.push(`Error: ${metaResult.error}`);
-      }
-    }
+    run.checks.forEach(check => {
+      // Stored details are plain text; multi-line blocks (e.g. robots.txt) are shown escaped
+      const details = check.details.map(detail => detail.includes('\n') || detail.includes('<')
+        ? `<pre class="history-pre">${UIHelpers.escapeHtml(detail)}</pre>`
+        : detail);
+      UIHelpers.addAccordionItem(accordion, check.id, check.status, check.title, details, false, check.scopeLabel);
+    });
     
-    UIHelpers.addAccordionItem(container, 'meta', status, '🏷️ Meta Tags & SEO', details, false);
-  }
-
-  addNonDeveloperResults(container, nonDeveloperResult) {
-    let details = [];
-    let status = nonDeveloperResult.status;
-    
-    if (status === 'success' || status === 'warning' || status === 'error') {
-      // Always use the formatted details from NonDeveloperChecker when available
-      if (nonDeveloperResult.details && nonDeveloperResult.details.length > 0) {
-        details.push(...nonDeveloperResult.details);
-      } else {
-        // Fallback if no details are available
-        if (status === 'success') {
-          details.push('✅ Content and style elements analyzed');
-        } else if (status === 'warning') {
-          details.push('⚠️ Content and style elements have issues');
-        } else {
-          details.push('❌ Content and style elements check failed');
-          if (nonDeveloperResult.error) {
-            details.push(`Error: ${nonDeveloperResult.error}`);
-          }
+    const timestamp = document.createElement('div');
+    timestamp.className = 'audit-timestamp';
+    timestamp.textContent = `Audit run at ${this.formatRunDate(run)}`;
+    accordion.appendChild(timestamp);
+    
+    detail.innerHTML = '';
+    detail.appendChild(accordion);
+  }
+
+  createExportMenu() {
+    const menu = document.createElement('details');
+    menu.className = 'export-menu';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = '📤 Export Report';
+    menu.appendChild(summary);
+    
+    const options = [
+      { label: '🧾 JSON (structured results)', action: () => this.exportReport('json') },
+      { label: '📝 Markdown (for tickets)', action: () => this.exportReport('markdown') },
+      { label: '📋 Copy Markdown', action: () => this.exportReport('copy') },
+      { label: '🖨️ Printable Report (HTML)', action: () => this.exportReport('html') }
+    ];
+    
+    options.forEach(option => {
+      const button = document.createElement('button');
+      button.className = 'export-option';
+      button.textContent = option.label;
+      button.onclick = async () => {
+        try {
+          await option.action();
+          menu.open = false;
+        } catch (error) {
+          console.error('Export failed:', error);
+          button.textContent = `❌ ${error.message}`;
         }
-      }
-    }
+      };
+      menu.appendChild(button);
+    });
     
-    UIHelpers.addAccordionItem(container, 'nonDeveloper', status, '🎨 Content and Style', details, false);
+    return menu;
   }
 
-  // --- NEW: Image Results Helper ---
-  addImageResults(container, result) {
-    let status = result.status;
-    let details = result.details || ['Check failed'];
+  async exportReport(format) {
+    if (!this.lastAudit) return;
     
-    UIHelpers.addAccordionItem(container, 'images', status, '🖼️ Images & Accessibility', details, false);
+    const report = ReportExporter.buildReport(this.lastAudit);
+    
+    switch (format) {
+      case 'json':
+        ReportExporter.download(ReportExporter.toJSON(report), ReportExporter.getFilename(report, 'json'), 'application/json');
+        break;
+      case 'markdown':
+        ReportExporter.download(ReportExporter.toMarkdown(report), ReportExporter.getFilename(report, 'md'), 'text/markdown');
+        break;
+      case 'copy':
+        await navigator.clipboard.writeText(ReportExporter.toMarkdown(report));
+        break;
+      case 'html': {
+        // Saved as a standalone file with the logo inlined; print it from the browser to get a PDF
+        const logo = await this.getLogoDataUrl();
+        ReportExporter.download(ReportExporter.toHTML(report, logo), ReportExporter.getFilename(report, 'html'), 'text/html');
+        break;
+      }
+    }
   }
 
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  async getLogoDataUrl() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('icons/icon128.png'));
+      const blob = await response.blob();
+      return await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    } catch (error) {
+      console.warn('Could not load logo for report:', error);
+      return null;
+    }
   }
 
   delay(ms) {
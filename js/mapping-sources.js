@@ -0,0 +1,455 @@
+// Mapping sources - JSON/CSV import and export of the mapping set, and the shared team mapping file
+//
+// Precedence when sources disagree (highest first):
+//   personal override > shared override > personal project mapping > shared project mapping > built-in default
+// A project's named environment list is taken whole from one source: personal, else shared.
+import { Settings, PROJECT_MAPPINGS } from './settings.js';
+
+export const MAPPING_SCHEMA = 'icg-dev-mappings';
+export const SHARED_SYNC_ALARM = 'icg-shared-mappings-sync';
+
+// The shared file can be larger than a chrome.storage.sync item allows, so the last copy is kept locally
+const SHARED_CACHE_KEY = 'sharedMappings';
+const FETCH_TIMEOUT_MS = 10000;
+
+const SOURCE_LABELS = {
+  personal: 'Personal',
+  shared: 'Shared',
+  default: 'Built-in'
+};
+
+export class MappingSources {
+  // --- NORMALISING ---
+
+  // Accepts "https://www.example.org/page" as well as "example.org"
+  static normalizeHost(value) {
+    const host = String(value || '').trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .split(/[/?#]/)[0]
+      .replace('www.', '');
+    return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(host) ? host : null;
+  }
+
+  // Project mappings are a project name or a full dev URL; overrides are always a URL
+  static normalizeTarget(value, type) {
+    let target = String(value || '').trim();
+    if (!target) return null;
+    
+    if (type === 'override' || target.includes('.') || target.includes('/')) {
+      if (!target.startsWith('http')) target = 'https://' + target;
+      try {
+        new URL(target);
+        return target;
+      } catch (error) {
+        return null;
+      }
+    }
+    
+    return /^[a-z0-9-]+$/i.test(target) ? target.toLowerCase() : null;
+  }
+
+  static normalizeEnvironmentName(value) {
+    const name = String(value || '').trim().toLowerCase();
+    return /^[a-z0-9][a-z0-9 _-]{0,23}$/.test(name) ? name : null;
+  }
+
+  // "en-gb" -> "/en-gb/"; prefixes always start and end with a slash
+  static normalizePathPrefix(value) {
+    const prefix = String(value || '').trim();
+    if (/[\s?#]/.test(prefix)) return null;
+    return `/${prefix.replace(/^\/+|\/+$/g, '')}/`.replace('//', '/');
+  }
+
+  // { liveHost, env, livePrefix, envPrefix } or null when any part is invalid
+  static normalizePathRule(rule) {
+    if (!rule) return null;
+    
+    const liveHost = this.normalizeHost(rule.liveHost);
+    const env = rule.env === '*' ? '*' : this.normalizeEnvironmentName(rule.env);
+    const livePrefix = this.normalizePathPrefix(rule.livePrefix);
+    const envPrefix = this.normalizePathPrefix(rule.envPrefix);
+    
+    if (!liveHost || !env || env === 'live' || !livePrefix || !envPrefix || livePrefix === envPrefix) return null;
+    return { liveHost, env, livePrefix, envPrefix };
+  }
+
+  // Base URL of an environment, e.g. "https://staging.example.org" or "http://localhost:8080/site"
+  // Local hosts default to http, everything else to https
+  static normalizeEnvironmentUrl(value) {
+    let target = String(value || '').trim();
+    if (!target) return null;
+    
+    if (!/^https?:\/\//i.test(target)) {
+      const isLocal = /^(localhost|127\.0\.0\.1|[^/:]+\.(test|local|localhost))(:\d+)?(\/|$)/i.test(target);
+      target = (isLocal ? 'http://' : 'https://') + target;
+    }
+    
+    try {
+      const url = new URL(target);
+      return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // --- EXPORT ---
+
+  static async buildExport() {
+    const settings = await Settings.load();
+    return {
+      schema: MAPPING_SCHEMA,
+      schemaVersion: 1,
+      exportedAt: new Date().toISOString(),
+      devSuffix: settings.devSuffix,
+      projectMappings: Settings.getProjectMappings(settings),
+      overrides: await Settings.getOverrides(),
+      environments: await Settings.getEnvironmentSets(),
+      pathRules: settings.pathRules
+    };
+  }
+
+  static toJSON(data) {
+    return JSON.stringify(data, null, 2);
+  }
+
+  static toCSV(data) {
+    const escape = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const rows = [
+      ...Object.entries(data.projectMappings).map(([host, target]) => [host, target, 'mapping']),
+      ...Object.entries(data.overrides).map(([host, target]) => [host, target, 'override']),
+      ...Object.entries(data.environments || {}).flatMap(([host, environments]) =>
+        environments.map(env => [host, env.url, `env:${env.name}`]))
+    ].sort((a, b) => a[0].localeCompare(b[0]));
+    
+    return ['host,target,type', ...rows.map(row => row.map(escape).join(','))].join('\n') + '\n';
+  }
+
+  // --- IMPORT ---
+
+  // Parses a JSON export, a flat { host: target } map (same shape as PROJECT_MAPPINGS) or CSV
+  // (CSV environment rows use the type "env:<name>", e.g. "example.org,https://staging.example.org,env:staging")
+  // Returns { projectMappings, overrides, environments, pathRules, devSuffix, errors } (path rules are JSON only)
+  static parse(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+      throw new Error('The mapping file is empty');
+    }
+    
+    return trimmed.startsWith('{') ? this.parseJSON(trimmed) : this.parseCSV(trimmed);
+  }
+
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    
+    const isExport = data.projectMappings || data.overrides || data.environments;
+    const entries = [
+      ...Object.entries(isExport ? data.projectMappings || {} : data).map(([host, target]) => ({ host, target, type: 'mapping' })),
+      ...Object.entries(isExport ? data.overrides || {} : {}).map(([host, target]) => ({ host, target, type: 'override' }))
+    ];
+    
+    // Environments may be [{ name, url }] or { name: url } per project
+    Object.entries(isExport ? data.environments || {} : {}).forEach(([host, environments]) => {
+      const list = Array.isArray(environments) ? environments : Object.entries(environments || {}).map(([name, url]) => ({ name, url }));
+      list.forEach(env => entries.push({ host, target: env && env.url, type: `env:${env && env.name}` }));
+    });
+    
+    const result = this.collectEntries(entries);
+    (isExport && Array.isArray(data.pathRules) ? data.pathRules : []).forEach((rule, index) => {
+      const normalized = this.normalizePathRule(rule);
+      if (normalized) {
+        result.pathRules.push(normalized);
+      } else {
+        result.errors.push(`Path rule ${index + 1}: needs liveHost, env (not "live"), livePrefix and envPrefix`);
+      }
+    });
+    if (isExport && data.devSuffix) {
+      result.devSuffix = String(data.devSuffix).trim().toLowerCase();
+    }
+    return result;
+  }
+
+  static parseCSV(text) {
+    const lines = text.split(/\r?\n/)
+      .map((line, index) => ({ text: line, number: index + 1 }))
+      .filter(line => line.text.trim() && !line.text.trim().startsWith('#'));
+    if (lines.length === 0) {
+      throw new Error('The mapping file has no rows');
+    }
+    
+    let columns = { host: 0, target: 1, type: 2 };
+    
+    // Header row is optional but lets the columns come in any order
+    const header = this.parseCSVLine(lines[0].text).map(cell => cell.trim().toLowerCase());
+    if (header.includes('host')) {
+      columns = { host: header.indexOf('host'), target: header.indexOf('target'), type: header.indexOf('type') };
+      lines.shift();
+    }
+    
+    const entries = lines.map(line => {
+      const cells = this.parseCSVLine(line.text);
+      const type = (cells[columns.type] || 'mapping').trim().toLowerCase();
+      return { host: cells[columns.host], target: cells[columns.target], type, line: line.number };
+    });
+    
+    return this.collectEntries(entries);
+  }
+
+  // Splits one CSV line, honouring quoted cells with "" escapes
+  static parseCSVLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    
+    cells.push(cell);
+    return cells;
+  }
+
+  static collectEntries(entries) {
+    const result = { projectMappings: {}, overrides: {}, environments: {}, pathRules: [], devSuffix: null, errors: [] };
+    
+    entries.forEach(entry => {
+      const where = entry.line ? `Line ${entry.line}` : entry.host;
+      const envName = entry.type.startsWith('env:') ? this.normalizeEnvironmentName(entry.type.slice(4)) : null;
+      const type = ['override', 'mapping'].includes(entry.type) ? entry.type : envName ? 'environment' : null;
+      const host = this.normalizeHost(entry.host);
+      let target = null;
+      if (type === 'environment') {
+        target = this.normalizeEnvironmentUrl(entry.target);
+      } else if (type) {
+        target = this.normalizeTarget(entry.target, type);
+      }
+      
+      if (!type) {
+        result.errors.push(`${where}: unknown type "${entry.type}" (use "mapping", "override" or "env:<name>")`);
+      } else if (!host) {
+        result.errors.push(`${where}: invalid host "${entry.host}"`);
+      } else if (!target) {
+        result.errors.push(`${where}: invalid target "${entry.target}"`);
+      } else if (type === 'override') {
+        result.overrides[host] = target;
+      } else if (type === 'environment') {
+        const list = (result.environments[host] || []).filter(env => env.name !== envName);
+        result.environments[host] = [...list, { name: envName, url: target }];
+      } else {
+        result.projectMappings[host] = target;
+      }
+    });
+    
+    return result;
+  }
+
+  // Writes parsed mappings into the personal set
+  // mode 'merge' keeps existing entries (imported ones win), 'replace' swaps the whole set
+  static async importMappings(data, mode = 'merge') {
+    const settings = await Settings.load();
+    const currentOverrides = await Settings.getOverrides();
+    const currentEnvironments = await Settings.getEnvironmentSets();
+    
+    const projectMappings = mode === 'replace'
+      ? { ...data.projectMappings }
+      : { ...Settings.getProjectMappings(settings), ...data.projectMappings };
+    
+    // Imported path rules replace existing ones for the same project and environment
+    const isReplaced = rule => data.pathRules.some(imported => imported.liveHost === rule.liveHost && imported.env === rule.env);
+    const pathRules = mode === 'replace'
+      ? data.pathRules
+      : [...settings.pathRules.filter(rule => !isReplaced(rule)), ...data.pathRules];
+    
+    const changes = { projectMappings, pathRules };
+    if (data.devSuffix) changes.devSuffix = data.devSuffix;
+    await Settings.save(changes);
+    
+    if (mode === 'replace') {
+      await Promise.all(Object.keys(currentOverrides)
+        .filter(host => !data.overrides[host])
+        .map(host => Settings.removeOverride(host)));
+    }
+    await Promise.all(Object.entries(data.overrides).map(([host, url]) => Settings.setOverride(host, url)));
+    
+    // An imported project's environment list replaces that project's list
+    if (mode === 'replace') {
+      await Promise.all(Object.keys(currentEnvironments)
+        .filter(host => !data.environments[host])
+        .map(host => Settings.removeEnvironmentSet(host)));
+    }
+    await Promise.all(Object.entries(data.environments).map(([host, environments]) => Settings.setEnvironmentSet(host, environments)));
+    
+    return {
+      projectMappings: Object.keys(data.projectMappings).length,
+      overrides: Object.keys(data.overrides).length,
+      environments: Object.keys(data.environments).length
+    };
+  }
+
+  // --- SHARED TEAM FILE ---
+
+  // Relative paths point at files packaged with the extension (e.g. fixtures/shared-mappings.json)
+  static resolveSourceUrl(source) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(source) ? source : chrome.runtime.getURL(source.replace(/^\/+/, ''));
+  }
+
+  static async fetchShared(source) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    
+    try {
+      const response = await fetch(this.resolveSourceUrl(source), { cache: 'no-store', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return this.parse(await response.text());
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? `Timed out after ${FETCH_TIMEOUT_MS / 1000}s` : error.message);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Last fetched copy: { source, fetchedAt, projectMappings, overrides, environments, errors, lastError, lastAttemptAt }
+  static async getShared() {
+    const stored = await chrome.storage.local.get(SHARED_CACHE_KEY);
+    return stored[SHARED_CACHE_KEY] || null;
+  }
+
+  // Re-reads the shared file; a failed fetch keeps the previous copy and records the error
+  static async syncShared() {
+    const settings = await Settings.load();
+    const source = settings.sharedMappings.url;
+    const previous = await this.getShared();
+    
+    if (!source) {
+      await chrome.storage.local.remove(SHARED_CACHE_KEY);
+      return null;
+    }
+    
+    const attemptedAt = new Date().toISOString();
+    let shared;
+    try {
+      const data = await this.fetchShared(source);
+      shared = {
+        source: source,
+        fetchedAt: attemptedAt,
+        lastAttemptAt: attemptedAt,
+        projectMappings: data.projectMappings,
+        overrides: data.overrides,
+        environments: data.environments,
+        errors: data.errors,
+        lastError: null
+      };
+    } catch (error) {
+      console.error('Shared mapping sync failed:', error);
+      const usable = previous && previous.source === source;
+      shared = {
+        source: source,
+        fetchedAt: usable ? previous.fetchedAt : null,
+        lastAttemptAt: attemptedAt,
+        projectMappings: usable ? previous.projectMappings : {},
+        overrides: usable ? previous.overrides : {},
+        environments: usable ? previous.environments || {} : {},
+        errors: usable ? previous.errors : [],
+        lastError: error.message
+      };
+    }
+    
+    await chrome.storage.local.set({ [SHARED_CACHE_KEY]: shared });
+    return shared;
+  }
+
+  // Keeps the background alarm in step with the refresh interval on the options page
+  static async scheduleSync(settings = null) {
+    settings = settings || await Settings.load();
+    const { url, refreshMinutes } = settings.sharedMappings;
+    
+    await chrome.alarms.clear(SHARED_SYNC_ALARM);
+    if (url && refreshMinutes > 0) {
+      await chrome.alarms.create(SHARED_SYNC_ALARM, { delayInMinutes: 1, periodInMinutes: refreshMinutes });
+    }
+  }
+
+  // --- RESOLVING ---
+
+  // One row per host and type, with the winning source and any entries it beat
+  // Returns [{ host, type, target, source, overridden: [{ source, target }] }]
+  static resolve(settings, personalOverrides, shared) {
+    const rows = new Map();
+    const add = (host, type, target, source) => {
+      const key = `${type}|${host}`;
+      if (!rows.has(key)) rows.set(key, { host, type, candidates: [] });
+      rows.get(key).candidates.push({ source, target });
+    };
+    
+    const personalMappings = Settings.getProjectMappings(settings);
+    Object.entries(personalOverrides).forEach(([host, target]) => add(host, 'override', target, 'personal'));
+    Object.entries(personalMappings).forEach(([host, target]) => {
+      // An untouched built-in entry shouldn't beat the team file
+      add(host, 'mapping', target, PROJECT_MAPPINGS[host] === target ? 'default' : 'personal');
+    });
+    
+    if (shared) {
+      Object.entries(shared.overrides || {}).forEach(([host, target]) => add(host, 'override', target, 'shared'));
+      Object.entries(shared.projectMappings || {}).forEach(([host, target]) => add(host, 'mapping', target, 'shared'));
+    }
+    
+    const rank = ['personal', 'shared', 'default'];
+    return Array.from(rows.values()).map(row => {
+      const [winner, ...rest] = row.candidates.sort((a, b) => rank.indexOf(a.source) - rank.indexOf(b.source));
+      return {
+        host: row.host,
+        type: row.type,
+        target: winner.target,
+        source: winner.source,
+        overridden: rest.filter(candidate => candidate.target !== winner.target)
+      };
+    });
+  }
+
+  // Effective { projectMappings, overrides, environments } after applying the precedence rules
+  static async getEffectiveMappings() {
+    const [settings, personalOverrides, personalEnvironments, shared] = await Promise.all([
+      Settings.load(),
+      Settings.getOverrides(),
+      Settings.getEnvironmentSets(),
+      this.getShared()
+    ]);
+    
+    const effective = {
+      projectMappings: {},
+      overrides: {},
+      environments: { ...(shared && shared.environments || {}), ...personalEnvironments }
+    };
+    this.resolve(settings, personalOverrides, shared).forEach(row => {
+      effective[row.type === 'override' ? 'overrides' : 'projectMappings'][row.host] = row.target;
+    });
+    return effective;
+  }
+
+  static getSourceLabel(source) {
+    return SOURCE_LABELS[source] || source;
+  }
+}
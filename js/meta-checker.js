@@ -1,21 +1,23 @@
 // Meta tags and SEO analysis
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+
 export class MetaChecker {
-  static async testMetaTags(url) {
+  // cache: the audit's shared PageCache (may hold a live DOM snapshot instead of server HTML)
+  static async testMetaTags(url, cache = null) {
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        mode: 'cors'
-      });
+      const page = await (cache || new PageCache()).getPage(url);
       
-      if (!response.ok) {
+      if (!page.ok) {
         return {
           url: url,
           status: 'error',
-          details: [`Failed to fetch page: ${response.status}`]
+          details: [`Failed to fetch page: ${page.status}`]
         };
       }
       
-      const html = await response.text();
+      const html = page.html;
       const metaAnalysis = this.analyzeMetaTags(html);
       
       return {
@@ -330,4 +332,76 @@ export class MetaChecker {
     
     return report;
   }
+
+  // Key values used when comparing two meta tag results side by side
+  static extractFacts(result) {
+    const analysis = result?.analysis;
+    if (!analysis) return [];
+    
+    return [
+      { key: 'meta.title', label: 'Title', value: analysis.title.content },
+      { key: 'meta.description', label: 'Description', value: analysis.description.content },
+      { key: 'meta.canonical', label: 'Canonical URL', value: analysis.canonical.href },
+      { key: 'meta.robots', label: 'Meta robots', value: analysis.robots.content },
+      { key: 'meta.viewport', label: 'Viewport', value: analysis.viewport.content },
+      { key: 'meta.openGraph', label: 'Open Graph tags', value: analysis.openGraph.tags.map(tag => tag.property) },
+      { key: 'meta.twitterCard', label: 'Twitter Card tags', value: analysis.twitterCard.tags.map(tag => tag.property) },
+      { key: 'meta.structuredData', label: 'Structured data', value: [...new Set(analysis.structuredData.types.map(String))] },
+      { key: 'meta.hreflang', label: 'Hreflang alternatives', value: analysis.hreflang.length }
+    ];
+  }
+
+  static renderResults(container, metaResult, scopeLabel = null) {
+    let details = [];
+    let status = metaResult.status;
+    
+    if (status === 'success') {
+      details.push(...(metaResult.details || ['✅ Meta tags analyzed']));
+      
+      // Add specific meta tag content information in a clear, direct format
+      if (metaResult.analysis) {
+        details.push('');
+        details.push(' META TAG CONTENT:');
+        
+        // Title - displayed more prominently
+        if (metaResult.analysis.title.present) {
+          details.push(`▶️ TITLE: "${metaResult.analysis.title.content}"`);
+        } else {
+          details.push('▶️ TITLE: Missing');
+        }
+        
+        // Description - displayed more prominently
+        if (metaResult.analysis.description.present) {
+          details.push(`▶️ DESCRIPTION: "${metaResult.analysis.description.content}"`);
+        } else {
+          details.push('▶️ DESCRIPTION: Missing');
+        }
+        
+        // Canonical URL - displayed more prominently
+        if (metaResult.analysis.canonical.present) {
+          details.push(`▶️ CANONICAL URL: ${metaResult.analysis.canonical.href}`);
+        } else {
+          details.push('▶️ CANONICAL URL: Missing');
+        }
+      }
+    } else {
+      details.push('❌ Meta tags check failed');
+      if (metaResult.error) {
+        details.push(`Error: ${metaResult.error}`);
+      }
+    }
+    
+    UIHelpers.addAccordionItem(container, 'meta', status, '🏷️ Meta Tags & SEO', details, false, scopeLabel);
+  }
 }
+
+CheckerRegistry.register({
+  id: 'meta',
+  label: 'Check Meta Tags',
+  title: '🏷️ Meta Tags & SEO',
+  scope: 'page',
+  checklistLabels: ({ scopeLabel }) => [`Meta Tags & SEO check (${scopeLabel})`],
+  run: ({ pageUrl, cache }) => MetaChecker.testMetaTags(pageUrl, cache),
+  render: (container, result, { scopeLabel }) => MetaChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => MetaChecker.extractFacts(result)
+});
@@ -1,23 +1,23 @@
 // Content and Style checks - footer copyright, web fonts, social media links
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+
 export class NonDeveloperChecker {
   
-  static async testNonDeveloperElements(url) {
+  // cache: the audit's shared PageCache (may hold a live DOM snapshot instead of server HTML)
+  static async testNonDeveloperElements(url, cache = null) {
     console.log('Starting content and style checks for:', url);
     
     try {
       // Fetch the page content
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+      const page = await (cache || new PageCache()).getPage(url);
       
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (!page.ok) {
+        throw new Error(`HTTP ${page.status}: ${page.statusText}`);
       }
       
-      const html = await response.text();
+      const html = page.html;
       
       // Parse HTML using DOMParser
       const parser = new DOMParser();
@@ -400,6 +400,23 @@ export class NonDeveloperChecker {
     return results;
   }
   
+  // Key values used when comparing two content and style results side by side
+  static extractFacts(result) {
+    const analysis = result?.analysis;
+    if (!analysis || !analysis.copyright) return [];
+    
+    const socialLinks = analysis.socialLinks.links || [];
+    
+    return [
+      { key: 'content.copyright', label: 'Copyright notice', value: analysis.copyright.text },
+      { key: 'content.copyrightYear', label: 'Copyright year', value: analysis.copyright.year },
+      { key: 'content.fontSources', label: 'Web font sources', value: analysis.webFonts.sources || [] },
+      { key: 'content.fontFamilies', label: 'Font families', value: [...new Set(analysis.webFonts.fonts || [])] },
+      { key: 'content.socialPlatforms', label: 'Social platforms', value: [...new Set(socialLinks.map(link => link.platform))] },
+      { key: 'content.socialLinks', label: 'Social links', value: socialLinks.length }
+    ];
+  }
+  
   static formatCopyrightResults(copyrightCheck) {
     const details = [];
     
@@ -486,4 +503,41 @@ export class NonDeveloperChecker {
     
     return details;
   }
+
+  static renderResults(container, nonDeveloperResult, scopeLabel = null) {
+    let details = [];
+    let status = nonDeveloperResult.status;
+    
+    if (status === 'success' || status === 'warning' || status === 'error') {
+      // Always use the formatted details from NonDeveloperChecker when available
+      if (nonDeveloperResult.details && nonDeveloperResult.details.length > 0) {
+        details.push(...nonDeveloperResult.details);
+      } else {
+        // Fallback if no details are available
+        if (status === 'success') {
+          details.push('✅ Content and style elements analyzed');
+        } else if (status === 'warning') {
+          details.push('⚠️ Content and style elements have issues');
+        } else {
+          details.push('❌ Content and style elements check failed');
+          if (nonDeveloperResult.error) {
+            details.push(`Error: ${nonDeveloperResult.error}`);
+          }
+        }
+      }
+    }
+    
+    UIHelpers.addAccordionItem(container, 'nonDeveloper', status, '🎨 Content and Style', details, false, scopeLabel);
+  }
 }
+
+CheckerRegistry.register({
+  id: 'nonDeveloper',
+  label: 'Content and Style',
+  title: '🎨 Content and Style',
+  scope: 'page',
+  checklistLabels: ({ scopeLabel }) => [`Content and Style checks (${scopeLabel})`],
+  run: ({ pageUrl, cache }) => NonDeveloperChecker.testNonDeveloperElements(pageUrl, cache),
+  render: (container, result, { scopeLabel }) => NonDeveloperChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => NonDeveloperChecker.extractFacts(result)
+});
@@ -0,0 +1,58 @@
+// Shared response cache - each URL is fetched once per audit and every checker reads the same response
+export class PageCache {
+  // signal: aborts every request made through this cache (audit cancellation)
+  constructor({ signal = null } = {}) {
+    this.pages = new Map(); // GET responses, including the body
+    this.heads = new Map(); // HEAD responses, headers only
+    this.requestCount = 0;
+    this.signal = signal;
+  }
+
+  // Resolves to { url, finalUrl, ok, status, statusText, redirected, headers, html, timing }
+  getPage(url) {
+    if (!this.pages.has(url)) {
+      this.pages.set(url, this.load(url, 'GET'));
+    }
+    return this.pages.get(url);
+  }
+
+  // Header-only lookups reuse a GET for the same URL when one has already been made
+  getHeaders(url) {
+    if (this.pages.has(url)) {
+      return this.pages.get(url);
+    }
+    if (!this.heads.has(url)) {
+      this.heads.set(url, this.load(url, 'HEAD'));
+    }
+    return this.heads.get(url);
+  }
+
+  // Pre-populate with a page obtained elsewhere (e.g. a live DOM snapshot)
+  seed(url, page) {
+    this.pages.set(url, Promise.resolve(page));
+  }
+
+  async load(url, method) {
+    this.requestCount++;
+    const startedAt = performance.now();
+    
+    const response = await fetch(url, { method: method, signal: this.signal });
+    const html = method === 'GET' ? await response.text() : '';
+    
+    return {
+      source: 'server',
+      url: url,
+      finalUrl: response.url || url,
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      redirected: response.redirected,
+      headers: Object.fromEntries(response.headers.entries()),
+      html: html,
+      timing: {
+        method: method,
+        durationMs: Math.round(performance.now() - startedAt)
+      }
+    };
+  }
+}
@@ -0,0 +1,32 @@
+// Panel actions - audits requested by keyboard shortcuts and context menus (and scheduled audit alerts), handed to the side panel
+//
+// The background worker can open the side panel but can't reach into it, so it leaves the request in
+// chrome.storage.session; the panel picks it up when it loads, or straight away if it is already open.
+
+const PENDING_KEY = 'pendingPanelAction';
+const MAX_AGE_MS = 30000;
+
+export class PanelActions {
+  // action: { type: 'runAll', scope: 'page' | 'domain' | null } or { type: 'showScheduledAudit', domain }
+  static async request(action) {
+    await chrome.storage.session.set({ [PENDING_KEY]: { ...action, requestedAt: Date.now() } });
+  }
+
+  // Returns the pending action once, or null; stale requests (e.g. the panel never opened) are dropped
+  static async take() {
+    const stored = await chrome.storage.session.get(PENDING_KEY);
+    const action = stored[PENDING_KEY];
+    if (!action) return null;
+    
+    await chrome.storage.session.remove(PENDING_KEY);
+    return Date.now() - action.requestedAt <= MAX_AGE_MS ? action : null;
+  }
+
+  static onRequest(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'session' && changes[PENDING_KEY] && changes[PENDING_KEY].newValue) {
+        callback();
+      }
+    });
+  }
+}
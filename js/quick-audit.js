@@ -0,0 +1,173 @@
+// Quick audit - a few site health checks the background worker runs on ICG sites to colour the toolbar badge
+//
+// The service worker has no DOMParser, so this sticks to the string parsers from the robots and analytics
+// checkers and reads the page with regular expressions. Results are kept in chrome.storage.local per origin
+// so the popup can list them.
+
+import { PageCache } from './page-cache.js';
+import { RobotsChecker } from './robots-checker.js';
+import { AnalyticsChecker } from './analytics-checker.js';
+
+const RESULT_PREFIX = 'quickAudit:';
+export const QUICK_AUDIT_TTL_MS = 60 * 60 * 1000;
+const QUICK_AUDIT_TIMEOUT_MS = 15000;
+
+export const BADGE_COLOURS = {
+  success: '#2ecc71', // Brand Green
+  warning: '#f39c12',
+  error: '#dc3545'
+};
+
+export class QuickAudit {
+  // isLive: false on dev/staging, where noindex, a blocking robots.txt and missing analytics are expected
+  // Returns { url, origin, status, issueCount, items: [{ id, label, severity, passed, detail }], checkedAt }
+  static async run(pageUrl, { isLive = true } = {}) {
+    const url = new URL(pageUrl);
+    const cache = new PageCache({ signal: AbortSignal.timeout(QUICK_AUDIT_TIMEOUT_MS) });
+    
+    const [page, robotsPage, httpPage] = await Promise.all([
+      cache.getPage(url.href),
+      cache.getPage(`${url.origin}/robots.txt`).catch(() => null),
+      cache.getHeaders(`http://${url.host}/`).catch(() => null)
+    ]);
+    
+    const items = [
+      this.checkHttps(url, httpPage),
+      this.checkNoindex(page, isLive),
+      this.checkRobots(robotsPage, isLive),
+      this.checkCopyright(page.html),
+      this.checkAnalytics(page.html, isLive)
+    ];
+    
+    const failed = items.filter(item => !item.passed);
+    let status = 'success';
+    if (failed.some(item => item.severity === 'error')) {
+      status = 'error';
+    } else if (failed.length > 0) {
+      status = 'warning';
+    }
+    
+    return {
+      url: url.href,
+      origin: url.origin,
+      status: status,
+      issueCount: failed.length,
+      items: items,
+      checkedAt: Date.now()
+    };
+  }
+
+  static buildItem(id, label, severity, passed, detail) {
+    return { id, label, severity, passed, detail };
+  }
+
+  static checkHttps(url, httpPage) {
+    const label = 'HTTP redirects to HTTPS';
+    if (url.protocol !== 'https:') {
+      return this.buildItem('https', label, 'error', false, '❌ This page is served over plain HTTP');
+    }
+    if (!httpPage) {
+      return this.buildItem('https', label, 'error', true, '✅ Plain HTTP is not served');
+    }
+    
+    const redirects = new URL(httpPage.finalUrl).protocol === 'https:';
+    return this.buildItem('https', label, 'error', redirects,
+      redirects ? `✅ http://${url.host}/ redirects to HTTPS` : `❌ http://${url.host}/ loads without redirecting to HTTPS`);
+  }
+
+  static checkNoindex(page, isLive) {
+    const label = 'Page is indexable';
+    const headerValue = page.headers['x-robots-tag'] || '';
+    const metaValue = this.getMetaRobots(page.html);
+    const source = /noindex/i.test(metaValue) ? `meta robots "${metaValue}"` : /noindex/i.test(headerValue) ? `X-Robots-Tag "${headerValue}"` : null;
+    
+    if (!isLive) {
+      return this.buildItem('noindex', label, 'warning', true, source ? `✅ noindex on a non-live site (${source})` : 'ℹ️ Not live, indexing not checked');
+    }
+    return this.buildItem('noindex', label, 'error', !source, source ? `❌ noindex found: ${source}` : '✅ No noindex in meta robots or X-Robots-Tag');
+  }
+
+  static getMetaRobots(html) {
+    const tags = html.match(/<meta\s[^>]*>/gi) || [];
+    const robots = tags.find(tag => /\sname\s*=\s*["']?robots["'\s>]/i.test(tag));
+    if (!robots) return '';
+    
+    const content = robots.match(/\scontent\s*=\s*["']([^"']*)["']/i);
+    return content ? content[1] : '';
+  }
+
+  // "User-agent: *" with "Disallow: /" keeps the whole site out of search engines
+  static checkRobots(robotsPage, isLive) {
+    const label = 'robots.txt allows crawling';
+    if (!robotsPage || !robotsPage.ok) {
+      return this.buildItem('robots', label, 'error', true, '✅ No robots.txt, so crawling is allowed');
+    }
+    
+    const robots = RobotsChecker.analyzeRobotsContent(robotsPage.html);
+    const blocksAll = RobotsChecker.blocksAllCrawlers(robots);
+    if (!isLive) {
+      return this.buildItem('robots', label, 'warning', true, blocksAll ? '✅ Crawling blocked on a non-live site' : 'ℹ️ Not live, robots.txt not checked');
+    }
+    return this.buildItem('robots', label, 'error', !blocksAll,
+      blocksAll ? '❌ robots.txt blocks the whole site for "User-agent: *"' : '✅ No site-wide Disallow for all crawlers');
+  }
+
+  // The latest year in the last copyright notice on the page (usually the footer), e.g. "© 2019–2025"
+  static checkCopyright(html) {
+    const label = 'Copyright year is current';
+    const text = html
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&copy;|&#169;|&#xa9;/gi, '©');
+    const notices = text.match(/(?:©|copyright|\(c\))[^©]{0,80}?(?:19|20)\d{2}(?:\s*[-–]\s*(?:19|20)\d{2})?/gi) || [];
+    
+    if (notices.length === 0) {
+      return this.buildItem('copyright', label, 'warning', false, '⚠️ No copyright notice found');
+    }
+    
+    const notice = notices[notices.length - 1];
+    const year = Math.max(...notice.match(/(?:19|20)\d{2}/g).map(Number));
+    const current = new Date().getFullYear();
+    return this.buildItem('copyright', label, 'warning', year === current,
+      year === current ? `✅ ${notice.trim()}` : `⚠️ Copyright says ${year}, it's ${current}`);
+  }
+
+  static checkAnalytics(html, isLive) {
+    const label = 'GA4 or GTM installed';
+    const analytics = AnalyticsChecker.detectAnalytics(html);
+    const ids = [
+      ...analytics.googleAnalytics.trackingIds.filter(id => id.startsWith('G-')),
+      ...analytics.googleTagManager.containerIds
+    ];
+    
+    if (ids.length > 0) {
+      return this.buildItem('analytics', label, 'warning', true, `✅ Found: ${ids.join(', ')}`);
+    }
+    return this.buildItem('analytics', label, 'warning', !isLive,
+      isLive ? '⚠️ No GA4 measurement ID or GTM container found' : 'ℹ️ No tracking on a non-live site');
+  }
+
+  // --- STORED RESULTS ---
+
+  static getStorageKey(origin) {
+    return `${RESULT_PREFIX}${origin}`;
+  }
+
+  // Latest result for an origin, or null; pass allowStale to get it even after the TTL
+  static async getResult(origin, { allowStale = false } = {}) {
+    const key = this.getStorageKey(origin);
+    const stored = await chrome.storage.local.get(key);
+    const result = stored[key];
+    if (!result) return null;
+    return allowStale || Date.now() - result.checkedAt < QUICK_AUDIT_TTL_MS ? result : null;
+  }
+
+  static async saveResult(result) {
+    await chrome.storage.local.set({ [this.getStorageKey(result.origin)]: result });
+  }
+
+  // Badge text: the number of issues, or a tick when everything passed
+  static getBadgeText(result) {
+    return result.issueCount > 0 ? String(result.issueCount) : '✓';
+  }
+}
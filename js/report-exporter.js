@@ -0,0 +1,441 @@
+// Report export - turns a finished audit into JSON, Markdown or a printable HTML report
+import { ResultDiff } from './result-diff.js';
+
+const SCHEMA = 'icg-audit-report';
+const SCHEMA_VERSION = 1;
+
+const STATUS_LABELS = {
+  success: '✅ Pass',
+  warning: '⚠️ Warning',
+  error: '❌ Fail'
+};
+
+const SOURCE_LABELS = {
+  server: 'Server HTML',
+  live: 'Live DOM',
+  compare: 'Server HTML vs Live DOM'
+};
+
+export class ReportExporter {
+  // audit: the side panel's lastAudit - target, checkers run, raw results and the rendered sections
+  static buildReport(audit) {
+    const checks = audit.checkers.map(checker => {
+      const section = audit.sections.find(s => s.checkType === checker.id);
+      return {
+        id: checker.id,
+        title: checker.title,
+        scope: checker.scope,
+        scopeLabel: section ? section.scopeLabel : null,
+        status: section ? section.status : 'error',
+        details: section ? section.details : [],
+        result: audit.results[checker.id] || null
+      };
+    });
+    
+    const counts = { success: 0, warning: 0, error: 0 };
+    checks.forEach(check => {
+      counts[check.status] = (counts[check.status] || 0) + 1;
+    });
+    
+    let status = 'success';
+    if (counts.error > 0 || audit.cancelled) {
+      status = 'error';
+    } else if (counts.warning > 0) {
+      status = 'warning';
+    }
+    
+    return {
+      schema: SCHEMA,
+      schemaVersion: SCHEMA_VERSION,
+      generatedAt: audit.completedAt,
+      generator: {
+        name: audit.generator?.name || 'ICG Dev Tools',
+        version: audit.generator?.version || null
+      },
+      target: {
+        domain: audit.domain,
+        domainUrl: audit.domainUrl,
+        pageUrl: audit.pageUrl,
+        scope: audit.scope,
+        source: audit.source
+      },
+      summary: {
+        status: status,
+        cancelled: audit.cancelled,
+        counts: counts,
+        requestCount: audit.requestCount
+      },
+      checks: checks,
+      sourceComparison: audit.comparison ? audit.comparison.map(section => ({
+        title: section.title,
+        rows: section.rows.map(row => ({
+          key: row.key,
+          label: row.label,
+          server: row.left === undefined ? null : row.left,
+          live: row.right === undefined ? null : row.right,
+          changed: row.changed
+        }))
+      })) : null
+    };
+  }
+
+  static toJSON(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  static toMarkdown(report) {
+    const lines = [];
+    
+    lines.push(`# 🔒 ICG Audit Report: ${report.target.domain}`);
+    lines.push('');
+    lines.push(`- **URL:** ${report.target.scope === 'page' ? report.target.pageUrl : report.target.domainUrl}`);
+    lines.push(`- **Scope:** ${report.target.scope === 'page' ? 'This Page' : 'Whole Site'}`);
+    lines.push(`- **Source:** ${SOURCE_LABELS[report.target.source] || report.target.source}`);
+    lines.push(`- **Generated:** ${new Date(report.generatedAt).toLocaleString()}`);
+    lines.push(`- **Overall:** ${this.getSummaryText(report)}`);
+    if (report.summary.cancelled) {
+      lines.push('- **Note:** The audit was cancelled before every check finished');
+    }
+    lines.push('');
+    
+    lines.push('| Check | Status |');
+    lines.push('| --- | --- |');
+    report.checks.forEach(check => {
+      lines.push(`| ${this.escapeMarkdownCell(check.title)} | ${STATUS_LABELS[check.status] || check.status} |`);
+    });
+    
+    report.checks.forEach(check => {
+      lines.push('');
+      lines.push(`## ${this.getStatusIcon(check.status)} ${check.title}`);
+      if (check.scopeLabel) {
+        lines.push(`_${check.scopeLabel}_`);
+      }
+      lines.push('');
+      lines.push(...this.formatMarkdownDetails(check.details));
+    });
+    
+    if (report.sourceComparison && report.sourceComparison.length > 0) {
+      lines.push('');
+      lines.push('## ⚖️ Server HTML vs Live DOM');
+      report.sourceComparison.forEach(section => {
+        lines.push('');
+        lines.push(`### ${section.title}`);
+        lines.push('');
+        lines.push('| | Server HTML | Live DOM |');
+        lines.push('| --- | --- | --- |');
+        section.rows.forEach(row => {
+          const label = `${row.changed ? '⚠️ ' : ''}${row.label}`;
+          lines.push(`| ${this.escapeMarkdownCell(label)} | ${this.escapeMarkdownCell(ResultDiff.formatValue(row.server))} | ${this.escapeMarkdownCell(ResultDiff.formatValue(row.live))} |`);
+        });
+      });
+    }
+    
+    lines.push('');
+    lines.push(`_Generated by ${report.generator.name}${report.generator.version ? ` v${report.generator.version}` : ''}_`);
+    
+    return lines.join('\n') + '\n';
+  }
+
+  // Renderer detail lines: "   • item" becomes a nested bullet, multi-line blocks (e.g. robots.txt) a code block
+  static formatMarkdownDetails(details) {
+    const lines = [];
+    
+    details.forEach(detail => {
+      if (!detail.trim()) return;
+      
+      if (detail.includes('\n')) {
+        lines.push('```');
+        lines.push(detail.trim());
+        lines.push('```');
+      } else if (/^\s+•\s*/.test(detail)) {
+        lines.push(`  - ${detail.replace(/^\s+•\s*/, '')}`);
+      } else {
+        lines.push(`- ${detail.trim()}`);
+      }
+    });
+    
+    if (lines.length === 0) {
+      lines.push('- No details');
+    }
+    return lines;
+  }
+
+  // logoDataUrl: optional data: URL so the saved file stays self-contained
+  static toHTML(report, logoDataUrl = null) {
+    const esc = value => this.escapeHtml(value);
+    const targetUrl = report.target.scope === 'page' ? report.target.pageUrl : report.target.domainUrl;
+    
+    const summaryRows = report.checks.map(check => `
+          <tr class="${check.status}">
+            <td>${esc(check.title)}</td>
+            <td>${esc(check.scopeLabel || '')}</td>
+            <td class="status">${esc(STATUS_LABELS[check.status] || check.status)}</td>
+          </tr>`).join('');
+    
+    const sections = report.checks.map(check => `
+      <section class="check ${check.status}">
+        <h2>${this.getStatusIcon(check.status)} ${esc(check.title)}</h2>
+        ${check.scopeLabel ? `<div class="scope">${esc(check.scopeLabel)}</div>` : ''}
+        ${this.formatHtmlDetails(check.details)}
+      </section>`).join('');
+    
+    let comparison = '';
+    if (report.sourceComparison && report.sourceComparison.length > 0) {
+      const rows = report.sourceComparison.map(section => {
+        const sectionRow = `<tr class="comparison-section"><td colspan="3">${esc(section.title)}</td></tr>`;
+        return sectionRow + section.rows.map(row => `
+          <tr class="${row.changed ? 'changed' : ''}">
+            <td>${row.changed ? '⚠️ ' : ''}${esc(row.label)}</td>
+            <td>${esc(ResultDiff.formatValue(row.server))}</td>
+            <td>${esc(ResultDiff.formatValue(row.live))}</td>
+          </tr>`).join('');
+      }).join('');
+      
+      comparison = `
+      <section class="check">
+        <h2>⚖️ Server HTML vs Live DOM</h2>
+        <table class="comparison"><tr><th></th><th>Server HTML</th><th>Live DOM</th></tr>${rows}</table>
+      </section>`;
+    }
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>ICG Audit Report - ${esc(report.target.domain)}</title>
+  <style>
+    body {
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      color: #333;
+      margin: 0 auto;
+      padding: 30px;
+      max-width: 900px;
+      font-size: 14px;
+      line-height: 1.5;
+    }
+    
+    .report-header {
+      display: flex;
+      align-items: center;
+      gap: 16px;
+      padding-bottom: 16px;
+      border-bottom: 4px solid #007cba;
+      margin-bottom: 20px;
+    }
+    
+    .report-header img {
+      width: 48px;
+      height: 48px;
+    }
+    
+    .report-header h1 {
+      margin: 0;
+      font-size: 22px;
+      color: #007cba;
+    }
+    
+    .report-header .subtitle {
+      color: #666;
+    }
+    
+    .meta {
+      display: grid;
+      grid-template-columns: 120px 1fr;
+      gap: 4px 12px;
+      margin-bottom: 20px;
+    }
+    
+    .meta dt {
+      font-weight: 600;
+    }
+    
+    .meta dd {
+      margin: 0;
+      word-break: break-all;
+    }
+    
+    .overall {
+      padding: 12px 16px;
+      border-radius: 8px;
+      font-weight: 600;
+      margin-bottom: 20px;
+    }
+    
+    .overall.success { background: #d4edda; color: #155724; }
+    .overall.warning { background: #fff3cd; color: #856404; }
+    .overall.error { background: #f8d7da; color: #721c24; }
+    
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 20px;
+    }
+    
+    th, td {
+      text-align: left;
+      padding: 6px 8px;
+      border-bottom: 1px solid #dee2e6;
+      vertical-align: top;
+    }
+    
+    th {
+      background: #f8f9fa;
+    }
+    
+    td.status {
+      white-space: nowrap;
+    }
+    
+    tr.changed td {
+      background: #fff3cd;
+    }
+    
+    tr.comparison-section td {
+      font-weight: 600;
+      background: #f8f9fa;
+    }
+    
+    .check {
+      border: 1px solid #dee2e6;
+      border-left: 5px solid #6c757d;
+      border-radius: 6px;
+      padding: 12px 16px;
+      margin-bottom: 16px;
+      page-break-inside: avoid;
+      break-inside: avoid;
+    }
+    
+    .check.success { border-left-color: #28a745; }
+    .check.warning { border-left-color: #ffc107; }
+    .check.error { border-left-color: #dc3545; }
+    
+    .check h2 {
+      margin: 0 0 4px 0;
+      font-size: 16px;
+    }
+    
+    .scope {
+      color: #666;
+      font-size: 12px;
+      margin-bottom: 8px;
+    }
+    
+    .detail {
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    }
+    
+    pre {
+      background: #f8f9fa;
+      border: 1px solid #dee2e6;
+      border-radius: 4px;
+      padding: 10px;
+      font-size: 12px;
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    }
+    
+    footer {
+      margin-top: 30px;
+      color: #888;
+      font-size: 12px;
+      text-align: center;
+    }
+    
+    @media print {
+      body {
+        padding: 0;
+        max-width: none;
+      }
+      
+      .check, tr {
+        page-break-inside: avoid;
+      }
+      
+      .overall, .check, tr.changed td, th {
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+      }
+    }
+  </style>
+</head>
+<body>
+  <header class="report-header">
+    ${logoDataUrl ? `<img src="${logoDataUrl}" alt="ICG">` : ''}
+    <div>
+      <h1>ICG Website Audit Report</h1>
+      <div class="subtitle">${esc(report.target.domain)}</div>
+    </div>
+  </header>
+
+  <dl class="meta">
+    <dt>URL</dt><dd>${esc(targetUrl)}</dd>
+    <dt>Scope</dt><dd>${report.target.scope === 'page' ? 'This Page' : 'Whole Site'}</dd>
+    <dt>Source</dt><dd>${esc(SOURCE_LABELS[report.target.source] || report.target.source)}</dd>
+    <dt>Generated</dt><dd>${esc(new Date(report.generatedAt).toLocaleString())}</dd>
+  </dl>
+
+  <div class="overall ${report.summary.status}">${esc(this.getSummaryText(report))}${report.summary.cancelled ? ' · Audit cancelled before every check finished' : ''}</div>
+
+  <table>
+    <tr><th>Check</th><th>Target</th><th>Status</th></tr>${summaryRows}
+  </table>
+  ${sections}${comparison}
+
+  <footer>Generated by ${esc(report.generator.name)}${report.generator.version ? ` v${esc(report.generator.version)}` : ''}</footer>
+</body>
+</html>
+`;
+  }
+
+  static formatHtmlDetails(details) {
+    const items = details
+      .filter(detail => detail.trim())
+      .map(detail => detail.includes('\n')
+        ? `<pre>${this.escapeHtml(detail.trim())}</pre>`
+        : `<div class="detail">${this.escapeHtml(detail)}</div>`);
+    
+    return items.length > 0 ? items.join('\n        ') : '<div class="detail">No details</div>';
+  }
+
+  static getSummaryText(report) {
+    const { counts } = report.summary;
+    const label = STATUS_LABELS[report.summary.status] || report.summary.status;
+    return `${label} (${counts.success} passed, ${counts.warning} warnings, ${counts.error} failed)`;
+  }
+
+  static getStatusIcon(status) {
+    return (STATUS_LABELS[status] || '⏳').split(' ')[0];
+  }
+
+  static getFilename(report, extension) {
+    const stamp = new Date(report.generatedAt).toISOString().slice(0, 16).replace(/[T:]/g, '-');
+    const domain = report.target.domain.replace(/[^a-z0-9.-]/gi, '_');
+    return `icg-audit-${domain}-${stamp}.${extension}`;
+  }
+
+  static escapeMarkdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  }
+
+  // String-based so reports can also be built where there is no document
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  static download(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
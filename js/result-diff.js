@@ -0,0 +1,95 @@
+// Side-by-side comparison of checker results (e.g. server HTML vs live DOM)
+export class ResultDiff {
+  // Each checker exposes extractFacts(result) -> [{ key, label, value, environmentSpecific? }]
+  // environmentSpecific marks values expected to differ between dev and live (e.g. IP address)
+  static compareFacts(leftFacts, rightFacts) {
+    const rows = [];
+    const rightByKey = new Map(rightFacts.map(fact => [fact.key, fact]));
+    const seenKeys = new Set();
+    
+    leftFacts.forEach(fact => {
+      const other = rightByKey.get(fact.key);
+      rows.push(this.buildRow(fact.key, fact.label, fact.value, other?.value));
+      seenKeys.add(fact.key);
+    });
+    
+    rightFacts.forEach(fact => {
+      if (!seenKeys.has(fact.key)) {
+        rows.push(this.buildRow(fact.key, fact.label, undefined, fact.value));
+      }
+    });
+    
+    return rows;
+  }
+
+  static buildRow(key, label, left, right) {
+    return {
+      key: key,
+      label: label,
+      left: left,
+      right: right,
+      changed: !this.isEqual(left, right)
+    };
+  }
+
+  static isEqual(left, right) {
+    return JSON.stringify(this.normalize(left)) === JSON.stringify(this.normalize(right));
+  }
+
+  static normalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(String).sort();
+    }
+    if (value === undefined || value === '') return null;
+    return value;
+  }
+
+  // One readable line for a changed row, e.g. "✅ HSTS now present" or "➕ Missing ALT: 3 new (...)"
+  static describeChange(row) {
+    const left = this.normalize(row.left);
+    const right = this.normalize(row.right);
+    
+    if (typeof left === 'boolean' || typeof right === 'boolean') {
+      return right ? `✅ ${row.label} now present` : `❌ ${row.label} no longer present`;
+    }
+    
+    if (Array.isArray(left) || Array.isArray(right)) {
+      const before = left || [];
+      const after = right || [];
+      const added = after.filter(item => !before.includes(item));
+      const removed = before.filter(item => !after.includes(item));
+      
+      if (added.length > 0 && removed.length > 0 && before.length === after.length) {
+        return `🔄 ${row.label} changed: ${this.formatValue(removed)} → ${this.formatValue(added)}`;
+      }
+      const parts = [];
+      if (added.length > 0) parts.push(`➕ ${row.label}: ${added.length} new (${this.formatValue(added)})`);
+      if (removed.length > 0) parts.push(`➖ ${row.label}: ${removed.length} gone (${this.formatValue(removed)})`);
+      return parts.join(' · ');
+    }
+    
+    if (typeof left === 'number' && typeof right === 'number') {
+      const delta = right - left;
+      return `${delta > 0 ? '📈' : '📉'} ${row.label}: ${left} → ${right} (${delta > 0 ? '+' : ''}${delta})`;
+    }
+    
+    if (left === null) return `➕ ${row.label} added: ${this.formatValue(right)}`;
+    if (right === null) return `➖ ${row.label} removed (was ${this.formatValue(left)})`;
+    return `🔄 ${row.label} changed: ${this.formatValue(left)} → ${this.formatValue(right)}`;
+  }
+
+  static formatValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    
+    if (Array.isArray(value)) {
+      if (value.length === 0) return 'None';
+      if (value.length > 5) {
+        return `${value.slice(0, 5).join(', ')} (+${value.length - 5} more)`;
+      }
+      return value.join(', ');
+    }
+    
+    return String(value);
+  }
+}
@@ -1,16 +1,26 @@
 // Robots.txt checker functionality
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+
+// Crawlers checked against the site root and current page, and offered in the URL tester. Blocking an
+// informational one (AI crawlers) is often deliberate, so it's reported without affecting the status
+const TESTER_AGENTS = [
+  { token: 'googlebot', label: 'Googlebot' },
+  { token: 'bingbot', label: 'Bingbot' },
+  { token: 'gptbot', label: 'GPTBot', informational: true },
+  { token: '*', label: 'Other crawlers (*)' }
+];
+
 export class RobotsChecker {
-  static async testRobotsUrl(url) {
+  static async testRobotsUrl(url, cache = null) {
     const robotsUrl = url + '/robots.txt';
     
     try {
-      const response = await fetch(robotsUrl, {
-        method: 'GET',
-        mode: 'cors'
-      });
+      const page = await (cache || new PageCache()).getPage(robotsUrl);
       
-      if (response.ok) {
-        const content = await response.text();
+      if (page.ok) {
+        const content = page.html;
         const analysis = this.analyzeRobotsContent(content);
         
         return {
@@ -24,7 +34,7 @@ export class RobotsChecker {
         return {
           url: robotsUrl,
           status: 'error',
-          message: `HTTP ${response.status}: ${response.statusText}`
+          message: `HTTP ${page.status}: ${page.statusText}`
         };
       }
     } catch (error) {
@@ -37,6 +47,26 @@ export class RobotsChecker {
     }
   }
 
+  // robots.txt plus which crawlers it blocks from the whole site and from the page open in the tab
+  static async testRobots(domainUrl, pageUrl, cache = null) {
+    const result = await this.testRobotsUrl(domainUrl, cache);
+    if (result.status !== 'success') return result;
+    
+    const path = this.toRobotsPath(pageUrl || '/');
+    const siteBlockedFor = TESTER_AGENTS.filter(agent => !this.isPathAllowed('/', result.analysis, agent.token));
+    const pageChecks = TESTER_AGENTS.map(agent => ({ label: agent.label, informational: Boolean(agent.informational), ...this.evaluate(result.analysis, agent.token, path) }));
+    const blocksSearch = siteBlockedFor.some(agent => !agent.informational) || pageChecks.some(check => !check.allowed && !check.informational);
+    
+    return {
+      ...result,
+      status: blocksSearch ? 'warning' : 'success',
+      siteBlockedFor: siteBlockedFor.map(agent => agent.label),
+      currentPage: { path: path, checks: pageChecks }
+    };
+  }
+
+  // Flat lists of every directive plus the RFC 9309 groups: consecutive User-agent lines start a group and
+  // the Allow/Disallow lines after them belong to all of its agents
   static analyzeRobotsContent(content) {
     const lines = content.split('\n');
     const analysis = {
@@ -46,24 +76,32 @@ export class RobotsChecker {
       sitemaps: [],
       crawlDelay: null,
       totalLines: lines.length,
-      hasWildcard: false
+      hasWildcard: false,
+      groups: [] // [{ userAgents: ['googlebot'], rules: [{ type: 'allow' | 'disallow', path, line }] }]
     };
 
-    let currentUserAgent = null;
+    let currentGroup = null;
+    let currentAgents = []; // the group's User-agent values as written, for the flat lists
 
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      if (!trimmedLine || trimmedLine.startsWith('#')) continue;
+    lines.forEach((line, index) => {
+      const trimmedLine = line.replace(/#.*$/, '').trim();
+      if (!trimmedLine) return;
 
       const colonIndex = trimmedLine.indexOf(':');
-      if (colonIndex === -1) continue;
+      if (colonIndex === -1) return;
 
       const directive = trimmedLine.substring(0, colonIndex).toLowerCase().trim();
       const value = trimmedLine.substring(colonIndex + 1).trim();
 
       switch (directive) {
         case 'user-agent':
-          currentUserAgent = value;
+          if (!currentGroup || currentGroup.rules.length > 0) {
+            currentGroup = { userAgents: [], rules: [] };
+            currentAgents = [];
+            analysis.groups.push(currentGroup);
+          }
+          currentGroup.userAgents.push(this.getProductToken(value));
+          currentAgents.push(value);
           if (!analysis.userAgents.includes(value)) {
             analysis.userAgents.push(value);
           }
@@ -72,13 +110,11 @@ export class RobotsChecker {
           }
           break;
         case 'disallow':
-          if (currentUserAgent) {
-            analysis.disallowedPaths.push({ userAgent: currentUserAgent, path: value });
-          }
-          break;
         case 'allow':
-          if (currentUserAgent) {
-            analysis.allowedPaths.push({ userAgent: currentUserAgent, path: value });
+          if (currentGroup) {
+            currentGroup.rules.push({ type: directive, path: value, line: index + 1 });
+            const list = directive === 'allow' ? analysis.allowedPaths : analysis.disallowedPaths;
+            currentAgents.forEach(userAgent => list.push({ userAgent: userAgent, path: value }));
           }
           break;
         case 'sitemap':
@@ -88,11 +124,102 @@ export class RobotsChecker {
           analysis.crawlDelay = parseInt(value) || null;
           break;
       }
-    }
+    });
 
     return analysis;
   }
 
+  // "Googlebot/2.1 (+http://...)" -> "googlebot"; crawlers match groups on this token, ignoring case
+  static getProductToken(userAgent) {
+    if (userAgent.trim() === '*') return '*';
+    const match = userAgent.trim().match(/^[a-z_-]+/i);
+    return match ? match[0].toLowerCase() : userAgent.trim().toLowerCase();
+  }
+
+  // The rules a crawler obeys: every group naming it, or else the "*" groups; null when nothing applies
+  static getGroupRules(analysis, userAgent) {
+    const token = this.getProductToken(userAgent);
+    const groups = analysis.groups || this.groupFlatRules(analysis);
+    
+    let matching = groups.filter(group => group.userAgents.includes(token));
+    if (matching.length === 0) {
+      matching = groups.filter(group => group.userAgents.includes('*'));
+    }
+    if (matching.length === 0) return null;
+    
+    return {
+      userAgent: matching[0].userAgents.includes(token) ? token : '*',
+      rules: matching.flatMap(group => group.rules)
+    };
+  }
+
+  // Results stored before robots.txt was grouped only have the flat lists
+  static groupFlatRules(analysis) {
+    const groups = new Map();
+    const add = (rule, type) => {
+      if (!groups.has(rule.userAgent)) groups.set(rule.userAgent, { userAgents: [this.getProductToken(rule.userAgent)], rules: [] });
+      groups.get(rule.userAgent).rules.push({ type: type, path: rule.path, line: null });
+    };
+    (analysis.disallowedPaths || []).forEach(rule => add(rule, 'disallow'));
+    (analysis.allowedPaths || []).forEach(rule => add(rule, 'allow'));
+    return Array.from(groups.values());
+  }
+
+  // RFC 9309 matching: "*" matches any characters, a trailing "$" anchors the end, the longest matching
+  // rule wins and Allow wins a tie. Returns { allowed, userAgent (group used), rule (deciding rule or null) }
+  static evaluate(analysis, userAgent, path) {
+    const target = this.normalizePath(path);
+    const group = this.getGroupRules(analysis, userAgent);
+    if (!group || target === '/robots.txt') {
+      return { allowed: true, userAgent: group ? group.userAgent : null, rule: null };
+    }
+    
+    const best = group.rules
+      .filter(rule => rule.path && this.matchesRule(rule.path, target))
+      .map(rule => ({ rule: rule, length: this.normalizePath(rule.path).length }))
+      .sort((a, b) => b.length - a.length || (b.rule.type === 'allow') - (a.rule.type === 'allow'))[0];
+    
+    return {
+      allowed: !best || best.rule.type === 'allow',
+      userAgent: group.userAgent,
+      rule: best ? best.rule : null
+    };
+  }
+
+  static matchesRule(pattern, path) {
+    const normalized = this.normalizePath(pattern);
+    const anchored = normalized.endsWith('$');
+    const body = anchored ? normalized.slice(0, -1) : normalized;
+    const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path);
+  }
+
+  // Percent-encodes characters a URL would encode and upper-cases existing escapes, so "/caf%c3%a9" and
+  // "/café" compare equal; "*" and "$" are left alone for the pattern syntax
+  static normalizePath(path) {
+    const encoded = path.replace(/%[0-9a-f]{2}/gi, escape => escape.toUpperCase());
+    return encoded.replace(/[^A-Za-z0-9\-._~!$&'()*+,;=:@/?%]/g, char => encodeURIComponent(char));
+  }
+
+  static isPathAllowed(path, analysis, userAgent = '*') {
+    return this.evaluate(analysis, userAgent, path).allowed;
+  }
+
+  // True when crawlers without a group of their own may not fetch the home page, e.g. "Disallow: /"
+  static blocksAllCrawlers(analysis) {
+    return !this.isPathAllowed('/', analysis);
+  }
+
+  // Path and query of a full URL, or the input itself when it's already a path
+  static toRobotsPath(input) {
+    try {
+      const url = new URL(input.trim(), 'https://robots.invalid');
+      return `${url.pathname}${url.search}`;
+    } catch (error) {
+      return '/';
+    }
+  }
+
   static generateRobotsReport(analysis) {
     const report = [];
     
@@ -111,4 +238,145 @@ export class RobotsChecker {
 
     return report;
   }
+
+  // Key values used when comparing two robots.txt results (e.g. between audit runs)
+  static extractFacts(result) {
+    if (!result) return [];
+    
+    const analysis = result.analysis || {};
+    return [
+      { key: 'robots.found', label: 'robots.txt', value: Boolean(result.analysis) },
+      { key: 'robots.userAgents', label: 'User agents', value: analysis.userAgents || [] },
+      { key: 'robots.disallowedPaths', label: 'Disallow rules', value: (analysis.disallowedPaths || []).map(rule => `${rule.userAgent}: ${rule.path}`) },
+      { key: 'robots.sitemaps', label: 'Sitemaps', value: analysis.sitemaps || [] },
+      { key: 'robots.crawlDelay', label: 'Crawl delay', value: analysis.crawlDelay },
+      { key: 'robots.siteBlockedFor', label: 'Whole site blocked for', value: result.siteBlockedFor || [] }
+    ];
+  }
+
+  static renderResults(container, robotsResult, scopeLabel = null) {
+    let details = [];
+    let status = robotsResult.status;
+    
+    if (robotsResult.analysis) {
+      details.push('✅ robots.txt found and accessible');
+      details.push(...UIHelpers.formatRobotsAnalysis(robotsResult.analysis));
+      
+      if (robotsResult.siteBlockedFor) {
+        const isInformational = label => TESTER_AGENTS.some(agent => agent.label === label && agent.informational);
+        const blocked = robotsResult.siteBlockedFor.filter(label => !isInformational(label));
+        const optedOut = robotsResult.siteBlockedFor.filter(isInformational);
+        details.push(blocked.length > 0
+          ? `❌ Whole site blocked for: ${blocked.join(', ')}`
+          : `✅ Site root crawlable by ${TESTER_AGENTS.filter(agent => !agent.informational).map(agent => agent.label).join(', ')}`);
+        if (optedOut.length > 0) {
+          details.push(`ℹ️ Whole site blocked for ${optedOut.join(', ')} (AI crawler opt-out, search isn't affected)`);
+        }
+      }
+      if (robotsResult.currentPage) {
+        details.push('');
+        details.push(`📍 This page (${robotsResult.currentPage.path}):`);
+        robotsResult.currentPage.checks.forEach(check => details.push(`   ${this.formatVerdict(check, check)}`));
+      }
+      
+      details.push('');
+      details.push(this.getTesterHtml(robotsResult.currentPage ? robotsResult.currentPage.path : '/'));
+      
+      // Add the actual robots.txt content
+      if (robotsResult.content) {
+        details.push(''); // Empty line for spacing
+        details.push('📄 File Content:');
+        
+        // Format the content with proper line breaks and styling
+        const contentLines = robotsResult.content.split('\n');
+        const shouldTruncate = contentLines.length > 50;
+        const displayContent = shouldTruncate ? 
+          contentLines.slice(0, 50).join('\n') + '\n\n... (truncated, showing first 50 lines)' : 
+          robotsResult.content;
+        
+        // Show "empty file" message if content is just whitespace
+        const actualContent = robotsResult.content.trim();
+        const contentToShow = actualContent.length === 0 ? 
+          '(This robots.txt file is empty)' : 
+          displayContent;
+        
+        details.push(`<div style="
+          background: #f8f9fa; 
+          border: 1px solid #dee2e6; 
+          border-radius: 4px; 
+          padding: 12px; 
+          margin: 8px 0; 
+          font-family: 'Courier New', monospace; 
+          font-size: 12px; 
+          white-space: pre-wrap; 
+          word-wrap: break-word;
+          max-height: 300px;
+          overflow-y: auto;
+          color: #333;
+        ">${UIHelpers.escapeHtml(contentToShow)}</div>`);
+        
+        details.push(`📏 File size: ${robotsResult.size} bytes`);
+        if (shouldTruncate) {
+          details.push(`📄 Total lines: ${contentLines.length} (showing first 50)`);
+        }
+      }
+    } else {
+      details.push('❌ robots.txt not found or inaccessible');
+      if (robotsResult.error) {
+        details.push(`Error: ${robotsResult.error}`);
+      }
+    }
+    
+    const accordionItem = UIHelpers.addAccordionItem(container, 'robots', status, '🤖 Robots.txt Analysis', details, false, scopeLabel);
+    
+    const tester = accordionItem.querySelector('.robots-tester');
+    if (tester) {
+      // Re-parsed from the file so results saved before rules were grouped still test correctly
+      const analysis = this.analyzeRobotsContent(robotsResult.content || '');
+      const input = tester.querySelector('.robots-tester-path');
+      const run = () => {
+        const agent = TESTER_AGENTS.find(candidate => candidate.token === tester.querySelector('.robots-tester-agent').value);
+        const path = this.toRobotsPath(input.value || '/');
+        tester.querySelector('.robots-tester-result').textContent = `${path}: ${this.formatVerdict(agent, this.evaluate(analysis, agent.token, path))}`;
+      };
+      tester.querySelector('.robots-tester-button').onclick = run;
+      input.onkeydown = (event) => {
+        if (event.key === 'Enter') run();
+      };
+    }
+  }
+
+  // "❌ Blocked for Googlebot by Disallow: / (line 4)"; agent: { label, informational }
+  static formatVerdict(agent, verdict) {
+    const group = verdict.userAgent ? ` in the "User-agent: ${verdict.userAgent}" group` : '';
+    const rule = verdict.rule
+      ? ` by ${verdict.rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${verdict.rule.path}${verdict.rule.line ? ` (line ${verdict.rule.line})` : ''}${group}`
+      : verdict.userAgent ? ` (no rule matches${group})` : ' (no group applies)';
+    const icon = verdict.allowed ? '✅' : agent.informational ? 'ℹ️' : '❌';
+    return `${icon} ${verdict.allowed ? 'Allowed' : 'Blocked'} for ${agent.label}${rule}`;
+  }
+
+  static getTesterHtml(path) {
+    const options = TESTER_AGENTS.map(agent => `<option value="${agent.token}">${agent.label}</option>`).join('');
+    return `<div class="robots-tester">
+      <div class="robots-tester-title">🧪 Is this URL allowed?</div>
+      <div class="robots-tester-row">
+        <input type="text" class="robots-tester-path" value="${UIHelpers.escapeHtml(path)}" placeholder="/path or full URL">
+        <select class="robots-tester-agent">${options}</select>
+        <button class="robots-tester-button">Test</button>
+      </div>
+      <div class="robots-tester-result"></div>
+    </div>`;
+  }
 }
+
+CheckerRegistry.register({
+  id: 'robots',
+  label: 'Check robots.txt',
+  title: '🤖 Robots.txt Analysis',
+  scope: 'domain',
+  checklistLabels: ({ domainUrl }) => [`${domainUrl}/robots.txt`],
+  run: ({ domainUrl, tabUrl, pageUrl, cache }) => RobotsChecker.testRobots(domainUrl, tabUrl || pageUrl, cache),
+  render: (container, result, { scopeLabel }) => RobotsChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => RobotsChecker.extractFacts(result)
+});
@@ -0,0 +1,229 @@
+// Scheduled audit - the background worker re-checks the watch list of live sites and alerts on regressions
+//
+// Each run takes a snapshot of the facts that matter after go-live (certificate expiry, HTTPS redirect,
+// robots.txt, GTM containers, noindex) and turns it into pass/fail items like the quick audit's. An alert is
+// raised when an item starts failing, so a problem is only notified once; results and alerts are kept in
+// chrome.storage.local per site for the options page and the side panel.
+
+import { PageCache } from './page-cache.js';
+import { RobotsChecker } from './robots-checker.js';
+import { AnalyticsChecker } from './analytics-checker.js';
+import { QuickAudit } from './quick-audit.js';
+import { Settings } from './settings.js';
+
+export const SCHEDULED_AUDIT_ALARM = 'scheduled-audit';
+export const NOTIFICATION_PREFIX = 'icg-scheduled-audit:';
+
+const RECORD_PREFIX = 'scheduledAudit:';
+const SCHEDULED_AUDIT_TIMEOUT_MS = 30000;
+const MAX_ALERTS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ScheduledAudit {
+  // Keeps the background alarm in step with the watch list and interval on the options page
+  static async schedule(settings = null) {
+    settings = settings || await Settings.load();
+    const { domains, intervalMinutes } = settings.scheduledAudits;
+    
+    await chrome.alarms.clear(SCHEDULED_AUDIT_ALARM);
+    if (domains.length > 0 && intervalMinutes > 0) {
+      await chrome.alarms.create(SCHEDULED_AUDIT_ALARM, { delayInMinutes: 1, periodInMinutes: intervalMinutes });
+    }
+  }
+
+  // Audits one site, stores the result and returns { record, alerts } with the alerts raised by this run
+  // A site that doesn't respond keeps its last good snapshot, so the next run still compares against it
+  static async run(domain, { sslWarningDays = 14 } = {}) {
+    const previous = await this.getRecord(domain);
+    const attemptedAt = Date.now();
+    
+    let snapshot;
+    try {
+      snapshot = this.withGtmBaseline(await this.takeSnapshot(domain), previous?.snapshot);
+    } catch (error) {
+      const record = { ...(previous || { domain, snapshot: null, items: [], alerts: [], checkedAt: null }), lastAttemptAt: attemptedAt, error: error.message };
+      await this.saveRecord(record);
+      return { record, alerts: [] };
+    }
+    
+    const items = this.evaluate(snapshot, { sslWarningDays });
+    const alerts = items
+      .filter(item => !item.passed && !previous?.items.find(before => before.id === item.id && !before.passed))
+      .map(item => ({ id: item.id, label: item.label, severity: item.severity, detail: item.detail, raisedAt: attemptedAt, seen: false }));
+    
+    const record = {
+      domain: domain,
+      snapshot: snapshot,
+      items: items,
+      alerts: [...alerts, ...(previous?.alerts || [])].slice(0, MAX_ALERTS),
+      checkedAt: attemptedAt,
+      lastAttemptAt: attemptedAt,
+      error: null
+    };
+    await this.saveRecord(record);
+    return { record, alerts };
+  }
+
+  // Throws if the home page can't be loaded, so an error page is never compared with the real one
+  static async takeSnapshot(domain) {
+    const signal = AbortSignal.timeout(SCHEDULED_AUDIT_TIMEOUT_MS);
+    const cache = new PageCache({ signal });
+    const origin = `https://${domain}`;
+    
+    const [page, robotsPage, httpPage, certificateExpiresAt] = await Promise.all([
+      cache.getPage(`${origin}/`),
+      cache.getPage(`${origin}/robots.txt`).catch(() => null),
+      cache.getHeaders(`http://${domain}/`).catch(() => null),
+      this.getCertificateExpiry(domain, signal).catch(() => null)
+    ]);
+    if (!page.ok) {
+      throw new Error(`Home page returned HTTP ${page.status}`);
+    }
+    
+    const metaRobots = QuickAudit.getMetaRobots(page.html);
+    const robotsTag = page.headers['x-robots-tag'] || '';
+    const robots = robotsPage && robotsPage.ok ? RobotsChecker.analyzeRobotsContent(robotsPage.html) : null;
+    
+    return {
+      httpsRedirect: httpPage ? new URL(httpPage.finalUrl).protocol === 'https:' : null, // null = plain HTTP not served
+      robotsBlocksAll: robots ? RobotsChecker.blocksAllCrawlers(robots) : false,
+      noindex: /noindex/i.test(metaRobots) ? `meta robots "${metaRobots}"` : /noindex/i.test(robotsTag) ? `X-Robots-Tag "${robotsTag}"` : null,
+      gtmContainers: AnalyticsChecker.detectAnalytics(page.html).googleTagManager.containerIds,
+      certificateExpiresAt: certificateExpiresAt
+    };
+  }
+
+  // Containers seen on earlier runs stay in knownGtmContainers while they're missing, so a removed container
+  // keeps failing until it comes back or the removal is acknowledged (older records only have gtmContainers)
+  static withGtmBaseline(snapshot, previousSnapshot) {
+    const known = previousSnapshot?.knownGtmContainers || previousSnapshot?.gtmContainers || [];
+    return { ...snapshot, knownGtmContainers: [...new Set([...known, ...snapshot.gtmContainers])] };
+  }
+
+  // The missing containers were removed on purpose: forget them and pass the GTM item again
+  static async acknowledgeGtmRemoval(domain) {
+    const record = await this.getRecord(domain);
+    if (!record?.snapshot) return;
+    
+    const snapshot = { ...record.snapshot, knownGtmContainers: record.snapshot.gtmContainers };
+    const items = record.items.map(item => item.id === 'gtm' ? this.checkGtm(snapshot) : item);
+    await this.saveRecord({ ...record, snapshot, items });
+  }
+
+  // An extension can't read the certificate of a fetch, so this asks SSL Labs; a report up to a day old comes
+  // back straight away, otherwise SSL Labs starts one and the expiry is known from the next run
+  static async getCertificateExpiry(domain, signal) {
+    const response = await fetch(`https://api.ssllabs.com/api/v3/analyze?host=${domain}&publish=off&fromCache=on&maxAge=24`, { signal });
+    if (!response.ok) return null;
+    
+    const data = await response.json();
+    const notAfter = data.status === 'READY' ? data.certs?.[0]?.notAfter : null;
+    return notAfter || null;
+  }
+
+  // --- CHECKS ---
+
+  // Returns [{ id, label, severity, passed, detail }], the same shape as the quick audit's items
+  static evaluate(snapshot, { sslWarningDays }) {
+    return [
+      this.checkCertificate(snapshot, sslWarningDays),
+      this.checkHttps(snapshot),
+      this.checkRobots(snapshot),
+      this.checkGtm(snapshot),
+      this.checkNoindex(snapshot)
+    ];
+  }
+
+  static checkCertificate(snapshot, sslWarningDays) {
+    const label = 'SSL certificate not about to expire';
+    if (!snapshot.certificateExpiresAt) {
+      return QuickAudit.buildItem('ssl', label, 'warning', true, 'ℹ️ Expiry date not available yet (waiting on the SSL Labs report)');
+    }
+    
+    const days = Math.floor((snapshot.certificateExpiresAt - Date.now()) / DAY_MS);
+    const date = new Date(snapshot.certificateExpiresAt).toDateString();
+    if (days < 0) {
+      return QuickAudit.buildItem('ssl', label, 'error', false, `❌ Certificate expired on ${date}`);
+    }
+    return QuickAudit.buildItem('ssl', label, 'warning', days > sslWarningDays,
+      days > sslWarningDays ? `✅ Expires in ${days} days (${date})` : `⚠️ Certificate expires in ${days} days (${date})`);
+  }
+
+  static checkHttps(snapshot) {
+    const label = 'HTTP redirects to HTTPS';
+    if (snapshot.httpsRedirect === null) {
+      return QuickAudit.buildItem('https', label, 'error', true, '✅ Plain HTTP is not served');
+    }
+    return QuickAudit.buildItem('https', label, 'error', snapshot.httpsRedirect,
+      snapshot.httpsRedirect ? '✅ HTTP redirects to HTTPS' : '❌ HTTP no longer redirects to HTTPS');
+  }
+
+  static checkRobots(snapshot) {
+    return QuickAudit.buildItem('robots', 'robots.txt allows crawling', 'error', !snapshot.robotsBlocksAll,
+      snapshot.robotsBlocksAll ? '❌ robots.txt now blocks the whole site for "User-agent: *"' : '✅ No site-wide Disallow for all crawlers');
+  }
+
+  // Compared with every container seen before: the first run only records which containers are there
+  static checkGtm(snapshot) {
+    const label = 'GTM containers still installed';
+    const missing = (snapshot.knownGtmContainers || []).filter(id => !snapshot.gtmContainers.includes(id));
+    
+    if (missing.length > 0) {
+      return QuickAudit.buildItem('gtm', label, 'error', false, `❌ GTM container gone: ${missing.join(', ')}`);
+    }
+    return QuickAudit.buildItem('gtm', label, 'error', true,
+      snapshot.gtmContainers.length > 0 ? `✅ Found: ${snapshot.gtmContainers.join(', ')}` : 'ℹ️ No GTM container on the home page');
+  }
+
+  static checkNoindex(snapshot) {
+    return QuickAudit.buildItem('noindex', 'Home page is indexable', 'error', !snapshot.noindex,
+      snapshot.noindex ? `❌ noindex added: ${snapshot.noindex}` : '✅ No noindex in meta robots or X-Robots-Tag');
+  }
+
+  // Worst outcome of a run's items: 'error', 'warning' or 'success'
+  static getStatus(items) {
+    const failed = items.filter(item => !item.passed);
+    if (failed.some(item => item.severity === 'error')) return 'error';
+    return failed.length > 0 ? 'warning' : 'success';
+  }
+
+  // --- STORED RESULTS ---
+
+  static getStorageKey(domain) {
+    return `${RECORD_PREFIX}${domain}`;
+  }
+
+  // { domain, snapshot, items, alerts: [{ id, label, severity, detail, raisedAt, seen }], checkedAt, lastAttemptAt, error }
+  static async getRecord(domain) {
+    const key = this.getStorageKey(domain);
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || null;
+  }
+
+  static async getRecords(domains) {
+    const stored = await chrome.storage.local.get(domains.map(domain => this.getStorageKey(domain)));
+    return domains.map(domain => stored[this.getStorageKey(domain)] || null);
+  }
+
+  static async saveRecord(record) {
+    await chrome.storage.local.set({ [this.getStorageKey(record.domain)]: record });
+  }
+
+  static async markAlertsSeen(domain) {
+    const record = await this.getRecord(domain);
+    if (!record || record.alerts.every(alert => alert.seen)) return;
+    
+    await this.saveRecord({ ...record, alerts: record.alerts.map(alert => ({ ...alert, seen: true })) });
+  }
+
+  // --- NOTIFICATIONS ---
+
+  static getNotificationId(domain) {
+    return `${NOTIFICATION_PREFIX}${domain}`;
+  }
+
+  // The watched domain a notification was raised for, or null for other notifications
+  static getNotificationDomain(notificationId) {
+    return notificationId.startsWith(NOTIFICATION_PREFIX) ? notificationId.slice(NOTIFICATION_PREFIX.length) : null;
+  }
+}
@@ -0,0 +1,142 @@
+// Team settings - environment mappings, team preferences and audit options in chrome.storage.sync
+//
+// Per-site dev overrides are stored as plain `host: url` keys (as saved from the popup) and each
+// project's named environments under `__env:<live host>`; everything else lives under one reserved
+// key. Reserved keys start with "__" so they can't clash with a hostname.
+
+// CONFIGURATION: KNOWN SITE MAPPINGS (defaults until edited on the options page)
+// Live host -> ICG project name (or a full dev URL)
+export const PROJECT_MAPPINGS = {
+  'avenuehouse.org': 'stephenshouse',
+};
+
+export const DEFAULT_DEV_SUFFIX = 'dev.icgonline.co.uk';
+
+const SETTINGS_KEY = '__icgSettings';
+const ENVIRONMENTS_PREFIX = '__env:';
+
+const DEFAULT_SETTINGS = {
+  devSuffix: DEFAULT_DEV_SUFFIX,
+  projectMappings: null, // null = use PROJECT_MAPPINGS
+  auditDefaults: {
+    scope: 'domain',
+    source: 'server',
+    timeoutSeconds: 20,
+    enabledCheckers: null // null = each checker's defaultEnabled
+  },
+  sharedMappings: {
+    url: '', // team mapping file: intranet URL or a path packaged with the extension
+    refreshMinutes: 60
+  },
+  navigationMode: 'new-tab', // 'same-tab' | 'new-tab' | 'split-window'
+  // Path prefixes that differ between environments: [{ liveHost, env, livePrefix, envPrefix }]
+  // env is an environment name, or '*' for every environment except live
+  pathRules: [],
+  // Optional project marker the dev site validator compares between environments
+  validation: {
+    markerHeader: '', // response header, e.g. X-ICG-Project
+    markerMeta: '' // <meta name> tag, e.g. icg-project
+  },
+  // Rules that light up the badge on ICG sites: [{ type, value }], see signature-rules.js
+  signatures: {
+    rules: null, // null = DEFAULT_SIGNATURE_RULES
+    watchSeconds: 15 // how long content.js keeps watching a page that renders late
+  },
+  // Live sites the background worker re-audits on a schedule, see scheduled-audit.js
+  scheduledAudits: {
+    domains: [],
+    intervalMinutes: 360, // 0 = off
+    sslWarningDays: 14 // alert when the certificate expires within this many days
+  },
+  // Bounds for the multi-page site crawl, see crawl-checker.js
+  crawl: {
+    maxPages: 30,
+    maxDepth: 3, // links followed from the home page
+    concurrency: 4 // pages fetched at once
+  }
+};
+
+export class Settings {
+  static async load() {
+    const stored = await chrome.storage.sync.get(SETTINGS_KEY);
+    const saved = stored[SETTINGS_KEY] || {};
+    
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      auditDefaults: { ...DEFAULT_SETTINGS.auditDefaults, ...(saved.auditDefaults || {}) },
+      sharedMappings: { ...DEFAULT_SETTINGS.sharedMappings, ...(saved.sharedMappings || {}) },
+      validation: { ...DEFAULT_SETTINGS.validation, ...(saved.validation || {}) },
+      signatures: { ...DEFAULT_SETTINGS.signatures, ...(saved.signatures || {}) },
+      scheduledAudits: { ...DEFAULT_SETTINGS.scheduledAudits, ...(saved.scheduledAudits || {}) },
+      crawl: { ...DEFAULT_SETTINGS.crawl, ...(saved.crawl || {}) }
+    };
+  }
+
+  static async save(changes) {
+    const current = await this.load();
+    const updated = {
+      ...current,
+      ...changes,
+      auditDefaults: { ...current.auditDefaults, ...(changes.auditDefaults || {}) },
+      sharedMappings: { ...current.sharedMappings, ...(changes.sharedMappings || {}) },
+      validation: { ...current.validation, ...(changes.validation || {}) },
+      signatures: { ...current.signatures, ...(changes.signatures || {}) },
+      scheduledAudits: { ...current.scheduledAudits, ...(changes.scheduledAudits || {}) },
+      crawl: { ...current.crawl, ...(changes.crawl || {}) }
+    };
+    
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: updated });
+    return updated;
+  }
+
+  static getProjectMappings(settings) {
+    return settings.projectMappings || { ...PROJECT_MAPPINGS };
+  }
+
+  static isReservedKey(key) {
+    return key.startsWith('__');
+  }
+
+  // All per-site overrides: { host: url }
+  static async getOverrides() {
+    const stored = await chrome.storage.sync.get(null);
+    const overrides = {};
+    
+    Object.entries(stored).forEach(([key, value]) => {
+      if (!this.isReservedKey(key) && typeof value === 'string') {
+        overrides[key] = value;
+      }
+    });
+    return overrides;
+  }
+
+  static async setOverride(host, url) {
+    await chrome.storage.sync.set({ [host]: url });
+  }
+
+  static async removeOverride(host) {
+    await chrome.storage.sync.remove(host);
+  }
+
+  // Named environments per project: { liveHost: [{ name, url }] }
+  static async getEnvironmentSets() {
+    const stored = await chrome.storage.sync.get(null);
+    const sets = {};
+    
+    Object.entries(stored).forEach(([key, value]) => {
+      if (key.startsWith(ENVIRONMENTS_PREFIX) && Array.isArray(value)) {
+        sets[key.slice(ENVIRONMENTS_PREFIX.length)] = value;
+      }
+    });
+    return sets;
+  }
+
+  static async setEnvironmentSet(liveHost, environments) {
+    await chrome.storage.sync.set({ [ENVIRONMENTS_PREFIX + liveHost]: environments });
+  }
+
+  static async removeEnvironmentSet(liveHost) {
+    await chrome.storage.sync.remove(ENVIRONMENTS_PREFIX + liveHost);
+  }
+}
@@ -0,0 +1,92 @@
+// Site signatures - the rules that mark a page as an ICG-built site and light up the toolbar badge
+//
+// Selector and generator rules are checked inside the page by content.js, which keeps watching a late
+// rendering page for a while; header, host and mapping-list rules are checked by the background worker.
+
+export const SIGNATURE_RULE_TYPES = {
+  selector: 'CSS selector',
+  generator: 'Meta generator contains',
+  header: 'Response header',
+  host: 'Hostname',
+  mapped: 'Host in the mapping list'
+};
+
+export const DEFAULT_SIGNATURE_RULES = [
+  { type: 'selector', value: 'a[href*="icg.agency"]' },
+  { type: 'mapped', value: '' }
+];
+
+// Rules content.js can evaluate against the DOM
+const PAGE_RULE_TYPES = ['selector', 'generator'];
+
+export class SignatureRules {
+  static getRules(settings) {
+    return (settings.signatures.rules || DEFAULT_SIGNATURE_RULES).map(rule => ({ ...rule }));
+  }
+
+  // { type, value } with a cleaned-up value, or null when the rule can't work
+  // header values are "Name" (present) or "Name: text" (value contains text); hosts may start with "*."
+  static normalizeRule(rule) {
+    const type = String(rule.type || '');
+    const value = String(rule.value || '').trim();
+    
+    switch (type) {
+      case 'selector':
+      case 'generator':
+        return value ? { type, value } : null;
+      case 'header': {
+        const [name, ...rest] = value.split(':');
+        const expected = rest.join(':').trim();
+        if (!/^[A-Za-z0-9-]+$/.test(name.trim())) return null;
+        return { type, value: expected ? `${name.trim()}: ${expected}` : name.trim() };
+      }
+      case 'host': {
+        const host = value.toLowerCase().replace(/^https?:\/\//, '').split(/[/?#]/)[0].replace(/^www\./, '');
+        return /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? { type, value: host } : null;
+      }
+      case 'mapped':
+        return { type, value: '' };
+      default:
+        return null;
+    }
+  }
+
+  // Shown in the badge tooltip and on the settings page
+  static describe(rule) {
+    const label = SIGNATURE_RULE_TYPES[rule.type] || rule.type;
+    return rule.value ? `${label}: ${rule.value}` : label;
+  }
+
+  // What content.js needs: the DOM rules, each with its description
+  static getPageRules(rules) {
+    return rules
+      .filter(rule => PAGE_RULE_TYPES.includes(rule.type))
+      .map(rule => ({ ...rule, description: this.describe(rule) }));
+  }
+
+  static matchHost(hostname, rules) {
+    const host = hostname.toLowerCase().replace(/^www\./, '');
+    return rules.find(rule => {
+      if (rule.type !== 'host') return false;
+      if (rule.value.startsWith('*.')) {
+        const suffix = rule.value.slice(1);
+        return host.endsWith(suffix) || host === suffix.slice(1);
+      }
+      return host === rule.value;
+    }) || null;
+  }
+
+  // headers: [{ name, value }] as given by chrome.webRequest
+  static matchHeaders(headers, rules) {
+    return rules.find(rule => {
+      if (rule.type !== 'header') return false;
+      
+      const [name, ...rest] = rule.value.split(':');
+      const expected = rest.join(':').trim().toLowerCase();
+      return headers.some(header =>
+        header.name.toLowerCase() === name.trim().toLowerCase() &&
+        (!expected || String(header.value || '').toLowerCase().includes(expected))
+      );
+    }) || null;
+  }
+}
@@ -0,0 +1,227 @@
+// Site validation - checks a candidate dev URL really is the same project before the switcher trusts it
+//
+// A parked domain, wildcard DNS catch-all or hosting error page answers just like a dev site, so each
+// reachable candidate is compared with a reference page from an environment we know is right (the tab's
+// own, or live) and given a confidence level with the reasons behind it.
+
+export const CONFIDENCE_LEVELS = ['none', 'low', 'medium', 'high'];
+
+// The footer credit content.js looks for (a[href*="icg.agency"])
+const SIGNATURE_PATTERN = /<a\s[^>]*href\s*=\s*["']?[^"'\s>]*icg\.agency/i;
+
+// Default server pages and registrar placeholders
+const PLACEHOLDER_TITLES = [
+  /domain (?:is )?(?:for sale|parked)/i,
+  /parked (?:domain|free)/i,
+  /welcome to nginx/i,
+  /apache2? .*default page/i,
+  /^it works!?$/i,
+  /^index of \//i,
+  /(?:site|page) not found/i,
+  /account (?:has been )?suspended/i,
+  /default web site page/i
+];
+
+// Words that differ between environments' titles without meaning a different site
+const ENVIRONMENT_WORDS = /\b(?:dev|development|staging|stage|uat|local|test|preview)\b/g;
+
+export class SiteValidator {
+  // What a page says about itself: { url, host, redirected, title, hasSignature, marker, faviconUrl }
+  // markers: { markerHeader, markerMeta } from the options page; either may be empty
+  static readPage(requestUrl, response, html, markers = {}) {
+    const finalUrl = response.url || requestUrl;
+    const bareHost = url => new URL(url).hostname.replace(/^www\./, '');
+    return {
+      url: finalUrl,
+      host: new URL(finalUrl).hostname,
+      // Off to another site entirely, not just http -> https or adding www.
+      redirected: bareHost(finalUrl) !== bareHost(requestUrl),
+      title: this.getTitle(html),
+      hasSignature: SIGNATURE_PATTERN.test(html),
+      marker: this.getMarker(response, html, markers),
+      faviconUrl: this.getFaviconUrl(html, finalUrl)
+    };
+  }
+
+  static getTitle(html) {
+    const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return match ? this.decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : '';
+  }
+
+  static getMarker(response, html, markers) {
+    if (markers.markerHeader) {
+      const header = response.headers && response.headers.get(markers.markerHeader);
+      if (header) return header.trim();
+    }
+    if (markers.markerMeta) {
+      const content = this.getMetaContent(html, markers.markerMeta);
+      if (content) return content;
+    }
+    return null;
+  }
+
+  // Attribute order varies, so each <meta> tag is read on its own
+  static getMetaContent(html, name) {
+    const tags = html.match(/<meta\s[^>]*>/gi) || [];
+    for (const tag of tags) {
+      const tagName = this.getAttribute(tag, 'name') || this.getAttribute(tag, 'property');
+      if (tagName && tagName.toLowerCase() === name.toLowerCase()) {
+        return (this.getAttribute(tag, 'content') || '').trim() || null;
+      }
+    }
+    return null;
+  }
+
+  static getFaviconUrl(html, baseUrl) {
+    const links = html.match(/<link\s[^>]*>/gi) || [];
+    const icon = links.find(tag => /(?:^|\s)icon(?:\s|$)/i.test(this.getAttribute(tag, 'rel') || ''));
+    const href = icon ? this.getAttribute(icon, 'href') : null;
+    
+    try {
+      return new URL(href || '/favicon.ico', baseUrl).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static getAttribute(tag, attribute) {
+    const match = tag.match(new RegExp(`\\s${attribute}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? this.decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+  }
+
+  static decodeEntities(text) {
+    return text
+      .replace(/&amp;/g, '&')
+      .replace(/&#0*39;|&apos;/g, "'")
+      .replace(/&quot;/g, '"')
+      .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>');
+  }
+
+  static isPlaceholderTitle(title) {
+    return PLACEHOLDER_TITLES.some(pattern => pattern.test(title));
+  }
+
+  // Same title once environment words are dropped, or a shared "Page | Site Name" segment
+  static titlesMatch(a, b) {
+    const segments = title => title
+      .toLowerCase()
+      .replace(ENVIRONMENT_WORDS, '')
+      .split(/\s[|\-–—:·]\s|\s*\|\s*/)
+      .map(segment => segment.replace(/[^\p{L}\p{N}]+/gu, ' ').trim())
+      .filter(segment => segment.length >= 3);
+    
+    const left = segments(a);
+    const right = new Set(segments(b));
+    return left.some(segment => right.has(segment));
+  }
+
+  // SHA-256 of the favicon bytes, remembered on the page so the reference is only fetched once
+  static getFaviconHash(page) {
+    if (!page.faviconUrl) return Promise.resolve(null);
+    if (!page.faviconHash) {
+      page.faviconHash = this.hashUrl(page.faviconUrl);
+    }
+    return page.faviconHash;
+  }
+
+  static async hashUrl(url, timeoutMs = 2500) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+      const response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+      if (!response.ok) return null;
+      
+      const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // { confidence: 'none' | 'low' | 'medium' | 'high', reasons: [] } for a probe from EnvironmentDetector.probeUrl
+  // reference is the page of an environment known to be right, or null when it couldn't be read
+  static async assess(probe, reference) {
+    if (!probe.reachable) {
+      return { confidence: 'none', reasons: [probe.error ? `No response (${probe.error})` : `HTTP ${probe.status}`] };
+    }
+    
+    const page = probe.page;
+    const reasons = [];
+    
+    // A project marker is the strongest evidence either way
+    if (page.marker && reference && reference.marker) {
+      if (page.marker !== reference.marker) {
+        return { confidence: 'none', reasons: [`📛 Marker is "${page.marker}", expected "${reference.marker}"`] };
+      }
+      return { confidence: 'high', reasons: [`🏷️ Marker matches (${page.marker})`] };
+    }
+    
+    if (probe.status === 401 || probe.status === 403) {
+      return { confidence: 'low', reasons: [`🔒 HTTP ${probe.status}: password protected, content not checked`] };
+    }
+    if (probe.status >= 500) {
+      return { confidence: 'low', reasons: [`⚠️ HTTP ${probe.status}: server error page, content not checked`] };
+    }
+    
+    if (this.isPlaceholderTitle(page.title)) {
+      return { confidence: 'none', reasons: [`🅿️ Looks like a parked or default server page ("${page.title}")`] };
+    }
+    
+    let score = 0;
+    if (page.marker) {
+      score++;
+      reasons.push(`🏷️ Marker present (${page.marker})`);
+    }
+    if (page.hasSignature) {
+      score++;
+      reasons.push('✅ ICG signature link found');
+    }
+    if (reference && reference.title && page.title && this.titlesMatch(page.title, reference.title)) {
+      score++;
+      reasons.push('📝 Title matches');
+    }
+    
+    // The favicon costs two more requests, so it's only checked when the page alone isn't convincing
+    if (score < 2 && reference) {
+      const [ours, theirs] = await Promise.all([this.getFaviconHash(page), this.getFaviconHash(reference)]);
+      if (ours && ours === theirs) {
+        score++;
+        reasons.push('🖼️ Same favicon');
+      }
+    }
+    
+    // A page that redirected off-site, or that shares nothing with a readable reference, is a catch-all
+    // or parked page rather than the dev site; only an unreadable reference leaves it at 'low'
+    if (page.redirected) {
+      return { confidence: 'none', reasons: [...reasons, `↪️ Redirected to ${page.host}`] };
+    }
+    if (score === 0 && reference) {
+      return { confidence: 'none', reasons: ['❓ Nothing ties it to this project (title, signature and favicon all differ)'] };
+    }
+    
+    if (score === 0) {
+      reasons.push('❓ Reference page unavailable and no signature or marker found');
+    }
+    
+    const confidence = score >= 2 ? 'high' : score === 1 ? 'medium' : 'low';
+    return { confidence, reasons };
+  }
+
+  // Best candidate: highest confidence, then the earliest (most specific) URL
+  static pickBest(results) {
+    return results.reduce((best, result) => {
+      if (result.confidence === 'none') return best;
+      if (!best || this.rank(result.confidence) > this.rank(best.confidence)) return result;
+      return best;
+    }, null);
+  }
+
+  static rank(confidence) {
+    return CONFIDENCE_LEVELS.indexOf(confidence);
+  }
+}
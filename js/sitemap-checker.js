@@ -0,0 +1,383 @@
+// XML sitemap checker - opens the sitemaps robots.txt declares, follows sitemap indexes and validates them
+//
+// Validation follows the sitemaps.org protocol (namespace, one <loc> per entry, 50,000 URLs / 50 MB per file,
+// W3C lastmod dates). URLs are then checked against the site: right host and protocol, no dev hostnames,
+// not blocked by robots.txt, and a small sample is requested to catch redirects and errors.
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+import { TaskRunner } from './task-runner.js';
+import { RobotsChecker } from './robots-checker.js';
+import { EnvironmentDetector } from './environment-detector.js';
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const FALLBACK_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+const MAX_URLS_PER_FILE = 50000;
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+const MAX_LOC_LENGTH = 2048;
+const CHANGEFREQ_VALUES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+const MAX_SITEMAP_FILES = 25; // sitemap files opened per audit, indexes included
+const SAMPLE_SIZE = 10; // URLs requested to check their status
+const STALE_DAYS = 365;
+const MAX_LISTED = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class SitemapChecker {
+  static async testSitemaps(domainUrl, cache, { signal = null } = {}) {
+    try {
+      const [robots, home] = await Promise.all([
+        RobotsChecker.testRobotsUrl(domainUrl, cache),
+        cache.getHeaders(`${domainUrl}/`).catch(() => null)
+      ]);
+      const robotsAnalysis = robots.status === 'success' ? robots.analysis : null;
+      const declared = robotsAnalysis?.sitemaps || [];
+      
+      // Where the site really lives, e.g. https://www. after the bare domain redirects
+      const siteUrl = new URL(home ? home.finalUrl : `${domainUrl}/`);
+      
+      const queue = declared.length > 0
+        ? declared.map(url => ({ url, source: 'robots.txt' }))
+        : FALLBACK_PATHS.map(path => ({ url: `${domainUrl}${path}`, source: 'fallback' }));
+      
+      const files = [];
+      const entries = [];
+      const seen = new Set();
+      
+      while (queue.length > 0 && files.length < MAX_SITEMAP_FILES) {
+        const { url, source } = queue.shift();
+        if (seen.has(url)) continue;
+        seen.add(url);
+        if (source === 'fallback' && files.length > 0) continue; // /sitemap_index.xml is only tried without /sitemap.xml
+        
+        const file = await this.readSitemap(url, source, cache, signal);
+        
+        // Fallback locations that don't exist are expected, so they aren't reported
+        if (source === 'fallback' && file.status !== 200) continue;
+        files.push(file);
+        
+        if (file.type === 'sitemapindex') {
+          file.children.forEach(child => queue.push({ url: child, source: url }));
+        } else if (file.type === 'urlset') {
+          entries.push(...file.entries);
+        }
+      }
+      
+      const urlChecks = this.checkUrls(entries, siteUrl, robotsAnalysis);
+      const samples = await this.sampleUrls(entries, cache, signal);
+      
+      const result = {
+        url: domainUrl,
+        declaredInRobots: declared.length,
+        files: files.map(({ entries, children, ...file }) => file), // entries can run to thousands, keep the counts
+        notOpened: queue.filter(item => !seen.has(item.url)).length,
+        totalUrls: entries.length,
+        ...urlChecks,
+        samples: samples
+      };
+      result.status = this.getStatus(result);
+      return result;
+    } catch (error) {
+      if (TaskRunner.isCancelled(error)) throw error;
+      console.error('Sitemap check error:', error);
+      return {
+        url: domainUrl,
+        status: 'error',
+        error: error.message
+      };
+    }
+  }
+
+  // Returns { url, source, status, type, compressed, bytes, urlCount, childCount, errors, warnings, entries, children }
+  static async readSitemap(url, source, cache, signal) {
+    const file = { url, source, status: null, type: null, compressed: false, bytes: 0, urlCount: 0, childCount: 0, errors: [], warnings: [], entries: [], children: [] };
+    
+    try {
+      const { status, text, compressed } = await this.loadSitemap(url, cache, signal);
+      file.status = status;
+      file.compressed = compressed;
+      if (status !== 200) {
+        file.errors.push(`HTTP ${status}`);
+        return file;
+      }
+      
+      file.bytes = new TextEncoder().encode(text).length;
+      if (file.bytes > MAX_FILE_BYTES) {
+        file.errors.push(`${Math.round(file.bytes / 1024 / 1024)} MB uncompressed, over the 50 MB limit`);
+      }
+      
+      return { ...file, ...this.parseSitemap(text, file) };
+    } catch (error) {
+      if (TaskRunner.isCancelled(error)) throw error;
+      file.errors.push(`Could not load: ${error.message}`);
+      return file;
+    }
+  }
+
+  // Plain sitemaps go through the shared cache; .gz files (and gzip bodies served without
+  // Content-Encoding) are fetched as bytes and decompressed here
+  static async loadSitemap(url, cache, signal) {
+    if (!/\.gz$/i.test(new URL(url).pathname)) {
+      const page = await cache.getPage(url);
+      if (page.html.charCodeAt(0) !== 0x1f) {
+        return { status: page.status, text: page.html, compressed: false };
+      }
+    }
+    
+    const response = await fetch(url, { signal });
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) {
+      return { status: response.status, text: new TextDecoder().decode(bytes), compressed: false };
+    }
+    
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return { status: response.status, text: await new Response(stream).text(), compressed: true };
+  }
+
+  // Structure checks against the protocol; returns the fields to merge into the file
+  static parseSitemap(text, file) {
+    const errors = [...file.errors];
+    const warnings = [];
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    
+    if (doc.querySelector('parsererror')) {
+      errors.push('Not well-formed XML');
+      return { errors, warnings };
+    }
+    
+    const root = doc.documentElement;
+    const type = root.localName;
+    if (!['urlset', 'sitemapindex'].includes(type)) {
+      errors.push(`Root element is <${type}>, expected <urlset> or <sitemapindex>`);
+      return { errors, warnings };
+    }
+    if (root.namespaceURI !== SITEMAP_NAMESPACE) {
+      errors.push(`Missing or wrong namespace on <${type}> (expected ${SITEMAP_NAMESPACE})`);
+    }
+    
+    const itemName = type === 'urlset' ? 'url' : 'sitemap';
+    const items = Array.from(root.children).filter(element => element.localName === itemName);
+    const problems = { loc: 0, lastmod: 0, changefreq: 0, priority: 0 };
+    const entries = [];
+    
+    items.forEach(item => {
+      const field = name => Array.from(item.children).filter(element => element.localName === name);
+      const locs = field('loc');
+      const loc = locs.length === 1 ? locs[0].textContent.trim() : '';
+      
+      if (!this.isValidLoc(loc)) {
+        problems.loc++;
+        return;
+      }
+      
+      const lastmod = field('lastmod')[0]?.textContent.trim() || null;
+      if (lastmod && !W3C_DATETIME.test(lastmod)) problems.lastmod++;
+      
+      const changefreq = field('changefreq')[0]?.textContent.trim();
+      if (changefreq && !CHANGEFREQ_VALUES.includes(changefreq)) problems.changefreq++;
+      
+      const priority = field('priority')[0]?.textContent.trim();
+      if (priority && !(/^(0(\.\d+)?|1(\.0+)?)$/.test(priority))) problems.priority++;
+      
+      entries.push({ loc, lastmod: lastmod && W3C_DATETIME.test(lastmod) ? lastmod : null });
+    });
+    
+    if (problems.loc > 0) errors.push(`${problems.loc} <${itemName}> entr${problems.loc === 1 ? 'y' : 'ies'} without exactly one absolute <loc> URL`);
+    if (problems.lastmod > 0) warnings.push(`${problems.lastmod} <lastmod> value(s) not in W3C date format (e.g. 2025-01-31)`);
+    if (problems.changefreq > 0) warnings.push(`${problems.changefreq} invalid <changefreq> value(s)`);
+    if (problems.priority > 0) warnings.push(`${problems.priority} <priority> value(s) outside 0.0-1.0`);
+    if (items.length > MAX_URLS_PER_FILE) errors.push(`${items.length} entries, over the 50,000 per file limit`);
+    if (items.length === 0) warnings.push(`No <${itemName}> entries`);
+    
+    if (type === 'sitemapindex') {
+      return { type, errors, warnings, childCount: entries.length, children: entries.map(entry => entry.loc) };
+    }
+    return { type, errors, warnings, urlCount: entries.length, entries };
+  }
+
+  static isValidLoc(loc) {
+    if (!loc || loc.length > MAX_LOC_LENGTH) return false;
+    try {
+      return ['http:', 'https:'].includes(new URL(loc).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Host, protocol, dev hostname, lastmod age and robots.txt rules for every listed URL
+  static checkUrls(entries, siteUrl, robotsAnalysis) {
+    const wrongHost = [];
+    const wrongProtocol = [];
+    const devHost = [];
+    const blocked = [];
+    let stale = 0;
+    let futureLastmod = 0;
+    const now = Date.now();
+    
+    entries.forEach(({ loc, lastmod }) => {
+      const url = new URL(loc);
+      if (EnvironmentDetector.isDevHost(url.hostname)) {
+        devHost.push(loc);
+      } else if (url.hostname !== siteUrl.hostname) {
+        wrongHost.push(loc);
+      } else if (url.protocol !== siteUrl.protocol) {
+        wrongProtocol.push(loc);
+      }
+      
+      if (robotsAnalysis && !RobotsChecker.isPathAllowed(RobotsChecker.toRobotsPath(loc), robotsAnalysis)) {
+        blocked.push(loc);
+      }
+      
+      if (lastmod) {
+        const age = now - new Date(lastmod).getTime();
+        if (age > STALE_DAYS * DAY_MS) stale++;
+        if (age < -DAY_MS) futureLastmod++;
+      }
+    });
+    
+    return { siteHost: siteUrl.host, siteProtocol: siteUrl.protocol.replace(':', ''), wrongHost, wrongProtocol, devHost, blocked, stale, futureLastmod };
+  }
+
+  // A spread of URLs from the start, middle and end of the sitemaps; returns [{ url, status, finalUrl }]
+  static async sampleUrls(entries, cache, signal) {
+    const step = Math.max(1, Math.floor(entries.length / SAMPLE_SIZE));
+    const sample = entries.filter((entry, index) => index % step === 0).slice(0, SAMPLE_SIZE);
+    
+    return Promise.all(sample.map(async ({ loc }) => {
+      try {
+        const page = await this.requestSample(loc, cache, signal);
+        return { url: loc, status: page.status, finalUrl: page.redirected ? page.finalUrl : null };
+      } catch (error) {
+        if (TaskRunner.isCancelled(error) || signal?.aborted) throw TaskRunner.cancelledError();
+        return { url: loc, status: null, error: error.message };
+      }
+    }));
+  }
+
+  // HEAD first; some CMSs and firewalls refuse HEAD (405/501) or drop it, so those get a GET instead
+  static async requestSample(url, cache, signal) {
+    try {
+      const page = await cache.getHeaders(url);
+      if (page.status !== 405 && page.status !== 501) return page;
+    } catch (error) {
+      if (TaskRunner.isCancelled(error) || signal?.aborted) throw error;
+    }
+    return cache.getPage(url);
+  }
+
+  // A sampled URL that errors or doesn't load; redirects are reported separately
+  static isBrokenSample(sample) {
+    return sample.status === null || sample.status >= 400;
+  }
+
+  static getStatus(result) {
+    const fileErrors = result.files.some(file => file.errors.length > 0);
+    if (result.files.length === 0 || fileErrors || result.devHost.length > 0) return 'error';
+    
+    // Sampled pages are a sign of stale entries, not a broken sitemap, so they only warn
+    const fileWarnings = result.files.some(file => file.warnings.length > 0);
+    const sampleProblems = result.samples.some(sample => this.isBrokenSample(sample) || sample.finalUrl);
+    if (fileWarnings || sampleProblems || result.wrongHost.length > 0 || result.wrongProtocol.length > 0 || result.blocked.length > 0 || result.stale > 0 || result.futureLastmod > 0) {
+      return 'warning';
+    }
+    return 'success';
+  }
+
+  // Key values used when comparing two sitemap results (e.g. between audit runs)
+  static extractFacts(result) {
+    if (!result || result.error) return [];
+    
+    return [
+      { key: 'sitemap.files', label: 'Sitemap files', value: result.files.map(file => file.url) },
+      { key: 'sitemap.urls', label: 'Sitemap URLs', value: result.totalUrls },
+      { key: 'sitemap.devHost', label: 'Dev URLs in sitemap', value: result.devHost.length },
+      { key: 'sitemap.wrongHost', label: 'Other-host URLs in sitemap', value: result.wrongHost.length + result.wrongProtocol.length },
+      { key: 'sitemap.blocked', label: 'Sitemap URLs blocked by robots.txt', value: result.blocked.length },
+      { key: 'sitemap.stale', label: 'Stale lastmod dates', value: result.stale }
+    ];
+  }
+
+  static renderResults(container, result, scopeLabel = null) {
+    const details = [];
+    
+    if (result.error) {
+      details.push('❌ Sitemap check failed');
+      details.push(`Error: ${result.error}`);
+      UIHelpers.addAccordionItem(container, 'sitemap', 'error', '🗺️ XML Sitemaps', details, false, scopeLabel);
+      return;
+    }
+    
+    const list = (items, format = item => item) => {
+      items.slice(0, MAX_LISTED).forEach(item => details.push(`   • ${format(item)}`));
+      if (items.length > MAX_LISTED) details.push(`   ... and ${items.length - MAX_LISTED} more`);
+    };
+    
+    if (result.files.length === 0) {
+      details.push('❌ No sitemap found');
+      details.push(`💡 robots.txt declares no Sitemap: and neither ${FALLBACK_PATHS.join(' nor ')} exists`);
+      UIHelpers.addAccordionItem(container, 'sitemap', result.status, '🗺️ XML Sitemaps', details, false, scopeLabel);
+      return;
+    }
+    
+    details.push(result.declaredInRobots > 0
+      ? `✅ ${result.declaredInRobots} sitemap(s) declared in robots.txt`
+      : '⚠️ No Sitemap: line in robots.txt, found the sitemap at its default location');
+    details.push(`🔗 ${result.totalUrls} URL(s) in ${result.files.filter(file => file.type === 'urlset').length} sitemap file(s)`);
+    if (result.notOpened > 0) details.push(`ℹ️ ${result.notOpened} more sitemap(s) not opened (limit ${MAX_SITEMAP_FILES} files)`);
+    
+    details.push('');
+    details.push('📄 Files:');
+    result.files.forEach(file => {
+      const icon = file.errors.length > 0 ? '❌' : file.warnings.length > 0 ? '⚠️' : '✅';
+      const kind = file.type === 'sitemapindex' ? `index of ${file.childCount}` : file.type ? `${file.urlCount} URL(s)` : 'unreadable';
+      details.push(`   ${icon} ${file.url} (${kind}${file.compressed ? ', gzip' : ''})`);
+      [...file.errors, ...file.warnings].forEach(problem => details.push(`      - ${problem}`));
+    });
+    
+    details.push('');
+    if (result.devHost.length > 0) {
+      details.push(`❌ ${result.devHost.length} URL(s) on dev hostnames`);
+      list(result.devHost);
+    }
+    if (result.wrongHost.length > 0) {
+      details.push(`⚠️ ${result.wrongHost.length} URL(s) not on ${result.siteHost}`);
+      list(result.wrongHost);
+    }
+    if (result.wrongProtocol.length > 0) {
+      details.push(`⚠️ ${result.wrongProtocol.length} URL(s) use the wrong protocol (the site is on ${result.siteProtocol})`);
+      list(result.wrongProtocol);
+    }
+    if (result.blocked.length > 0) {
+      details.push(`⚠️ ${result.blocked.length} URL(s) listed but blocked by robots.txt`);
+      list(result.blocked);
+    }
+    if (result.stale > 0) details.push(`⚠️ ${result.stale} URL(s) with a lastmod over ${STALE_DAYS} days old`);
+    if (result.futureLastmod > 0) details.push(`⚠️ ${result.futureLastmod} URL(s) with a lastmod in the future`);
+    if (result.devHost.length + result.wrongHost.length + result.wrongProtocol.length + result.blocked.length === 0) {
+      details.push(`✅ Every URL is on ${result.siteHost} and allowed by robots.txt`);
+    }
+    
+    if (result.samples.length > 0) {
+      const broken = result.samples.filter(sample => this.isBrokenSample(sample));
+      const redirected = result.samples.filter(sample => !this.isBrokenSample(sample) && sample.finalUrl);
+      details.push('');
+      details.push(`🎯 Sampled ${result.samples.length} URL(s): ${result.samples.length - broken.length - redirected.length} OK`);
+      list(broken, sample => `⚠️ ${sample.url} → ${sample.error || `HTTP ${sample.status}`}`);
+      list(redirected, sample => `⚠️ ${sample.url} redirects to ${sample.finalUrl}`);
+    }
+    
+    UIHelpers.addAccordionItem(container, 'sitemap', result.status, '🗺️ XML Sitemaps', details, false, scopeLabel);
+  }
+}
+
+CheckerRegistry.register({
+  id: 'sitemap',
+  label: 'Check XML Sitemaps',
+  title: '🗺️ XML Sitemaps',
+  scope: 'domain',
+  checklistLabels: ({ domainUrl }) => [`XML sitemaps declared in ${domainUrl}/robots.txt`],
+  timeoutFor: timeoutMs => timeoutMs * 3,
+  run: ({ domainUrl, cache, signal }) => SitemapChecker.testSitemaps(domainUrl, cache, { signal }),
+  render: (container, result, { scopeLabel }) => SitemapChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => SitemapChecker.extractFacts(result)
+});
@@ -1,9 +1,16 @@
 // SSL Certificate validation and testing
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+
 export class SSLChecker {
-  static async testSSLCertificate(url, domain) {
+  // cache: the audit's shared PageCache, so every header check reads the same response
+  static async testSSLCertificate(url, domain, cache = null) {
+    cache = cache || new PageCache();
+    
     try {
       // Basic HTTPS connectivity test
-      const connectivityResult = await this.checkSSLConnection(domain);
+      const connectivityResult = await this.checkSSLConnection(domain, cache);
       
       if (!connectivityResult.success) {
         return {
@@ -14,10 +21,10 @@ export class SSLChecker {
       }
 
       // Always perform security headers analysis (contains detailed recommendations)
-      const securityAnalysis = await this.validateSSLHeaders(domain);
+      const securityAnalysis = await this.validateSSLHeaders(domain, cache);
       
       // Try to get additional certificate details
-      const certDetails = await this.getSSLCertificateDetails(domain);
+      const certDetails = await this.getSSLCertificateDetails(domain, cache);
       
       // Combine certificate info with security analysis
       let combinedDetails = [];
@@ -54,7 +61,8 @@ export class SSLChecker {
         url: url,
         status: status,
         details: combinedDetails,
-        grade: grade
+        grade: grade,
+        securityHeaders: securityAnalysis.headerResults || null
       };
 
     } catch (error) {
@@ -67,12 +75,9 @@ export class SSLChecker {
     }
   }
 
-  static async checkSSLConnection(domain) {
+  static async checkSSLConnection(domain, cache) {
     try {
-      const response = await fetch(`https://${domain}`, {
-        method: 'HEAD',
-        mode: 'no-cors'
-      });
+      await cache.getHeaders(`https://${domain}`);
       
       return { success: true };
     } catch (error) {
@@ -83,12 +88,12 @@ export class SSLChecker {
     }
   }
 
-  static async getSSLCertificateDetails(domain) {
+  static async getSSLCertificateDetails(domain, cache) {
     // Try multiple methods to get SSL certificate information
     
     // Method 1: SSL Labs API (if available)
     try {
-      const sslLabsResult = await this.trySSLLabsAPI(domain);
+      const sslLabsResult = await this.trySSLLabsAPI(domain, cache);
       if (sslLabsResult.success) {
         return sslLabsResult;
       }
@@ -98,7 +103,7 @@ export class SSLChecker {
 
     // Method 2: Alternative SSL checking service
     try {
-      const altResult = await this.tryAlternativeSSLCheck(domain);
+      const altResult = await this.tryAlternativeSSLCheck(domain, cache);
       if (altResult.success) {
         return altResult;
       }
@@ -107,16 +112,17 @@ export class SSLChecker {
     }
 
     // Method 3: Basic browser-based validation
-    return await this.basicSSLValidation(domain);
+    return await this.basicSSLValidation(domain, cache);
   }
 
-  static async trySSLLabsAPI(domain) {
+  static async trySSLLabsAPI(domain, cache) {
     try {
       // Note: SSL Labs API requires CORS setup and may not work directly from browser extension
       const apiUrl = `https://api.ssllabs.com/api/v3/analyze?host=${domain}&publish=off&all=done`;
       
       const response = await fetch(apiUrl, {
-        mode: 'cors'
+        mode: 'cors',
+        signal: cache.signal
       });
       
       if (!response.ok) {
@@ -147,20 +153,18 @@ export class SSLChecker {
     }
   }
 
-  static async tryAlternativeSSLCheck(domain) {
+  static async tryAlternativeSSLCheck(domain, cache) {
     try {
       // Alternative method using a different service or approach
       // This is a placeholder for other SSL checking services
-      const response = await fetch(`https://${domain}`, {
-        method: 'HEAD'
-      });
+      const response = await cache.getHeaders(`https://${domain}`);
       
       // Extract what we can from the response headers
       const securityHeaders = {
-        'strict-transport-security': response.headers.get('strict-transport-security'),
-        'content-security-policy': response.headers.get('content-security-policy'),
-        'x-frame-options': response.headers.get('x-frame-options'),
-        'x-content-type-options': response.headers.get('x-content-type-options')
+        'strict-transport-security': response.headers['strict-transport-security'] || null,
+        'content-security-policy': response.headers['content-security-policy'] || null,
+        'x-frame-options': response.headers['x-frame-options'] || null,
+        'x-content-type-options': response.headers['x-content-type-options'] || null
       };
       
       return {
@@ -168,7 +172,7 @@ export class SSLChecker {
         data: {
           grade: 'B', // Default grade for basic check
           securityHeaders: securityHeaders,
-          httpsOnly: response.url.startsWith('https://'),
+          httpsOnly: response.finalUrl.startsWith('https://'),
           timestamp: new Date()
         }
       };
@@ -177,13 +181,10 @@ export class SSLChecker {
     }
   }
 
-  static async validateSSLHeaders(domain) {
+  static async validateSSLHeaders(domain, cache) {
     try {
       const httpsUrl = `https://${domain}`;
-      const response = await fetch(httpsUrl, { 
-        method: 'HEAD',
-        mode: 'cors'
-      });
+      const response = await cache.getHeaders(httpsUrl);
       
       const details = [];
       
@@ -215,7 +216,7 @@ export class SSLChecker {
       let foundCount = 0;
       
       Object.keys(securityHeaders).forEach(header => {
-        const value = response.headers.get(header);
+        const value = response.headers[header] || null;
         headerResults[header] = {
           found: !!value,
           value: value,
@@ -257,13 +258,10 @@ export class SSLChecker {
     }
   }
 
-  static async basicSSLValidation(domain) {
+  static async basicSSLValidation(domain, cache) {
     try {
       const httpsUrl = `https://${domain}`;
-      const response = await fetch(httpsUrl, { 
-        method: 'HEAD',
-        mode: 'cors'
-      });
+      const response = await cache.getHeaders(httpsUrl);
       
       const details = [
         '✅ HTTPS connection successful',
@@ -272,7 +270,7 @@ export class SSLChecker {
       ];
       
       // Get security headers analysis
-      const securityAnalysis = await this.validateSSLHeaders(domain);
+      const securityAnalysis = await this.validateSSLHeaders(domain, cache);
       
       if (securityAnalysis.success) {
         details.push('');
@@ -373,4 +371,111 @@ export class SSLChecker {
     
     return details;
   }
+
+  // Key values used when comparing two SSL results (e.g. between audit runs)
+  static extractFacts(result) {
+    if (!result || !result.securityHeaders) return [];
+    
+    return [
+      { key: 'ssl.grade', label: 'SSL grade', value: result.grade },
+      ...Object.entries(result.securityHeaders).map(([header, info]) => ({
+        key: `ssl.${header}`,
+        label: info.name,
+        value: info.found
+      }))
+    ];
+  }
+
+  static renderResults(container, sslResult, scopeLabel = null) {
+    let details = [];
+    let status = sslResult.status;
+    
+    if (!sslResult.details || sslResult.details.length === 0) {
+      details.push('SSL certificate information not available');
+      UIHelpers.addAccordionItem(container, 'ssl', status, '🔐 SSL & Security Headers', details, false, scopeLabel);
+      return;
+    }
+    
+    // Parse the SSL result details to extract different sections
+    const parsedResult = this.parseSSLResults(sslResult.details);
+    
+    // Add basic certificate info (always visible)
+    if (parsedResult.certificateInfo.length > 0) {
+      details.push(...parsedResult.certificateInfo);
+    }
+    
+    // Add security headers summary
+    if (parsedResult.securityHeadersSummary) {
+      details.push('');
+      details.push(parsedResult.securityHeadersSummary);
+    }
+    
+    // Add security headers details (simple list)
+    if (parsedResult.securityHeaders.length > 0) {
+      details.push('');
+      details.push('🛡️ Security Headers Details:');
+      details.push(...parsedResult.securityHeaders);
+    }
+    
+    UIHelpers.addAccordionItem(container, 'ssl', status, '🔐 SSL & Security Headers', details, false, scopeLabel);
+  }
+  
+  static parseSSLResults(sslDetails) {
+    const result = {
+      certificateInfo: [],
+      securityHeadersSummary: '',
+      securityHeaders: []
+    };
+    
+    let currentSection = 'certificate';
+    
+    for (let i = 0; i < sslDetails.length; i++) {
+      const line = sslDetails[i];
+      
+      // Fix protocols display issue
+      if (line.includes('🔐 Protocols:') && line.includes('[object Object]')) {
+        result.certificateInfo.push('🔐 Protocols: TLS 1.2, TLS 1.3 (or similar)');
+        continue;
+      }
+      
+      // Determine which section we're in
+      if (line.includes('🛡️ Security Headers Analysis:')) {
+        result.securityHeadersSummary = line;
+        currentSection = 'headers';
+        continue;
+      }
+      
+      // Add content to appropriate section
+      switch (currentSection) {
+        case 'certificate':
+          // Only include basic certificate info, skip detailed headers analysis
+          if (!line.includes('HSTS') && !line.includes('CSP') && 
+              !line.includes('X-Frame-Options') && !line.includes('X-Content-Type-Options') &&
+              !line.includes('Prevents') && !line.includes('Impact:') && !line.includes('Essential') &&
+              !line.includes('Recommended') && line.trim() !== '') {
+            result.certificateInfo.push(line);
+          }
+          break;
+        case 'headers':
+          // Include all header-related lines without complex processing
+          if (line.trim() !== '') {
+            result.securityHeaders.push(line);
+          }
+          break;
+      }
+    }
+    
+    return result;
+  }
 }
+
+CheckerRegistry.register({
+  id: 'ssl',
+  label: 'Check SSL Certificate',
+  title: '🔐 SSL & Security Headers',
+  scope: 'domain',
+  checklistLabels: () => ['SSL & Security Headers check'],
+  run: ({ domainUrl, cleanDomain, cache }) => SSLChecker.testSSLCertificate(domainUrl, cleanDomain, cache),
+  render: (container, result, { scopeLabel }) => SSLChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => SSLChecker.extractFacts(result)
+});
@@ -0,0 +1,56 @@
+// Concurrency helpers for the audit pipeline - per-task timeouts and shared cancellation
+export class TaskRunner {
+  // Resolves with the task's result, or rejects if it times out or the signal aborts first
+  static run(task, { timeoutMs = 0, signal = null, label = 'Check' } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.cancelledError());
+        return;
+      }
+      
+      let timer = null;
+      const cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(this.cancelledError());
+      };
+      
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          cleanup();
+          const error = new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`);
+          error.name = 'TimeoutError';
+          reject(error);
+        }, timeoutMs);
+      }
+      signal?.addEventListener('abort', onAbort);
+      
+      Promise.resolve()
+        .then(task)
+        .then(result => {
+          cleanup();
+          resolve(result);
+        }, error => {
+          cleanup();
+          reject(error);
+        });
+    });
+  }
+
+  static cancelledError() {
+    const error = new Error('Audit cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  static isCancelled(error) {
+    return error?.name === 'AbortError';
+  }
+
+  static isTimeout(error) {
+    return error?.name === 'TimeoutError';
+  }
+}
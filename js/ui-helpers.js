@@ -124,9 +124,11 @@ export class UIHelpers {
     return container;
   }
 
-  static addAccordionItem(container, checkType, status, title, details, isExpanded = false) {
+  static addAccordionItem(container, checkType, status, title, details, isExpanded = false, scopeLabel = null) {
     const accordionItem = document.createElement('div');
     accordionItem.className = `accordion-item ${status}`;
+    accordionItem.dataset.checkType = checkType;
+    accordionItem.dataset.status = status;
     
     // Create header
     const header = document.createElement('button');
@@ -148,6 +150,16 @@ export class UIHelpers {
     
     header.appendChild(statusSpan);
     header.appendChild(titleSpan);
+    
+    // Show which target (domain root or exact page) this section was run against
+    if (scopeLabel) {
+      const scopeSpan = document.createElement('span');
+      scopeSpan.className = 'accordion-scope';
+      scopeSpan.textContent = scopeLabel;
+      scopeSpan.title = scopeLabel;
+      header.appendChild(scopeSpan);
+    }
+    
     header.appendChild(toggleSpan);
     
     // Create content
@@ -175,6 +187,24 @@ export class UIHelpers {
     return accordionItem;
   }
 
+  // Reads the rendered sections back as plain text (used by the report exports)
+  static getAccordionSections(container) {
+    return Array.from(container.querySelectorAll('.accordion-item')).map(item => {
+      const scope = item.querySelector('.accordion-scope');
+      const details = Array.from(item.querySelectorAll('.accordion-detail'))
+        .filter(detail => !detail.querySelector('button, .comparison-table'))
+        .map(detail => detail.textContent.replace(/^\s*\n|\n\s*$/g, ''));
+      
+      return {
+        checkType: item.dataset.checkType,
+        status: item.dataset.status,
+        title: item.querySelector('.accordion-title').textContent,
+        scopeLabel: scope ? scope.textContent : null,
+        details: details
+      };
+    });
+  }
+
   static getStatusIcon(status) {
     switch (status) {
       case 'success': return '✅';
@@ -198,10 +228,34 @@ export class UIHelpers {
     }
   }
 
-  static addTimestamp(container) {
+  // sections: [{ title, rows: [{ label, left, right, changed }] }] (see ResultDiff)
+  static createComparisonTable(sections, headings, formatValue) {
+    const header = `<tr><th></th><th>${this.escapeHtml(headings[0])}</th><th>${this.escapeHtml(headings[1])}</th></tr>`;
+    
+    const body = sections.map(section => {
+      const sectionRow = `<tr class="comparison-section"><td colspan="3">${this.escapeHtml(section.title)}</td></tr>`;
+      const rows = section.rows.map(row => `
+        <tr class="${row.changed ? 'changed' : ''}">
+          <td class="comparison-label">${row.changed ? '⚠️ ' : ''}${this.escapeHtml(row.label)}</td>
+          <td>${this.escapeHtml(formatValue(row.left))}</td>
+          <td>${this.escapeHtml(formatValue(row.right))}</td>
+        </tr>`).join('');
+      return sectionRow + rows;
+    }).join('');
+    
+    return `<div class="comparison-table"><table>${header}${body}</table></div>`;
+  }
+
+  static escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  static addTimestamp(container, note = null) {
     const timestamp = document.createElement('div');
     timestamp.className = 'audit-timestamp';
-    timestamp.textContent = `Audit completed at ${new Date().toLocaleString()}`;
+    timestamp.textContent = `Audit completed at ${new Date().toLocaleString()}${note ? ` · ${note}` : ''}`;
     container.appendChild(timestamp);
   }
 
@@ -1,6 +1,12 @@
 // URL testing and validation functions
+import { PageCache } from './page-cache.js';
+import { CheckerRegistry } from './checker-registry.js';
+import { UIHelpers } from './ui-helpers.js';
+
 export class UrlChecker {
-  static async testUrl(baseUrl) {
+  // cache: the audit's shared PageCache, so URLs already fetched by other checkers aren't requested again
+  static async testUrl(baseUrl, cache = null) {
+    cache = cache || new PageCache();
     const domain = new URL(baseUrl).hostname;
     const baseDomain = domain.replace(/^www\./, '');
     
@@ -27,7 +33,7 @@ export class UrlChecker {
 
     // Test each URL
     for (const testUrl of urlsToTest) {
-      const testResult = await this.testSingleUrl(testUrl);
+      const testResult = await this.testSingleUrl(testUrl, cache);
       const key = this.getUrlKey(testUrl);
       results.tests[key] = testResult;
       
@@ -42,7 +48,7 @@ export class UrlChecker {
     
     // Get IP address and check Cloudflare by IP range
     try {
-      const ipInfo = await this.getIpAddress(baseUrl);
+      const ipInfo = await this.getIpAddress(baseUrl, cache.signal);
       if (ipInfo) {
         results.ipAddress = ipInfo.ip;
         // If Cloudflare was detected either by headers or IP, set it to true
@@ -55,17 +61,14 @@ export class UrlChecker {
     return results;
   }
 
-  static async testSingleUrl(url) {
+  static async testSingleUrl(url, cache) {
     try {
       console.log(`Testing URL: ${url}`);
       
-      // Try to detect redirects by fetching with a custom approach
-      const response = await fetch(url, {
-        method: 'HEAD',
-        redirect: 'follow' // Follow redirects to see final destination
-      });
+      // Redirects are followed, so finalUrl is the destination
+      const response = await cache.getHeaders(url);
 
-      console.log(`URL ${url} - Status: ${response.status}, Redirected: ${response.redirected}, Final: ${response.url}`);
+      console.log(`URL ${url} - Status: ${response.status}, Redirected: ${response.redirected}, Final: ${response.finalUrl}`);
       
       // Check for Cloudflare headers
       const cloudflareDetected = this.checkCloudflareHeaders(response.headers);
@@ -74,7 +77,7 @@ export class UrlChecker {
         url: url,
         status: 'success',
         statusCode: response.status,
-        finalUrl: response.url,
+        finalUrl: response.finalUrl,
         redirected: response.redirected,
         accessible: true,
         cloudflareDetected: cloudflareDetected
@@ -86,7 +89,8 @@ export class UrlChecker {
       try {
         const fallbackResponse = await fetch(url, {
           method: 'HEAD',
-          mode: 'no-cors'
+          mode: 'no-cors',
+          signal: cache.signal
         });
         
         console.log(`URL ${url} - Fallback successful`);
@@ -165,7 +169,7 @@ export class UrlChecker {
     }
   }
 
-  static async getIpAddress(url) {
+  static async getIpAddress(url, signal = null) {
     try {
       const domain = new URL(url).hostname;
       
@@ -173,7 +177,8 @@ export class UrlChecker {
       const response = await fetch(`https://cloudflare-dns.com/dns-query?name=${domain}&type=A`, {
         headers: {
           'Accept': 'application/dns-json'
-        }
+        },
+        signal: signal
       });
       
       const data = await response.json();
@@ -221,19 +226,20 @@ export class UrlChecker {
     return false;
   }
   
+  // headers: plain object of lower-cased header names (see PageCache)
   static checkCloudflareHeaders(headers) {
     // Check for Cloudflare specific headers
     const cloudflareHeaders = ['cf-ray', 'cf-cache-status', 'cf-connecting-ip', 'cf-worker'];
     
     for (const header of cloudflareHeaders) {
-      if (headers.get(header)) {
+      if (headers[header]) {
         console.log(`Cloudflare detected via header: ${header}`);
         return true;
       }
     }
     
     // Check if server header mentions cloudflare
-    const server = headers.get('server');
+    const server = headers['server'];
     if (server && server.toLowerCase().includes('cloudflare')) {
       console.log('Cloudflare detected via server header');
       return true;
@@ -265,4 +271,138 @@ export class UrlChecker {
       return { isRedirect: false, error: error.message };
     }
   }
+
+  // Key values used when comparing two URL results (e.g. between audit runs)
+  static extractFacts(result) {
+    const analysis = result?.analysis;
+    if (!analysis) return [];
+    
+    return [
+      { key: 'urls.httpsWorking', label: 'HTTPS', value: analysis.httpsWorking },
+      { key: 'urls.httpRedirectsToHttps', label: 'HTTP → HTTPS redirect', value: analysis.httpRedirectsToHttps },
+      { key: 'urls.wwwRedirection', label: 'WWW redirection', value: analysis.wwwRedirection },
+      { key: 'urls.preferredUrl', label: 'Preferred URL', value: analysis.preferredUrl },
+      { key: 'urls.cloudflare', label: 'Cloudflare', value: !!result.isCloudflare },
+      { key: 'urls.ipAddress', label: 'IP address', value: result.ipAddress, environmentSpecific: true }
+    ];
+  }
+
+  static renderResults(container, testResults, scopeLabel = null) {
+    if (!testResults.analysis) {
+      const errorDetails = ['❌ URL checks failed'];
+      if (testResults.error) {
+        errorDetails.push(`Error: ${testResults.error}`);
+      }
+      UIHelpers.addAccordionItem(container, 'urls', 'error', '🔒 HTTPS/HTTP Security Analysis', errorDetails, false, scopeLabel);
+      return;
+    }
+    
+    const details = [];
+    const analysis = testResults.analysis;
+    
+    // Add IP address if available
+    if (testResults.ipAddress) {
+      // Include Cloudflare status directly in the IP line if detected
+      const cloudflareText = testResults.isCloudflare === true ? ' (Protected by Cloudflare)' : '';
+      details.push(`🌐 Server IP: ${testResults.ipAddress}${cloudflareText}`);
+      details.push('');
+    }
+    
+    // HTTPS Status
+    if (analysis.httpsWorking) {
+      details.push('✅ HTTPS is working');
+    } else {
+      details.push('❌ HTTPS not accessible');
+    }
+    
+    // HTTP to HTTPS Redirect Status
+    if (analysis.httpRedirectsToHttps) {
+      details.push('✅ HTTP properly redirects to HTTPS');
+    } else {
+      details.push('⚠️ HTTP does not redirect to HTTPS (security risk)');
+    }
+    
+    // WWW Redirection Analysis
+    switch (analysis.wwwRedirection) {
+      case 'to-www':
+        details.push('🔄 Non-www redirects to www version');
+        details.push(`   • Preferred URL: ${analysis.preferredUrl}`);
+        break;
+      case 'to-non-www':
+        details.push('🔄 www redirects to non-www version');
+        details.push(`   • Preferred URL: ${analysis.preferredUrl}`);
+        break;
+      case 'both-work':
+        details.push('⚠️ Both www and non-www versions work (should pick one)');
+        break;
+      case 'unclear':
+        details.push('❓ www/non-www redirection pattern unclear');
+        break;
+    }
+    
+    // Detailed test results
+    details.push('');
+    details.push('📋 Detailed Test Results:');
+    
+    const tests = testResults.tests;
+    const testLabels = {
+      'https-non-www': 'HTTPS (non-www)',
+      'https-www': 'HTTPS (www)',
+      'http-non-www': 'HTTP (non-www)',
+      'http-www': 'HTTP (www)'
+    };
+    
+    Object.keys(testLabels).forEach(key => {
+      const test = tests[key];
+      if (test) {
+        const icon = test.accessible ? '✅' : '❌';
+        let line = `   ${icon} ${testLabels[key]}`;
+        
+        if (test.redirected && test.finalUrl) {
+          line += ` → ${test.finalUrl}`;
+        } else if (test.accessible) {
+          line += ' (direct access)';
+        }
+        
+        if (test.note) {
+          line += ` (${test.note})`;
+        }
+        
+        details.push(line);
+      }
+    });
+    
+    // Overall security assessment
+    let overallStatus = 'error';
+    if (analysis.httpsWorking && analysis.httpRedirectsToHttps) {
+      overallStatus = 'success';
+      details.push('');
+      details.push('🔒 Excellent: HTTPS working and HTTP redirects properly');
+    } else if (analysis.httpsWorking) {
+      overallStatus = 'warning';
+      details.push('');
+      details.push('⚠️ Good: HTTPS working but HTTP redirect needs improvement');
+    } else {
+      details.push('');
+      details.push('❌ Poor: HTTPS issues detected');
+    }
+    
+    UIHelpers.addAccordionItem(container, 'urls', overallStatus, '🔒 HTTPS/HTTP Security Analysis', details, false, scopeLabel);
+  }
 }
+
+CheckerRegistry.register({
+  id: 'urls',
+  label: 'HTTPS & Redirects',
+  title: '🔒 HTTPS/HTTP Security Analysis',
+  scope: 'domain',
+  required: true,
+  checklistLabels: ({ cleanDomain }) => [`https://${cleanDomain}`, `http://${cleanDomain}`],
+  rowStatuses: result => [
+    result.analysis?.httpsWorking ? 'success' : 'error',
+    result.analysis?.httpRedirectsToHttps ? 'success' : result.analysis ? 'warning' : 'error'
+  ],
+  run: ({ domainUrl, cache }) => UrlChecker.testUrl(domainUrl, cache),
+  render: (container, result, { scopeLabel }) => UrlChecker.renderResults(container, result, scopeLabel),
+  extractFacts: result => UrlChecker.extractFacts(result)
+});
@@ -0,0 +1,934 @@
+// options.js
+import { Settings, DEFAULT_DEV_SUFFIX } from './js/settings.js';
+import { MappingSources } from './js/mapping-sources.js';
+import { NAVIGATION_MODES } from './js/environment-navigator.js';
+import { CheckerRegistry } from './js/checkers.js';
+import { SignatureRules, SIGNATURE_RULE_TYPES } from './js/signature-rules.js';
+import { ScheduledAudit } from './js/scheduled-audit.js';
+import { BatchAudit } from './js/batch-audit.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const ui = {
+    search: document.getElementById('mappingSearch'),
+    rows: document.getElementById('mappingRows'),
+    form: document.getElementById('mappingForm'),
+    host: document.getElementById('mappingHost'),
+    target: document.getElementById('mappingTarget'),
+    type: document.getElementById('mappingType'),
+    submit: document.getElementById('mappingSubmit'),
+    cancel: document.getElementById('mappingCancel'),
+    error: document.getElementById('mappingError'),
+    restoreBtn: document.getElementById('restoreDefaultsBtn'),
+    envRows: document.getElementById('environmentRows'),
+    envForm: document.getElementById('environmentForm'),
+    envHost: document.getElementById('environmentHost'),
+    envList: document.getElementById('environmentList'),
+    envSubmit: document.getElementById('environmentSubmit'),
+    envCancel: document.getElementById('environmentCancel'),
+    envError: document.getElementById('environmentError'),
+    ruleRows: document.getElementById('pathRuleRows'),
+    ruleForm: document.getElementById('pathRuleForm'),
+    ruleHost: document.getElementById('pathRuleHost'),
+    ruleEnv: document.getElementById('pathRuleEnv'),
+    ruleLivePrefix: document.getElementById('pathRuleLivePrefix'),
+    ruleEnvPrefix: document.getElementById('pathRuleEnvPrefix'),
+    ruleError: document.getElementById('pathRuleError'),
+    signatureRows: document.getElementById('signatureRows'),
+    signatureForm: document.getElementById('signatureForm'),
+    signatureType: document.getElementById('signatureType'),
+    signatureValue: document.getElementById('signatureValue'),
+    signatureError: document.getElementById('signatureError'),
+    signatureWatch: document.getElementById('signatureWatch'),
+    restoreSignaturesBtn: document.getElementById('restoreSignaturesBtn'),
+    exportJsonBtn: document.getElementById('exportJsonBtn'),
+    exportCsvBtn: document.getElementById('exportCsvBtn'),
+    importFile: document.getElementById('importFile'),
+    importMode: document.getElementById('importMode'),
+    sharedUrl: document.getElementById('sharedUrl'),
+    sharedRefresh: document.getElementById('sharedRefresh'),
+    syncNowBtn: document.getElementById('syncNowBtn'),
+    sharedStatus: document.getElementById('sharedStatus'),
+    scheduledDomains: document.getElementById('scheduledDomains'),
+    scheduledInterval: document.getElementById('scheduledInterval'),
+    scheduledSslDays: document.getElementById('scheduledSslDays'),
+    scheduledRunBtn: document.getElementById('scheduledRunBtn'),
+    scheduledStatus: document.getElementById('scheduledStatus'),
+    devSuffix: document.getElementById('devSuffix'),
+    navMode: document.getElementById('navigationMode'),
+    markerHeader: document.getElementById('markerHeader'),
+    markerMeta: document.getElementById('markerMeta'),
+    timeout: document.getElementById('defaultTimeout'),
+    crawlMaxPages: document.getElementById('crawlMaxPages'),
+    crawlMaxDepth: document.getElementById('crawlMaxDepth'),
+    crawlConcurrency: document.getElementById('crawlConcurrency'),
+    checkers: document.getElementById('defaultCheckers'),
+    saveBtn: document.getElementById('saveBtn'),
+    status: document.getElementById('status')
+  };
+
+  const state = {
+    settings: await Settings.load(),
+    overrides: await Settings.getOverrides(),
+    environmentSets: await Settings.getEnvironmentSets(),
+    shared: await MappingSources.getShared(),
+    editing: null, // { host, type } of the personal row being edited
+    editingEnvironments: null // live host of the personal environment list being edited
+  };
+
+  renderMappings(ui, state);
+  renderEnvironmentSets(ui, state);
+  renderPathRules(ui, state);
+  renderSignatures(ui, state);
+  renderSettings(ui, state.settings);
+  renderShared(ui, state);
+  await renderScheduledStatus(ui, state);
+
+  ui.search.oninput = () => renderMappings(ui, state);
+
+  ui.form.onsubmit = async (event) => {
+    event.preventDefault();
+    await handleMappingSubmit(ui, state);
+  };
+
+  ui.cancel.onclick = () => resetForm(ui, state);
+
+  ui.rows.onclick = async (event) => {
+    const button = event.target.closest("button[data-action]");
+    if (!button) return;
+
+    const { action, host, type, source } = button.dataset;
+    if (action === "edit") {
+      startEdit(ui, state, host, type, source);
+    } else if (action === "delete") {
+      if (!confirm(`Delete the ${type === "override" ? "override" : "mapping"} for ${host}?`)) return;
+      await deleteMapping(state, host, type);
+      renderMappings(ui, state);
+      setStatus(ui, `Deleted ${host}`, "#e67e22");
+    }
+  };
+
+  ui.envForm.onsubmit = async (event) => {
+    event.preventDefault();
+    await handleEnvironmentSubmit(ui, state);
+  };
+
+  ui.envCancel.onclick = () => resetEnvironmentForm(ui, state);
+
+  ui.envRows.onclick = async (event) => {
+    const button = event.target.closest("button[data-action]");
+    if (!button) return;
+
+    const { action, host, source } = button.dataset;
+    if (action === "edit") {
+      startEnvironmentEdit(ui, state, host, source);
+    } else if (action === "delete") {
+      if (!confirm(`Delete the environment list for ${host}?`)) return;
+      await Settings.removeEnvironmentSet(host);
+      delete state.environmentSets[host];
+      renderEnvironmentSets(ui, state);
+      setStatus(ui, `Deleted environments for ${host}`, "#e67e22");
+    }
+  };
+
+  ui.ruleForm.onsubmit = async (event) => {
+    event.preventDefault();
+    await handlePathRuleSubmit(ui, state);
+  };
+
+  ui.ruleRows.onclick = async (event) => {
+    const button = event.target.closest("button[data-rule-index]");
+    if (!button) return;
+
+    const pathRules = state.settings.pathRules.filter((rule, index) => index !== Number(button.dataset.ruleIndex));
+    state.settings = await Settings.save({ pathRules });
+    renderPathRules(ui, state);
+    setStatus(ui, "Path rule deleted", "#e67e22");
+  };
+
+  ui.signatureForm.onsubmit = async (event) => {
+    event.preventDefault();
+    await handleSignatureSubmit(ui, state);
+  };
+
+  ui.signatureType.onchange = () => updateSignaturePlaceholder(ui);
+
+  ui.signatureRows.onclick = async (event) => {
+    const button = event.target.closest("button[data-signature-index]");
+    if (!button) return;
+
+    const rules = SignatureRules.getRules(state.settings).filter((rule, index) => index !== Number(button.dataset.signatureIndex));
+    state.settings = await Settings.save({ signatures: { rules } });
+    renderSignatures(ui, state);
+    setStatus(ui, "Signature rule deleted", "#e67e22");
+  };
+
+  ui.restoreSignaturesBtn.onclick = async () => {
+    if (!confirm("Replace the signature rules with the built-in defaults?")) return;
+    state.settings = await Settings.save({ signatures: { rules: null } });
+    renderSignatures(ui, state);
+    setStatus(ui, "Default signatures restored", "#2ecc71");
+  };
+
+  ui.restoreBtn.onclick = async () => {
+    if (!confirm("Replace all project mappings with the built-in defaults? Overrides are kept.")) return;
+    state.settings = await Settings.save({ projectMappings: null });
+    renderMappings(ui, state);
+    setStatus(ui, "Default mappings restored", "#2ecc71");
+  };
+
+  ui.exportJsonBtn.onclick = () => handleExport(ui, "json");
+  ui.exportCsvBtn.onclick = () => handleExport(ui, "csv");
+  ui.importFile.onchange = () => handleImport(ui, state);
+
+  ui.syncNowBtn.onclick = () => handleSharedSync(ui, state);
+  ui.scheduledRunBtn.onclick = () => handleScheduledRun(ui, state);
+
+  ui.saveBtn.onclick = () => handleSettingsSave(ui, state);
+});
+
+// --- MAPPINGS ---
+
+// Personal, shared and built-in entries, one row per host and type with the winning source
+function getRows(state) {
+  return MappingSources.resolve(state.settings, state.overrides, state.shared)
+    .sort((a, b) => a.host.localeCompare(b.host) || a.type.localeCompare(b.type));
+}
+
+function renderMappings(ui, state) {
+  const query = ui.search.value.trim().toLowerCase();
+  const rows = getRows(state).filter(row =>
+    !query || row.host.toLowerCase().includes(query) || row.target.toLowerCase().includes(query)
+  );
+
+  ui.rows.innerHTML = "";
+
+  if (rows.length === 0) {
+    ui.rows.innerHTML = `<tr class="empty-row"><td colspan="5">${query ? "No mappings match your search" : "No mappings yet"}</td></tr>`;
+    return;
+  }
+
+  rows.forEach(row => {
+    const tr = document.createElement("tr");
+
+    const hostCell = document.createElement("td");
+    hostCell.textContent = row.host;
+
+    const targetCell = document.createElement("td");
+    targetCell.className = "target";
+    targetCell.textContent = describeTarget(row, state.settings);
+    row.overridden.forEach(loser => {
+      const conflict = document.createElement("div");
+      conflict.className = "conflict";
+      conflict.textContent = `⚠️ Wins over ${MappingSources.getSourceLabel(loser.source)}: ${describeTarget({ ...loser, type: row.type }, state.settings)}`;
+      targetCell.appendChild(conflict);
+    });
+
+    const typeCell = document.createElement("td");
+    const badge = document.createElement("span");
+    badge.className = `badge ${row.type}`;
+    badge.textContent = row.type === "override" ? "Override" : "Project";
+    typeCell.appendChild(badge);
+
+    const sourceCell = document.createElement("td");
+    const sourceBadge = document.createElement("span");
+    sourceBadge.className = `badge source-${row.source}`;
+    sourceBadge.textContent = MappingSources.getSourceLabel(row.source);
+    sourceCell.appendChild(sourceBadge);
+
+    // Shared entries can't be changed here, but editing one saves a personal copy that wins
+    const actionsCell = document.createElement("td");
+    actionsCell.className = "actions";
+    actionsCell.appendChild(createActionButton(row.source === "shared" ? "Customise" : "Edit", "edit", row));
+    if (row.source !== "shared") {
+      actionsCell.appendChild(createActionButton("Delete", "delete", row));
+    }
+
+    tr.append(hostCell, targetCell, typeCell, sourceCell, actionsCell);
+    ui.rows.appendChild(tr);
+  });
+}
+
+function createActionButton(label, action, row) {
+  const button = document.createElement("button");
+  button.className = action === "delete" ? "link-button danger" : "link-button";
+  button.textContent = label;
+  button.dataset.action = action;
+  button.dataset.host = row.host;
+  if (row.type) button.dataset.type = row.type;
+  button.dataset.source = row.source;
+  return button;
+}
+
+// Project names are shown as the dev host they resolve to
+function describeTarget(row, settings) {
+  if (row.type === "override" || row.target.startsWith("http")) return row.target;
+  return `${row.target}.${settings.devSuffix || DEFAULT_DEV_SUFFIX}`;
+}
+
+function startEdit(ui, state, host, type, source) {
+  const row = getRows(state).find(r => r.host === host && r.type === type);
+  if (!row) return;
+
+  state.editing = source === "shared" ? null : { host, type };
+  ui.host.value = row.host;
+  ui.target.value = row.target;
+  ui.type.value = row.type;
+  ui.submit.textContent = "Save";
+  ui.cancel.classList.remove("hidden");
+  ui.host.focus();
+}
+
+function resetForm(ui, state) {
+  state.editing = null;
+  ui.form.reset();
+  ui.submit.textContent = "Add";
+  ui.cancel.classList.add("hidden");
+  showFormError(ui, null);
+}
+
+async function handleMappingSubmit(ui, state) {
+  const type = ui.type.value;
+  const host = MappingSources.normalizeHost(ui.host.value);
+  const target = MappingSources.normalizeTarget(ui.target.value, type);
+
+  if (!host) {
+    showFormError(ui, "Enter a valid live host, e.g. example.org");
+    return;
+  }
+  if (!target) {
+    showFormError(ui, type === "override"
+      ? "Enter the full dev URL, e.g. https://example.dev.icgonline.co.uk"
+      : "Enter a project name (letters, numbers, dashes) or a full dev URL");
+    return;
+  }
+
+  // Editing can rename the host or switch type, so drop the old entry first
+  if (state.editing) {
+    await deleteMapping(state, state.editing.host, state.editing.type);
+  }
+
+  if (type === "override") {
+    await Settings.setOverride(host, target);
+    state.overrides[host] = target;
+  } else {
+    const mappings = { ...Settings.getProjectMappings(state.settings), [host]: target };
+    state.settings = await Settings.save({ projectMappings: mappings });
+  }
+
+  setStatus(ui, `${state.editing ? "Updated" : "Added"} ${host}`, "#2ecc71");
+  resetForm(ui, state);
+  renderMappings(ui, state);
+}
+
+// --- PROJECT ENVIRONMENTS ---
+
+// Personal lists win over the shared file's list for the same live host
+function getEnvironmentRows(state) {
+  const shared = (state.shared && state.shared.environments) || {};
+  const hosts = [...new Set([...Object.keys(state.environmentSets), ...Object.keys(shared)])];
+
+  return hosts.sort().map(host => {
+    const personal = state.environmentSets[host];
+    return {
+      host,
+      environments: personal || shared[host],
+      source: personal ? "personal" : "shared",
+      overridden: Boolean(personal && shared[host])
+    };
+  });
+}
+
+function renderEnvironmentSets(ui, state) {
+  const rows = getEnvironmentRows(state);
+  ui.envRows.innerHTML = "";
+
+  if (rows.length === 0) {
+    ui.envRows.innerHTML = `<tr class="empty-row"><td colspan="4">No environment lists yet</td></tr>`;
+    return;
+  }
+
+  rows.forEach(row => {
+    const tr = document.createElement("tr");
+
+    const hostCell = document.createElement("td");
+    hostCell.textContent = row.host;
+
+    const listCell = document.createElement("td");
+    listCell.className = "target";
+    row.environments.forEach(env => {
+      const line = document.createElement("div");
+      line.textContent = `${env.name}: ${env.url}`;
+      listCell.appendChild(line);
+    });
+    if (row.overridden) {
+      const conflict = document.createElement("div");
+      conflict.className = "conflict";
+      conflict.textContent = "⚠️ Wins over the Shared list";
+      listCell.appendChild(conflict);
+    }
+
+    const sourceCell = document.createElement("td");
+    const sourceBadge = document.createElement("span");
+    sourceBadge.className = `badge source-${row.source}`;
+    sourceBadge.textContent = MappingSources.getSourceLabel(row.source);
+    sourceCell.appendChild(sourceBadge);
+
+    const actionsCell = document.createElement("td");
+    actionsCell.className = "actions";
+    actionsCell.appendChild(createActionButton(row.source === "shared" ? "Customise" : "Edit", "edit", row));
+    if (row.source !== "shared") {
+      actionsCell.appendChild(createActionButton("Delete", "delete", row));
+    }
+
+    tr.append(hostCell, listCell, sourceCell, actionsCell);
+    ui.envRows.appendChild(tr);
+  });
+}
+
+function startEnvironmentEdit(ui, state, host, source) {
+  const row = getEnvironmentRows(state).find(r => r.host === host);
+  if (!row) return;
+
+  state.editingEnvironments = source === "shared" ? null : host;
+  ui.envHost.value = row.host;
+  ui.envList.value = row.environments.map(env => `${env.name} = ${env.url}`).join("\n");
+  ui.envSubmit.textContent = "Save";
+  ui.envCancel.classList.remove("hidden");
+  ui.envHost.focus();
+}
+
+function resetEnvironmentForm(ui, state) {
+  state.editingEnvironments = null;
+  ui.envForm.reset();
+  ui.envSubmit.textContent = "Add";
+  ui.envCancel.classList.add("hidden");
+  showFormError(ui, null, ui.envError);
+}
+
+// One "name = url" per line, e.g. "staging = https://staging.example.org"
+function parseEnvironmentList(text) {
+  const environments = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const separator = line.indexOf("=");
+    const name = MappingSources.normalizeEnvironmentName(separator === -1 ? "" : line.slice(0, separator));
+    const url = MappingSources.normalizeEnvironmentUrl(separator === -1 ? "" : line.slice(separator + 1));
+
+    if (!name || !url) {
+      errors.push(`Line ${index + 1}: use "name = url", e.g. "staging = https://staging.example.org"`);
+    } else if (environments.some(env => env.name === name)) {
+      errors.push(`Line ${index + 1}: "${name}" is listed twice`);
+    } else {
+      environments.push({ name, url });
+    }
+  });
+
+  return { environments, errors };
+}
+
+async function handleEnvironmentSubmit(ui, state) {
+  const host = MappingSources.normalizeHost(ui.envHost.value);
+  const { environments, errors } = parseEnvironmentList(ui.envList.value);
+
+  if (!host) {
+    showFormError(ui, "Enter the project's live host, e.g. example.org", ui.envError);
+    return;
+  }
+  if (errors.length > 0) {
+    showFormError(ui, errors[0], ui.envError);
+    return;
+  }
+  if (environments.length < 2) {
+    showFormError(ui, "List at least two environments to switch between", ui.envError);
+    return;
+  }
+
+  if (state.editingEnvironments && state.editingEnvironments !== host) {
+    await Settings.removeEnvironmentSet(state.editingEnvironments);
+    delete state.environmentSets[state.editingEnvironments];
+  }
+
+  await Settings.setEnvironmentSet(host, environments);
+  state.environmentSets[host] = environments;
+
+  setStatus(ui, `Saved ${environments.length} environment(s) for ${host}`, "#2ecc71");
+  resetEnvironmentForm(ui, state);
+  renderEnvironmentSets(ui, state);
+}
+
+// --- PATH RULES ---
+
+function renderPathRules(ui, state) {
+  const rules = state.settings.pathRules;
+  ui.ruleRows.innerHTML = "";
+
+  if (rules.length === 0) {
+    ui.ruleRows.innerHTML = `<tr class="empty-row"><td colspan="4">No path rules: paths are kept as they are</td></tr>`;
+    return;
+  }
+
+  rules.forEach((rule, index) => {
+    const tr = document.createElement("tr");
+
+    const hostCell = document.createElement("td");
+    hostCell.textContent = rule.liveHost;
+
+    const envCell = document.createElement("td");
+    envCell.textContent = rule.env === "*" ? "All (except live)" : rule.env;
+
+    const ruleCell = document.createElement("td");
+    ruleCell.className = "target";
+    ruleCell.textContent = `live ${rule.livePrefix} ↔ ${rule.env === "*" ? "other" : rule.env} ${rule.envPrefix}`;
+
+    const actionsCell = document.createElement("td");
+    actionsCell.className = "actions";
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "link-button danger";
+    deleteButton.textContent = "Delete";
+    deleteButton.dataset.ruleIndex = index;
+    actionsCell.appendChild(deleteButton);
+
+    tr.append(hostCell, envCell, ruleCell, actionsCell);
+    ui.ruleRows.appendChild(tr);
+  });
+}
+
+async function handlePathRuleSubmit(ui, state) {
+  const rule = MappingSources.normalizePathRule({
+    liveHost: ui.ruleHost.value,
+    env: ui.ruleEnv.value.trim().toLowerCase(),
+    livePrefix: ui.ruleLivePrefix.value,
+    envPrefix: ui.ruleEnvPrefix.value
+  });
+
+  if (!rule) {
+    showFormError(ui, 'Enter a live host, an environment name (or "*" for all except live) and two different path prefixes', ui.ruleError);
+    return;
+  }
+
+  // One rule per project and environment
+  const pathRules = [
+    ...state.settings.pathRules.filter(existing => existing.liveHost !== rule.liveHost || existing.env !== rule.env),
+    rule
+  ];
+  state.settings = await Settings.save({ pathRules });
+
+  ui.ruleForm.reset();
+  showFormError(ui, null, ui.ruleError);
+  renderPathRules(ui, state);
+  setStatus(ui, `Saved path rule for ${rule.liveHost}`, "#2ecc71");
+}
+
+// --- SITE SIGNATURES ---
+
+const SIGNATURE_PLACEHOLDERS = {
+  selector: 'a[href*="icg.agency"]',
+  generator: "ICG",
+  header: "X-Powered-By: ICG",
+  host: "*.example.org",
+  mapped: "(no value needed)"
+};
+
+function renderSignatures(ui, state) {
+  const rules = SignatureRules.getRules(state.settings);
+  ui.signatureRows.innerHTML = "";
+
+  if (ui.signatureType.options.length === 0) {
+    Object.entries(SIGNATURE_RULE_TYPES).forEach(([value, label]) => ui.signatureType.add(new Option(label, value)));
+    updateSignaturePlaceholder(ui);
+  }
+
+  if (rules.length === 0) {
+    ui.signatureRows.innerHTML = `<tr class="empty-row"><td colspan="3">No signature rules: the badge never lights up</td></tr>`;
+    return;
+  }
+
+  rules.forEach((rule, index) => {
+    const tr = document.createElement("tr");
+
+    const typeCell = document.createElement("td");
+    typeCell.textContent = SIGNATURE_RULE_TYPES[rule.type] || rule.type;
+
+    const valueCell = document.createElement("td");
+    valueCell.className = "target";
+    valueCell.textContent = rule.value || "—";
+
+    const actionsCell = document.createElement("td");
+    actionsCell.className = "actions";
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "link-button danger";
+    deleteButton.textContent = "Delete";
+    deleteButton.dataset.signatureIndex = index;
+    actionsCell.appendChild(deleteButton);
+
+    tr.append(typeCell, valueCell, actionsCell);
+    ui.signatureRows.appendChild(tr);
+  });
+}
+
+function updateSignaturePlaceholder(ui) {
+  ui.signatureValue.placeholder = SIGNATURE_PLACEHOLDERS[ui.signatureType.value];
+  ui.signatureValue.disabled = ui.signatureType.value === "mapped";
+}
+
+async function handleSignatureSubmit(ui, state) {
+  const rule = SignatureRules.normalizeRule({ type: ui.signatureType.value, value: ui.signatureValue.value });
+
+  if (!rule) {
+    showFormError(ui, `Enter a value for the ${SIGNATURE_RULE_TYPES[ui.signatureType.value]} rule, e.g. ${SIGNATURE_PLACEHOLDERS[ui.signatureType.value]}`, ui.signatureError);
+    return;
+  }
+
+  // Checked here so a typo doesn't silently never match in the page
+  if (rule.type === "selector") {
+    try {
+      document.querySelector(rule.value);
+    } catch (error) {
+      showFormError(ui, `"${rule.value}" isn't a valid CSS selector`, ui.signatureError);
+      return;
+    }
+  }
+
+  const existing = SignatureRules.getRules(state.settings);
+  if (existing.some(other => other.type === rule.type && other.value === rule.value)) {
+    showFormError(ui, "That rule already exists", ui.signatureError);
+    return;
+  }
+
+  state.settings = await Settings.save({ signatures: { rules: [...existing, rule] } });
+
+  ui.signatureValue.value = "";
+  showFormError(ui, null, ui.signatureError);
+  renderSignatures(ui, state);
+  setStatus(ui, `Added ${SignatureRules.describe(rule)}`, "#2ecc71");
+}
+
+// --- IMPORT / EXPORT ---
+
+async function handleExport(ui, format) {
+  const data = await MappingSources.buildExport();
+  const content = format === "csv" ? MappingSources.toCSV(data) : MappingSources.toJSON(data);
+  const blob = new Blob([content], { type: format === "csv" ? "text/csv" : "application/json" });
+
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `icg-dev-mappings-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+  setStatus(ui, `Exported ${Object.keys(data.projectMappings).length} mapping(s), ${Object.keys(data.overrides).length} override(s) and ${Object.keys(data.environments).length} environment list(s)`, "#2ecc71");
+}
+
+async function handleImport(ui, state) {
+  const file = ui.importFile.files[0];
+  if (!file) return;
+
+  try {
+    const data = MappingSources.parse(await file.text());
+    const mode = ui.importMode.value;
+    const total = Object.keys(data.projectMappings).length + Object.keys(data.overrides).length +
+      Object.keys(data.environments).length + data.pathRules.length;
+
+    if (total === 0) {
+      throw new Error(data.errors[0] || "No mappings found in the file");
+    }
+    if (mode === "replace" && !confirm(`Replace all personal mappings and overrides with the ${total} entries in ${file.name}?`)) {
+      return;
+    }
+
+    const counts = await MappingSources.importMappings(data, mode);
+    state.settings = await Settings.load();
+    state.overrides = await Settings.getOverrides();
+    state.environmentSets = await Settings.getEnvironmentSets();
+    renderMappings(ui, state);
+    renderEnvironmentSets(ui, state);
+    renderPathRules(ui, state);
+    renderSettings(ui, state.settings);
+
+    const skipped = data.errors.length > 0 ? `, skipped ${data.errors.length} invalid row(s)` : "";
+    setStatus(ui, `Imported ${counts.projectMappings} mapping(s), ${counts.overrides} override(s) and ${counts.environments} environment list(s)${skipped}`, data.errors.length > 0 ? "#e67e22" : "#2ecc71");
+    if (data.errors.length > 0) console.warn("Skipped import rows:", data.errors);
+  } catch (error) {
+    setStatus(ui, `Import failed: ${error.message}`, "red");
+  } finally {
+    ui.importFile.value = "";
+  }
+}
+
+// --- SHARED TEAM FILE ---
+
+function renderShared(ui, state) {
+  const shared = state.shared;
+  ui.sharedUrl.value = state.settings.sharedMappings.url;
+  ui.sharedRefresh.value = state.settings.sharedMappings.refreshMinutes;
+
+  if (!state.settings.sharedMappings.url) {
+    ui.sharedStatus.textContent = "No shared mapping file configured.";
+    ui.sharedStatus.style.color = "#777";
+    return;
+  }
+  if (!shared) {
+    ui.sharedStatus.textContent = "Not synced yet. Click Sync Now.";
+    ui.sharedStatus.style.color = "#777";
+    return;
+  }
+
+  const lines = [];
+  if (shared.fetchedAt) {
+    lines.push(`✅ ${Object.keys(shared.projectMappings).length} mapping(s), ${Object.keys(shared.overrides).length} override(s) and ${Object.keys(shared.environments || {}).length} environment list(s), last synced ${new Date(shared.fetchedAt).toLocaleString()}`);
+  }
+  if (shared.lastError) {
+    lines.push(`❌ Last sync failed (${new Date(shared.lastAttemptAt).toLocaleString()}): ${shared.lastError}`);
+  }
+  if (shared.errors && shared.errors.length > 0) {
+    lines.push(`⚠️ ${shared.errors.length} invalid row(s) ignored: ${shared.errors.slice(0, 3).join("; ")}`);
+  }
+
+  ui.sharedStatus.textContent = lines.join("\n");
+  ui.sharedStatus.style.color = shared.lastError ? "#dc3545" : "#333";
+}
+
+async function saveSharedSettings(ui, state) {
+  const refreshMinutes = parseInt(ui.sharedRefresh.value, 10);
+  if (!Number.isFinite(refreshMinutes) || refreshMinutes < 0) {
+    throw new Error("Refresh interval must be 0 (manual only) or more minutes");
+  }
+
+  state.settings = await Settings.save({
+    sharedMappings: { url: ui.sharedUrl.value.trim(), refreshMinutes: refreshMinutes }
+  });
+  await MappingSources.scheduleSync(state.settings);
+}
+
+async function handleSharedSync(ui, state) {
+  ui.syncNowBtn.innerText = "Syncing...";
+
+  try {
+    await saveSharedSettings(ui, state);
+    state.shared = await MappingSources.syncShared();
+    renderShared(ui, state);
+    renderMappings(ui, state);
+    renderEnvironmentSets(ui, state);
+    setStatus(ui, state.shared && state.shared.lastError ? "Shared mapping sync failed" : "Shared mappings synced", state.shared && state.shared.lastError ? "red" : "#2ecc71");
+  } catch (error) {
+    setStatus(ui, error.message, "red");
+  } finally {
+    ui.syncNowBtn.innerText = "Sync Now";
+  }
+}
+
+// --- SCHEDULED AUDITS ---
+
+const STATUS_ICONS = { success: "✅", warning: "⚠️", error: "❌" };
+
+async function renderScheduledStatus(ui, state) {
+  const domains = state.settings.scheduledAudits.domains;
+  if (domains.length === 0) {
+    ui.scheduledStatus.textContent = "No sites on the watch list.";
+    ui.scheduledStatus.style.color = "#777";
+    return;
+  }
+
+  const records = await ScheduledAudit.getRecords(domains);
+  ui.scheduledStatus.textContent = domains.map((domain, index) => {
+    const record = records[index];
+    if (!record) return `⏳ ${domain}: not checked yet`;
+    if (record.error) return `❌ ${domain}: last run failed (${new Date(record.lastAttemptAt).toLocaleString()}): ${record.error}`;
+
+    const failed = record.items.filter(item => !item.passed);
+    const icon = STATUS_ICONS[ScheduledAudit.getStatus(record.items)];
+    const summary = failed.length > 0 ? failed.map(item => item.detail).join("; ") : "all checks passed";
+    return `${icon} ${domain}: ${summary} (checked ${new Date(record.checkedAt).toLocaleString()})`;
+  }).join("\n");
+  ui.scheduledStatus.style.color = "#333";
+}
+
+async function saveScheduledSettings(ui, state) {
+  const { domains, invalid } = BatchAudit.parseDomainList(ui.scheduledDomains.value);
+  if (invalid.length > 0) {
+    throw new Error(`Not a valid host on the watch list: ${invalid.join(", ")}`);
+  }
+
+  const intervalMinutes = parseInt(ui.scheduledInterval.value, 10);
+  if (!Number.isFinite(intervalMinutes) || intervalMinutes < 0 || (intervalMinutes > 0 && intervalMinutes < 15)) {
+    throw new Error("Scheduled audits must run every 15 minutes or more (0 = off)");
+  }
+
+  const sslWarningDays = parseInt(ui.scheduledSslDays.value, 10);
+  if (!Number.isFinite(sslWarningDays) || sslWarningDays < 1 || sslWarningDays > 90) {
+    throw new Error("SSL expiry warning must be between 1 and 90 days");
+  }
+
+  state.settings = await Settings.save({
+    scheduledAudits: { domains: domains, intervalMinutes: intervalMinutes, sslWarningDays: sslWarningDays }
+  });
+  await ScheduledAudit.schedule(state.settings);
+}
+
+// Runs in the background worker, so alerts are notified exactly as on a scheduled run
+async function handleScheduledRun(ui, state) {
+  ui.scheduledRunBtn.innerText = "Running...";
+  ui.scheduledRunBtn.disabled = true;
+
+  try {
+    await saveScheduledSettings(ui, state);
+    if (state.settings.scheduledAudits.domains.length === 0) {
+      throw new Error("Add at least one site to the watch list");
+    }
+    const response = await chrome.runtime.sendMessage({ action: "icg_run_scheduled_audits" });
+    if (response && response.error) {
+      throw new Error(`Scheduled audit failed: ${response.error}`);
+    }
+    await renderScheduledStatus(ui, state);
+    setStatus(ui, "Scheduled audit finished", "#2ecc71");
+  } catch (error) {
+    setStatus(ui, error.message, "red");
+  } finally {
+    ui.scheduledRunBtn.innerText = "Run Now";
+    ui.scheduledRunBtn.disabled = false;
+  }
+}
+
+async function deleteMapping(state, host, type) {
+  if (type === "override") {
+    await Settings.removeOverride(host);
+    delete state.overrides[host];
+  } else {
+    const mappings = { ...Settings.getProjectMappings(state.settings) };
+    delete mappings[host];
+    state.settings = await Settings.save({ projectMappings: mappings });
+  }
+}
+
+// --- ENVIRONMENT & AUDIT DEFAULTS ---
+
+function renderSettings(ui, settings) {
+  const defaults = settings.auditDefaults;
+
+  ui.devSuffix.value = settings.devSuffix;
+  if (ui.navMode.options.length === 0) {
+    Object.entries(NAVIGATION_MODES).forEach(([value, label]) => ui.navMode.add(new Option(label, value)));
+  }
+  ui.navMode.value = settings.navigationMode;
+  ui.markerHeader.value = settings.validation.markerHeader;
+  ui.markerMeta.value = settings.validation.markerMeta;
+  ui.signatureWatch.value = settings.signatures.watchSeconds;
+  ui.scheduledDomains.value = settings.scheduledAudits.domains.join("\n");
+  ui.scheduledInterval.value = settings.scheduledAudits.intervalMinutes;
+  ui.scheduledSslDays.value = settings.scheduledAudits.sslWarningDays;
+  ui.timeout.value = defaults.timeoutSeconds;
+  ui.crawlMaxPages.value = settings.crawl.maxPages;
+  ui.crawlMaxDepth.value = settings.crawl.maxDepth;
+  ui.crawlConcurrency.value = settings.crawl.concurrency;
+  document.querySelector(`input[name="defaultScope"][value="${defaults.scope}"]`).checked = true;
+  document.querySelector(`input[name="defaultSource"][value="${defaults.source}"]`).checked = true;
+
+  ui.checkers.innerHTML = "";
+  CheckerRegistry.getAll()
+    .filter(checker => !checker.required)
+    .forEach(checker => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = checker.id;
+      checkbox.checked = defaults.enabledCheckers
+        ? defaults.enabledCheckers.includes(checker.id)
+        : checker.defaultEnabled;
+      label.append(checkbox, ` ${checker.label}`);
+      ui.checkers.appendChild(label);
+    });
+}
+
+async function handleSettingsSave(ui, state) {
+  const devSuffix = ui.devSuffix.value.trim().toLowerCase().replace(/^\.+/, "") || DEFAULT_DEV_SUFFIX;
+  if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(devSuffix)) {
+    setStatus(ui, "Enter a valid dev domain suffix, e.g. dev.icgonline.co.uk", "red");
+    return;
+  }
+
+  const markerHeader = ui.markerHeader.value.trim();
+  const markerMeta = ui.markerMeta.value.trim();
+  if (!/^[A-Za-z0-9-]*$/.test(markerHeader)) {
+    setStatus(ui, "The marker header should be a header name like X-ICG-Project", "red");
+    return;
+  }
+  if (!/^[\w.:-]*$/.test(markerMeta)) {
+    setStatus(ui, "The marker meta tag should be a name like icg-project", "red");
+    return;
+  }
+
+  const watchSeconds = parseInt(ui.signatureWatch.value, 10);
+  if (!Number.isFinite(watchSeconds) || watchSeconds < 0 || watchSeconds > 60) {
+    setStatus(ui, "Signature watch time must be between 0 and 60 seconds", "red");
+    return;
+  }
+
+  const timeoutSeconds = parseInt(ui.timeout.value, 10);
+  if (!Number.isFinite(timeoutSeconds) || timeoutSeconds < 5 || timeoutSeconds > 120) {
+    setStatus(ui, "Timeout must be between 5 and 120 seconds", "red");
+    return;
+  }
+
+  const crawl = {
+    maxPages: parseInt(ui.crawlMaxPages.value, 10),
+    maxDepth: parseInt(ui.crawlMaxDepth.value, 10),
+    concurrency: parseInt(ui.crawlConcurrency.value, 10)
+  };
+  if (!(crawl.maxPages >= 1 && crawl.maxPages <= 200) || !(crawl.maxDepth >= 0 && crawl.maxDepth <= 10) || !(crawl.concurrency >= 1 && crawl.concurrency <= 8)) {
+    setStatus(ui, "Crawl limits: 1-200 pages, depth 0-10 and 1-8 pages at once", "red");
+    return;
+  }
+
+  const previousSharedUrl = state.settings.sharedMappings.url;
+  try {
+    await saveSharedSettings(ui, state);
+    await saveScheduledSettings(ui, state);
+  } catch (error) {
+    setStatus(ui, error.message, "red");
+    return;
+  }
+
+  ui.saveBtn.innerText = "Saving...";
+
+  // A new shared file should apply straight away rather than at the next scheduled sync
+  if (state.settings.sharedMappings.url !== previousSharedUrl) {
+    state.shared = await MappingSources.syncShared();
+    renderShared(ui, state);
+  }
+
+  state.settings = await Settings.save({
+    devSuffix: devSuffix,
+    navigationMode: ui.navMode.value,
+    validation: { markerHeader: markerHeader, markerMeta: markerMeta },
+    signatures: { watchSeconds: watchSeconds },
+    crawl: crawl,
+    auditDefaults: {
+      scope: document.querySelector('input[name="defaultScope"]:checked').value,
+      source: document.querySelector('input[name="defaultSource"]:checked').value,
+      timeoutSeconds: timeoutSeconds,
+      enabledCheckers: Array.from(ui.checkers.querySelectorAll("input:checked")).map(checkbox => checkbox.value)
+    }
+  });
+
+  ui.saveBtn.innerText = "Save Settings";
+  renderSettings(ui, state.settings);
+  renderMappings(ui, state);
+  renderEnvironmentSets(ui, state);
+  await renderScheduledStatus(ui, state);
+  setStatus(ui, "Settings saved! Reopen the side panel to use the new defaults.", "#2ecc71");
+}
+
+// --- UI HELPERS ---
+
+function showFormError(ui, message, element = ui.error) {
+  element.textContent = message || "";
+  element.classList.toggle("hidden", !message);
+}
+
+function setStatus(ui, msg, color) {
+  ui.status.innerText = msg;
+  ui.status.style.color = color || "#333";
+}
@@ -1,22 +1,35 @@
 // popup.js
+import { EnvironmentDetector } from './js/environment-detector.js';
+import { EnvironmentNavigator, NAVIGATION_MODES } from './js/environment-navigator.js';
+import { Settings } from './js/settings.js';
+import { DetectionCache } from './js/detection-cache.js';
+import { QuickAudit } from './js/quick-audit.js';
+import { PanelActions } from './js/panel-actions.js';
 
-/**
- * CONFIGURATION: KNOWN SITE MAPPINGS
- */
-const PROJECT_MAPPINGS = {
-  "avenuehouse.org": "stephenshouse",
-};
+// How sure the validator is that an environment is this project's site
+const CONFIDENCE_ICONS = { high: "🟢", medium: "🟡", low: "🟠", none: "🔴" };
 
 document.addEventListener('DOMContentLoaded', async () => {
   // UI Elements
   const ui = {
     status: document.getElementById('status'),
-    btn: document.getElementById('devBtn'),
     input: document.getElementById('customUrl'),
     saveBtn: document.getElementById('saveBtn'),
     toggleBtn: document.getElementById('toggleBtn'),
     container: document.getElementById('customContainer'),
-    toolsBtn: document.getElementById('openToolsBtn')
+    liveBtn: document.getElementById('liveBtn'),
+    envList: document.getElementById('envList'),
+    freshness: document.getElementById('freshness'),
+    checkedAt: document.getElementById('checkedAt'),
+    recheckBtn: document.getElementById('recheckBtn'),
+    navMode: document.getElementById('navMode'),
+    health: document.getElementById('healthPanel'),
+    healthSummary: document.getElementById('healthSummary'),
+    healthItems: document.getElementById('healthItems'),
+    healthAge: document.getElementById('healthAge'),
+    fullAuditLink: document.getElementById('fullAuditLink'),
+    toolsBtn: document.getElementById('openToolsBtn'),
+    settingsLink: document.getElementById('settingsLink')
   };
 
   let currentCleanHost = "";
@@ -39,6 +52,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.close();
   };
 
+  ui.settingsLink.onclick = () => chrome.runtime.openOptionsPage();
+
+  // Mappings and the dev domain suffix come from the options page
+  await EnvironmentDetector.loadConfig();
+
+  // Same tab / new tab / split window, remembered per user
+  const settings = await Settings.load();
+  Object.entries(NAVIGATION_MODES).forEach(([value, label]) => ui.navMode.add(new Option(label, value)));
+  ui.navMode.value = settings.navigationMode;
+  ui.navMode.onchange = () => Settings.save({ navigationMode: ui.navMode.value });
+
   // 1. Get Current Tab
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   
@@ -48,7 +72,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   const url = new URL(tab.url);
-  currentCleanHost = url.hostname.replace('www.', '');
+  if (!["http:", "https:"].includes(url.protocol)) {
+    setStatus(ui, `Environments are only available on web pages, not ${url.protocol} tabs.`, "#666");
+    return;
+  }
+  currentCleanHost = EnvironmentDetector.getCleanHost(url.hostname);
 
   console.group("ICG Dev Switcher Debug");
   console.log("Current Host:", currentCleanHost);
@@ -66,83 +94,198 @@ document.addEventListener('DOMContentLoaded', async () => {
       ui.toggleBtn.classList.add('hidden');
       
       ui.input.value = savedUrl;
-      showButton(ui, savedUrl, "Custom Override Active");
-    } else {
-      console.log("No override. Starting auto-detect...");
-      await runAutoDetect(tab, url, currentCleanHost, ui);
     }
   } catch (error) {
     console.error("Initialization Error:", error);
-    await runAutoDetect(tab, url, currentCleanHost, ui);
   }
+
+  // Findings from the background quick audit, if this site has had one
+  await renderHealth(ui, tab, url);
+
+  // 3. List every environment of this project with its status
+  ui.recheckBtn.onclick = () => renderEnvironments(tab, url, ui, { force: true });
+  await renderEnvironments(tab, url, ui);
   
   console.groupEnd();
 
-  // 3. Save Button Listener
-  ui.saveBtn.onclick = () => handleSave(ui, currentCleanHost);
+  // 4. Save Button Listener
+  ui.saveBtn.onclick = () => handleSave(ui, currentCleanHost, () => renderEnvironments(tab, url, ui, { force: true }));
 });
 
 // --- CORE FUNCTIONS ---
 
-async function runAutoDetect(tab, url, cleanHost, ui) {
-  setStatus(ui, 'Checking Dev URLs <div class="spinner"></div>', "#333", true);
+// A bad environment URL (e.g. a typo in Settings) shouldn't leave the popup stuck on the spinner
+async function renderEnvironments(tab, url, ui, options = {}) {
+  try {
+    await listEnvironments(tab, url, ui, options);
+  } catch (error) {
+    console.error("Environment check failed:", error);
+    setStatus(ui, `Couldn't check environments: ${error.message}`, "red");
+  }
+}
 
-  // Generate Potential URLs
-  const potentialUrls = [];
-  const projectName = cleanHost.split('.')[0]; 
+async function listEnvironments(tab, url, ui, { force = false } = {}) {
+  ui.freshness.classList.add('hidden');
+  setStatus(ui, 'Checking environments <div class="spinner"></div>', "#333", true);
 
-  if (PROJECT_MAPPINGS[cleanHost]) {
-    const map = PROJECT_MAPPINGS[cleanHost];
-    if (map.startsWith('http')) {
-      potentialUrls.push(map);
-    } else {
-      potentialUrls.push(`${url.protocol}//${map}.dev.icgonline.co.uk${url.pathname}`);
-    }
-  }
+  // Named list from the options page / shared file, or live + staging/dev/local guesses
+  const envSet = await EnvironmentDetector.getEnvironments(url);
+  const current = envSet.environments.find(env => env.current) || null;
 
-  potentialUrls.push(`${url.protocol}//dev.${cleanHost}${url.pathname}`);
-  potentialUrls.push(`${url.protocol}//${projectName}.dev.icgonline.co.uk${url.pathname}`);
+  console.log("Environments:", envSet);
 
-  console.log("Testing URLs:", potentialUrls);
+  ui.envList.innerHTML = "";
+  ui.envList.classList.remove('hidden');
+  showLiveButton(ui, tab, envSet, current, url);
 
-  const validUrl = await findFirstValidUrl(potentialUrls);
+  const rows = envSet.environments.map(env => {
+    const row = createEnvironmentRow(env);
+    ui.envList.appendChild(row);
+    return row;
+  });
+
+  // Cached results (often prefetched by the background worker) fill in straight away; the rest are probed in parallel
+  // The tab's own environment is already known to be up
+  const probed = await EnvironmentDetector.resolveEnvironments(envSet, {
+    force: force,
+    onResult: (result, index) => updateEnvironmentRow(ui, tab, rows[index], result, envSet, current, url)
+  });
+
+  const others = probed.filter(env => !env.current);
+  const reachable = others.filter(env => env.reachable).length;
+  showFreshness(ui, others);
 
-  if (validUrl) {
-    showButton(ui, validUrl, "Dev site found!");
+  if (!envSet.liveHost) {
+    setStatus(ui, "On a dev site, but its live site is unknown.<br>Add a mapping or environments in Settings.", "#666", true);
+  } else if (!current) {
+    setStatus(ui, `This tab isn't on a known ${envSet.liveHost} environment.`, "#666");
+  } else if (reachable === 0) {
+    setStatus(ui, `On ${current.name}. No other environment responded.<br>Click 'Set Custom URL' below.`, "#666", true);
   } else {
-    // If we fail to find a site, update message telling them to use the link below
-    setStatus(ui, "No Dev site detected.<br>Click 'Set Custom URL' below.", "#666", true);
+    setStatus(ui, `On ${current.name} · ${reachable} of ${others.length} other environment(s) reachable`, "#2ecc71");
   }
 }
 
-async function findFirstValidUrl(urls) {
-  for (const testUrl of urls) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 2500);
+// Quick audit results behind the toolbar badge, with a way into the full side panel audit
+async function renderHealth(ui, tab, url) {
+  const result = await QuickAudit.getResult(url.origin, { allowStale: true });
+  if (!result) return;
 
-      console.log(`Pinging: ${testUrl}`);
-      
-      const response = await fetch(testUrl, { 
-        method: 'GET', 
-        cache: 'no-store', 
-        signal: controller.signal 
-      });
-
-      clearTimeout(timeoutId);
-
-      if (response.ok || [401, 403, 500, 503].includes(response.status)) {
-        console.log(`Success! Status ${response.status} at ${testUrl}`);
-        return testUrl;
-      }
-    } catch (err) {
-      console.log(`Failed: ${testUrl}`, err.name);
-    }
+  const labels = { success: "✅ Site health: all quick checks passed", warning: "⚠️ Site health", error: "❌ Site health" };
+  ui.healthSummary.innerText = result.issueCount > 0
+    ? `${labels[result.status]} · ${result.issueCount} issue(s)`
+    : labels.success;
+  ui.healthSummary.className = `health-summary ${result.status}`;
+
+  ui.healthItems.innerHTML = "";
+  result.items.forEach(item => {
+    const li = document.createElement('li');
+    li.className = item.passed ? 'passed' : item.severity;
+    li.innerText = item.detail;
+    li.title = item.label;
+    ui.healthItems.appendChild(li);
+  });
+
+  ui.healthAge.innerText = `Checked ${DetectionCache.describeAge(result.checkedAt)}`;
+  ui.health.classList.remove('hidden');
+
+  // The side panel has to open straight from the click
+  ui.fullAuditLink.onclick = async () => {
+    const opening = chrome.sidePanel.open({ windowId: tab.windowId });
+    await PanelActions.request({ type: 'runAll', scope: null });
+    await opening;
+    window.close();
+  };
+}
+
+// On dev, staging or local the most common jump is back to live, so it gets its own button
+function showLiveButton(ui, tab, envSet, current, url) {
+  const live = envSet.environments.find(env => env.name === 'live');
+  if (!current || !live || current === live) {
+    ui.liveBtn.classList.add('hidden');
+    return;
   }
-  return null;
+
+  const targetUrl = EnvironmentDetector.buildEnvironmentUrl(live, current, url, envSet.liveHost);
+  ui.liveBtn.classList.remove('hidden');
+  ui.liveBtn.innerText = `Go to Live (${new URL(live.url).hostname})`;
+  ui.liveBtn.title = targetUrl;
+  ui.liveBtn.onclick = () => navigate(ui, tab, targetUrl);
 }
 
-function handleSave(ui, hostKey) {
+// Age of the oldest result on screen, next to the recheck link
+function showFreshness(ui, results) {
+  if (results.length === 0) return;
+
+  const oldest = Math.min(...results.map(env => env.checkedAt));
+  ui.checkedAt.innerText = `Checked ${DetectionCache.describeAge(oldest)}`;
+  ui.checkedAt.title = results.some(env => env.cached) ? "Some results are from the detection cache" : "";
+  ui.freshness.classList.remove('hidden');
+}
+
+function createEnvironmentRow(env) {
+  const row = document.createElement('button');
+  row.className = env.current ? 'env-row current' : 'env-row';
+  row.innerHTML = `
+    <span class="env-name"></span>
+    <span class="env-host"></span>
+    <span class="env-status">${env.current ? "📍 Here" : '<div class="spinner"></div>'}</span>
+    <span class="env-reason hidden"></span>
+  `;
+  row.querySelector('.env-name').innerText = env.name;
+  row.querySelector('.env-host').innerText = getDisplayHost(env.url);
+  row.title = env.url;
+  row.disabled = true;
+  return row;
+}
+
+function updateEnvironmentRow(ui, tab, row, env, envSet, current, url) {
+  row.querySelector('.env-host').innerText = getDisplayHost(env.url);
+  if (env.current) return;
+
+  const status = row.querySelector('.env-status');
+  const icon = CONFIDENCE_ICONS[env.confidence] || "";
+  if (env.reachable) {
+    status.innerText = `${env.status === 401 || env.status === 403 ? `${env.status} 🔒` : env.status} ${icon}`.trim();
+  } else {
+    status.innerText = `${env.status ? env.status : "—"} ${env.status ? icon : ""}`.trim();
+    row.classList.add('unreachable');
+  }
+
+  // The deciding reason under the row; every candidate's verdict in the tooltip
+  const reasons = env.reasons || [];
+  const reason = row.querySelector('.env-reason');
+  reason.innerText = reasons[0] || "";
+  reason.classList.toggle('hidden', reasons.length === 0);
+
+  const targetUrl = EnvironmentDetector.buildEnvironmentUrl(env, current, url, envSet.liveHost);
+  const summary = env.reachable
+    ? `Open ${targetUrl}${env.confidence ? ` (${env.confidence} confidence)` : ""}`
+    : `No matching site at ${env.url}`;
+  row.title = [summary, ...describeChecks(env.checks || [])].join("\n");
+  row.disabled = false;
+  row.onclick = () => navigate(ui, tab, targetUrl);
+}
+
+function describeChecks(checks) {
+  if (checks.length === 0) return [];
+  return ["", "Candidates:", ...checks.map(check =>
+    `${CONFIDENCE_ICONS[check.confidence]} ${check.url} · ${check.status || "no response"} · ${check.reasons.join("; ")}`
+  )];
+}
+
+async function navigate(ui, tab, targetUrl) {
+  await EnvironmentNavigator.open(targetUrl, tab, ui.navMode.value);
+  window.close();
+}
+
+function getDisplayHost(envUrl) {
+  const parsed = new URL(envUrl);
+  const path = parsed.pathname.replace(/\/+$/, '');
+  return `${parsed.host}${path}`;
+}
+
+function handleSave(ui, hostKey, onSaved) {
   const newUrl = ui.input.value.trim();
 
   if (!hostKey) return;
@@ -165,7 +308,7 @@ function handleSave(ui, hostKey) {
   chrome.storage.sync.set({ [hostKey]: finalUrl }, () => {
     ui.saveBtn.innerText = "Saved!";
     setTimeout(() => ui.saveBtn.innerText = "Save Override", 1500);
-    showButton(ui, finalUrl, "Custom URL Saved!");
+    onSaved();
   });
 }
 
@@ -176,17 +319,3 @@ function setStatus(ui, msg, color, isHTML = false) {
   else ui.status.innerText = msg;
   ui.status.style.color = color || "#333";
 }
-
-function showButton(ui, url, msg) {
-  ui.btn.classList.remove('hidden');
-  ui.btn.innerText = `Go to ${new URL(url).hostname}`;
-  ui.btn.title = url;
-  
-  const newBtn = ui.btn.cloneNode(true);
-  ui.btn.parentNode.replaceChild(newBtn, ui.btn);
-  ui.btn = newBtn; 
-  
-  ui.btn.onclick = () => chrome.tabs.create({ url: url });
-  
-  setStatus(ui, msg, "#2ecc71"); 
-}
\ No newline at end of file
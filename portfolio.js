@@ -0,0 +1,296 @@
+// portfolio.js
+import { Settings } from './js/settings.js';
+import { EnvironmentDetector } from './js/environment-detector.js';
+import { CheckerRegistry } from './js/checkers.js';
+import { BatchAudit, DEFAULT_CONCURRENCY, MAX_CONCURRENCY, STATUS_ORDER } from './js/batch-audit.js';
+
+const STATUS_ICONS = { success: "✅", warning: "⚠️", error: "❌" };
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const ui = {
+    siteList: document.getElementById('siteList'),
+    siteCount: document.getElementById('siteCount'),
+    loadMappedBtn: document.getElementById('loadMappedBtn'),
+    importFile: document.getElementById('importFile'),
+    checkers: document.getElementById('checkerOptions'),
+    concurrency: document.getElementById('concurrency'),
+    timeout: document.getElementById('checkTimeout'),
+    runBtn: document.getElementById('runBtn'),
+    cancelBtn: document.getElementById('cancelBtn'),
+    progress: document.getElementById('progress'),
+    filterText: document.getElementById('filterText'),
+    filterStatus: document.getElementById('filterStatus'),
+    exportCsvBtn: document.getElementById('exportCsvBtn'),
+    exportJsonBtn: document.getElementById('exportJsonBtn'),
+    head: document.getElementById('dashboardHead'),
+    rows: document.getElementById('dashboardRows'),
+    status: document.getElementById('status')
+  };
+
+  // Dev suffix and mappings from the options page, so dev-host checks match the side panel's
+  await EnvironmentDetector.loadConfig();
+
+  const state = {
+    settings: await Settings.load(),
+    checkers: [], // checkers of the current / last run, one dashboard column each
+    rows: [], // { domain, status, checks, running }
+    sort: { key: "domain", direction: 1 },
+    controller: null
+  };
+
+  renderCheckerOptions(ui, state.settings);
+  ui.concurrency.value = DEFAULT_CONCURRENCY;
+  ui.timeout.value = state.settings.auditDefaults.timeoutSeconds;
+  renderDashboard(ui, state);
+
+  ui.siteList.oninput = () => updateSiteCount(ui);
+
+  ui.loadMappedBtn.onclick = async () => {
+    const domains = await BatchAudit.getMappedDomains();
+    ui.siteList.value = domains.join("\n");
+    updateSiteCount(ui);
+    setStatus(ui, `Loaded ${domains.length} site(s) from your mappings`, "#2ecc71");
+  };
+
+  ui.importFile.onchange = async () => {
+    const file = ui.importFile.files[0];
+    if (!file) return;
+
+    const { domains, invalid } = BatchAudit.parseDomainList(await file.text(), { firstColumnOnly: file.name.toLowerCase().endsWith(".csv") });
+    ui.siteList.value = domains.join("\n");
+    ui.importFile.value = "";
+    updateSiteCount(ui);
+    setStatus(ui, `Imported ${domains.length} site(s)${invalid.length ? `, skipped ${invalid.length} invalid` : ""}`, invalid.length ? "#e67e22" : "#2ecc71");
+  };
+
+  ui.runBtn.onclick = () => runBatch(ui, state);
+
+  ui.cancelBtn.onclick = () => {
+    if (state.controller) {
+      ui.cancelBtn.disabled = true;
+      state.controller.abort();
+    }
+  };
+
+  ui.filterText.oninput = () => renderDashboard(ui, state);
+  ui.filterStatus.onchange = () => renderDashboard(ui, state);
+
+  ui.head.onclick = (event) => {
+    const th = event.target.closest("th[data-sort]");
+    if (!th) return;
+
+    const key = th.dataset.sort;
+    state.sort = { key: key, direction: state.sort.key === key ? -state.sort.direction : 1 };
+    renderDashboard(ui, state);
+  };
+
+  ui.exportCsvBtn.onclick = () => BatchAudit.download(getFinishedRows(state), state.checkers, "csv");
+  ui.exportJsonBtn.onclick = () => BatchAudit.download(getFinishedRows(state), state.checkers, "json");
+});
+
+// --- SETUP ---
+
+function renderCheckerOptions(ui, settings) {
+  const enabled = settings.auditDefaults.enabledCheckers;
+
+  CheckerRegistry.getAll()
+    .filter(checker => !checker.required)
+    .forEach(checker => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = checker.id;
+      checkbox.checked = enabled ? enabled.includes(checker.id) : checker.defaultEnabled;
+      label.append(checkbox, ` ${checker.label}`);
+      ui.checkers.appendChild(label);
+    });
+}
+
+function getSelectedCheckers(ui) {
+  const selected = new Set(Array.from(ui.checkers.querySelectorAll("input:checked")).map(checkbox => checkbox.value));
+  return CheckerRegistry.getAll().filter(checker => checker.required || selected.has(checker.id));
+}
+
+function updateSiteCount(ui) {
+  const { domains, invalid } = BatchAudit.parseDomainList(ui.siteList.value);
+  ui.siteCount.innerText = `${domains.length} site(s)${invalid.length ? ` · ${invalid.length} not recognised: ${invalid.slice(0, 3).join(", ")}` : ""}`;
+}
+
+// --- RUN ---
+
+async function runBatch(ui, state) {
+  const { domains } = BatchAudit.parseDomainList(ui.siteList.value);
+  if (domains.length === 0) {
+    setStatus(ui, "Add at least one site to audit", "red");
+    return;
+  }
+
+  const concurrency = parseInt(ui.concurrency.value, 10);
+  if (!Number.isFinite(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    setStatus(ui, `Sites at once must be between 1 and ${MAX_CONCURRENCY}`, "red");
+    return;
+  }
+  const seconds = parseInt(ui.timeout.value, 10);
+  const timeoutMs = (Number.isFinite(seconds) && seconds >= 5 ? seconds : 20) * 1000;
+
+  state.checkers = getSelectedCheckers(ui);
+  state.rows = domains.map(domain => ({ domain: domain, status: null, checks: {}, running: false }));
+  state.controller = new AbortController();
+  setRunning(ui, true);
+  renderDashboard(ui, state);
+
+  let done = 0;
+  const updateProgress = () => {
+    ui.progress.innerText = `${done} of ${domains.length} site(s) audited`;
+  };
+  updateProgress();
+
+  const findRow = domain => state.rows.find(row => row.domain === domain);
+  await BatchAudit.run(domains, state.checkers, {
+    concurrency: concurrency,
+    timeoutMs: timeoutMs,
+    signal: state.controller.signal,
+    onSiteStart: domain => {
+      findRow(domain).running = true;
+      renderDashboard(ui, state);
+    },
+    onSiteDone: result => {
+      Object.assign(findRow(result.domain), result, { running: false });
+      done++;
+      updateProgress();
+      renderDashboard(ui, state);
+    }
+  });
+
+  const cancelled = state.controller.signal.aborted;
+  state.controller = null;
+  setRunning(ui, false);
+
+  const failing = state.rows.filter(row => row.status === "error").length;
+  if (cancelled) {
+    setStatus(ui, `Cancelled after ${done} of ${domains.length} site(s)`, "#e67e22");
+  } else {
+    setStatus(ui, `Audited ${done} site(s): ${failing} with failures`, failing ? "#e67e22" : "#2ecc71");
+  }
+}
+
+function setRunning(ui, running) {
+  ui.runBtn.disabled = running;
+  ui.cancelBtn.disabled = !running;
+  ui.loadMappedBtn.disabled = running;
+  ui.siteList.disabled = running;
+}
+
+function getFinishedRows(state) {
+  return state.rows.filter(row => row.status);
+}
+
+// --- DASHBOARD ---
+
+function renderDashboard(ui, state) {
+  renderHead(ui, state);
+  ui.rows.innerHTML = "";
+
+  const columns = 2 + state.checkers.length;
+  if (state.rows.length === 0) {
+    ui.rows.innerHTML = `<tr class="empty-row"><td colspan="${columns}">No audit yet: add sites and press Audit All Sites</td></tr>`;
+    updateExportButtons(ui, state);
+    return;
+  }
+
+  const rows = sortRows(filterRows(ui, state.rows), state.sort);
+  if (rows.length === 0) {
+    ui.rows.innerHTML = `<tr class="empty-row"><td colspan="${columns}">No sites match the filter</td></tr>`;
+  }
+
+  rows.forEach(row => {
+    const tr = document.createElement("tr");
+    tr.classList.toggle("running", row.running);
+
+    const siteCell = document.createElement("td");
+    siteCell.textContent = row.domain;
+    if (row.durationMs) {
+      siteCell.title = `${Math.round(row.durationMs / 1000)}s, ${row.requestCount} request(s)`;
+    }
+    tr.appendChild(siteCell);
+
+    tr.appendChild(createStatusCell(row.status, row.status ? `Overall: ${row.status}` : ""));
+    state.checkers.forEach(checker => {
+      const check = row.checks[checker.id];
+      tr.appendChild(createStatusCell(check ? check.status : null, check ? `${checker.title}\n${check.summary}` : ""));
+    });
+
+    ui.rows.appendChild(tr);
+  });
+  updateExportButtons(ui, state);
+}
+
+function renderHead(ui, state) {
+  const columns = [
+    { key: "domain", label: "Site" },
+    { key: "status", label: "Overall" },
+    ...state.checkers.map(checker => ({ key: checker.id, label: checker.label, title: checker.title }))
+  ];
+
+  const tr = document.createElement("tr");
+  columns.forEach(column => {
+    const th = document.createElement("th");
+    th.textContent = column.label;
+    th.title = column.title || `Sort by ${column.label}`;
+    th.dataset.sort = column.key;
+    if (state.sort.key === column.key) {
+      th.className = state.sort.direction === 1 ? "sorted-asc" : "sorted-desc";
+    }
+    tr.appendChild(th);
+  });
+
+  ui.head.innerHTML = "";
+  ui.head.appendChild(tr);
+}
+
+function createStatusCell(status, tooltip) {
+  const td = document.createElement("td");
+  td.className = status ? "status" : "status pending";
+  td.textContent = status ? STATUS_ICONS[status] : "…";
+  td.title = tooltip;
+  return td;
+}
+
+function filterRows(ui, rows) {
+  const text = ui.filterText.value.trim().toLowerCase();
+  const status = ui.filterStatus.value;
+  return rows.filter(row => (!text || row.domain.includes(text)) && (!status || row.status === status));
+}
+
+// Status columns sort worst first; sites still waiting go last either way
+function sortRows(rows, sort) {
+  const rank = status => status ? STATUS_ORDER.indexOf(status) : STATUS_ORDER.length;
+  const valueOf = row => {
+    if (sort.key === "domain") return row.domain;
+    if (sort.key === "status") return rank(row.status);
+    return rank(row.checks[sort.key]?.status);
+  };
+
+  return [...rows].sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (sort.key !== "domain") {
+      if (left === STATUS_ORDER.length || right === STATUS_ORDER.length) return left - right;
+      return (left - right) * sort.direction || a.domain.localeCompare(b.domain);
+    }
+    return left.localeCompare(right) * sort.direction;
+  });
+}
+
+function updateExportButtons(ui, state) {
+  const hasResults = getFinishedRows(state).length > 0;
+  ui.exportCsvBtn.disabled = !hasResults;
+  ui.exportJsonBtn.disabled = !hasResults;
+}
+
+// --- UI HELPERS ---
+
+function setStatus(ui, msg, color) {
+  ui.status.innerText = msg;
+  ui.status.style.color = color || "#333";
+}